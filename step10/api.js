@@ -0,0 +1,183 @@
+/*
+  Copyright 2016 Google, Inc.
+
+  Licensed to the Apache Software Foundation (ASF) under one or more contributor
+  license agreements. See the NOTICE file distributed with this work for
+  additional information regarding copyright ownership. The ASF licenses this
+  file to you under the Apache License, Version 2.0 (the "License"); you may not
+  use this file except in compliance with the License. You may obtain a copy of
+  the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+  WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+  License for the specific language governing permissions and limitations under
+  the License.
+*/
+
+'use strict';
+
+var express = require('express');
+var router = express.Router();
+var bodyParser = require('body-parser');
+var models = require('./models');
+var auth = require('./auth');
+var orders = require('./orders');
+var currencies = require('./currencies');
+var Sequelize = require('sequelize');
+
+// The fields of an order that can be set through the API, with the values
+// they are reset to when replaced. The status is kept instead, as it can only
+// move forward.
+var WRITABLE_FIELDS = {
+  customerName: null,
+  currency: currencies.BASE_CURRENCY,
+  status: undefined,
+  lines: []
+};
+
+// The fields of a line item that can be set through the API.
+var LINE_FIELDS = ['id', 'productCode', 'unitsOrdered', 'unitPrice'];
+
+// The API requires the same authorization as the spreadsheet routes.
+router.use(auth.required);
+router.use(bodyParser.json());
+
+/**
+ * Lists orders. Supports the query parameters of orders.search(): filters on
+ * customerName, currency, status, productCode, from, to and q, as well as
+ * sort (defaulting to "id"), page and pageSize.
+ */
+router.get('/orders', function(req, res, next) {
+  orders.search(models, req.query).then(function(result) {
+    result.orders = result.orders.map(orders.toJSON);
+    res.json(result);
+  }, function(err) {
+    next(err);
+  });
+});
+
+router.get('/orders/:id', function(req, res, next) {
+  orders.findOne(models, req.params.id).then(function(order) {
+    res.json(orders.toJSON(order));
+  }, function(err) {
+    next(err);
+  });
+});
+
+router.post('/orders', function(req, res, next) {
+  orders.save(models, null, pickWritable(req.body)).then(function(order) {
+    res.status(201);
+    res.location(req.baseUrl + '/orders/' + order.id);
+    res.json(orders.toJSON(order));
+  }, function(err) {
+    next(err);
+  });
+});
+
+router.put('/orders/:id', function(req, res, next) {
+  // Replace every field, resetting those not provided to their default, if
+  // they have one.
+  var values = pickWritable(req.body);
+  Object.keys(WRITABLE_FIELDS).forEach(function(field) {
+    if (values[field] === undefined && WRITABLE_FIELDS[field] !== undefined) {
+      values[field] = WRITABLE_FIELDS[field];
+    }
+  });
+  updateOrder(req.params.id, values).then(function(order) {
+    res.json(orders.toJSON(order));
+  }, function(err) {
+    next(err);
+  });
+});
+
+router.patch('/orders/:id', function(req, res, next) {
+  updateOrder(req.params.id, pickWritable(req.body)).then(function(order) {
+    res.json(orders.toJSON(order));
+  }, function(err) {
+    next(err);
+  });
+});
+
+router.delete('/orders/:id', function(req, res, next) {
+  orders.findOne(models, req.params.id)
+    .then(function(order) {
+      return order.destroy();
+    })
+    .then(function() {
+      res.status(204).end();
+    }, function(err) {
+      next(err);
+    });
+});
+
+// Unknown API endpoints.
+router.use(function(req, res, next) {
+  var err = new Error('Not Found');
+  err.status = 404;
+  next(err);
+});
+
+// Respond to errors with JSON, regardless of the type of request.
+router.use(function(err, req, res, next) {
+  if (err instanceof Sequelize.ValidationError) {
+    return res.status(422).json({
+      message: 'Validation failed.',
+      errors: err.errors.map(function(error) {
+        return {
+          field: error.path,
+          message: error.message
+        };
+      })
+    });
+  }
+  var status = err.status || 500;
+  if (status >= 500) {
+    console.error(err.stack);
+  }
+  res.status(status).json({
+    message: err.message
+  });
+});
+
+/**
+ * Updates an order.
+ * @param  {string}  id     The ID of the order.
+ * @param  {Object}  values The values to set.
+ * @return {Promise}        A promise for the updated order.
+ */
+function updateOrder(id, values) {
+  return orders.findOne(models, id).then(function(order) {
+    return orders.save(models, order, values);
+  });
+}
+
+/**
+ * Picks the writable fields of an order from a request body.
+ * @param  {Object} body The request body.
+ * @return {Object}      The values of the writable fields provided.
+ */
+function pickWritable(body) {
+  var values = {};
+  Object.keys(WRITABLE_FIELDS).forEach(function(field) {
+    if (body && body[field] !== undefined) {
+      values[field] = body[field];
+    }
+  });
+  if (Array.isArray(values.lines)) {
+    values.lines = values.lines.map(function(line) {
+      var result = {};
+      LINE_FIELDS.forEach(function(field) {
+        if (line && line[field] !== undefined) {
+          result[field] = line[field];
+        }
+      });
+      return result;
+    });
+  }
+  return values;
+}
+
+module.exports = router;
@@ -24,7 +24,12 @@ var path = require('path');
 var logger = require('morgan');
 var bodyParser = require('body-parser');
 var expresshandlebars = require('express-handlebars');
+var session = require('express-session');
 
+var config = require('./config.json');
+var auth = require('./auth');
+var currencies = require('./currencies');
+var api = require('./api');
 var routes = require('./routes');
 
 var app = express();
@@ -33,15 +38,42 @@ var app = express();
 app.set('views', path.join(__dirname, 'views'));
 app.engine('handlebars', expresshandlebars({
   layoutsDir: 'views',
-  defaultLayout: 'layout'
+  defaultLayout: 'layout',
+  helpers: {
+    // Formats a date as "yyyy-mm-dd hh:mm", in UTC.
+    formatDate: function(date) {
+      return date ? new Date(date).toISOString().slice(0, 16)
+          .replace('T', ' ') : '';
+    }
+  }
 }));
 app.set('view engine', 'handlebars');
 
-app.use(logger('dev'));
+// The currency of the product catalog's list prices, shown in the views.
+app.locals.baseCurrency = currencies.BASE_CURRENCY;
+
+// Keep the output of the tests readable.
+if (app.get('env') != 'test') {
+  app.use(logger('dev'));
+}
+app.use(express.static(path.join(__dirname, 'public')));
+app.use(session({
+  secret: config.session.secret,
+  resave: false,
+  saveUninitialized: false
+}));
+// The API parses its own request bodies, so it can report malformed JSON.
+app.use('/api', api);
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({extended: false}));
-app.use(express.static(path.join(__dirname, 'public')));
 
+// Make the signed in user available to the views.
+app.use(function(req, res, next) {
+  res.locals.user = req.session.user;
+  next();
+});
+
+app.use('/auth', auth.router);
 app.use('/', routes);
 
 // catch 404 and forward to error handler
@@ -53,11 +85,21 @@ app.use(function(req, res, next) {
 
 // error handler
 app.use(function(err, req, res, next) {
-  console.error(err.stack);
-  res.status(err.status || 500);
+  // A response that's partly sent, such as a streamed export, can only be cut
+  // short, which the default handler does.
+  if (res.headersSent) {
+    return next(err);
+  }
+  var status = err.status || 500;
+  if (status >= 500) {
+    console.error(err.stack);
+  }
+  res.status(status);
+  // Only the message and status are sent, as the error can hold the details
+  // of a failed request, including its credentials.
   var data = {
     message: err.message,
-    error: err
+    status: status
   };
   if (req.xhr) {
     res.json(data);
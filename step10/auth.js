@@ -0,0 +1,268 @@
+/*
+  Copyright 2016 Google, Inc.
+
+  Licensed to the Apache Software Foundation (ASF) under one or more contributor
+  license agreements. See the NOTICE file distributed with this work for
+  additional information regarding copyright ownership. The ASF licenses this
+  file to you under the Apache License, Version 2.0 (the "License"); you may not
+  use this file except in compliance with the License. You may obtain a copy of
+  the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+  WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+  License for the specific language governing permissions and limitations under
+  the License.
+*/
+
+'use strict';
+
+var crypto = require('crypto');
+var path = require('path');
+var express = require('express');
+var {OAuth2Client, JWT} = require('google-auth-library');
+var models = require('./models');
+var config = require(path.join(__dirname, 'config.json'));
+
+var SHEETS_SCOPE = 'https://www.googleapis.com/auth/spreadsheets';
+// Access to the files created by the app, to move spreadsheets to the trash.
+var DRIVE_FILE_SCOPE = 'https://www.googleapis.com/auth/drive.file';
+// The scopes of the APIs the app calls, which stored credentials must grant.
+var API_SCOPES = [SHEETS_SCOPE, DRIVE_FILE_SCOPE];
+var SCOPES = ['openid', 'email', 'profile'].concat(API_SCOPES);
+
+var router = express.Router();
+
+/**
+ * Creates a new OAuth2 client for the application.
+ * @return {OAuth2Client} The client.
+ */
+function createClient() {
+  return new OAuth2Client(config.oauth2.clientId, config.oauth2.clientSecret,
+      config.oauth2.redirectUri);
+}
+
+/**
+ * Gets a client authorized as the service account configured in config.json.
+ * If a subject is configured, domain-wide delegation is used to act on behalf
+ * of that user. Automatic syncs use it for the spreadsheets without an owner.
+ * Setting serviceAccount.allowAnonymous also lets any visitor who hasn't
+ * signed in use it, and so create, sync, rename and trash spreadsheets on its
+ * behalf, so only set it if the app isn't reachable by untrusted users.
+ * @return {JWT} The client, or null if no service account is configured.
+ */
+function getServiceAccountClient() {
+  var serviceAccount = config.serviceAccount || {};
+  if (!serviceAccount.keyFile) {
+    return null;
+  }
+  return new JWT({
+    keyFile: path.resolve(__dirname, serviceAccount.keyFile),
+    scopes: API_SCOPES,
+    subject: serviceAccount.subject || undefined
+  });
+}
+
+router.get('/login', function(req, res, next) {
+  // Protect against CSRF by checking the state on the callback.
+  var state = crypto.randomBytes(16).toString('hex');
+  req.session.oauthState = state;
+  var url = createClient().generateAuthUrl({
+    // Request a refresh token, so that syncs can run without the user.
+    access_type: 'offline',
+    prompt: 'consent',
+    scope: SCOPES,
+    state: state
+  });
+  res.redirect(url);
+});
+
+router.get('/callback', function(req, res, next) {
+  if (req.query.error) {
+    return next(new Error('Authorization failed: ' + req.query.error));
+  }
+  if (!req.query.state || req.query.state !== req.session.oauthState) {
+    return next(new Error('Invalid authorization state.'));
+  }
+  delete req.session.oauthState;
+  var client = createClient();
+  var tokens;
+  client.getToken(req.query.code)
+    .then(function(response) {
+      tokens = response.tokens;
+      return client.verifyIdToken({
+        idToken: tokens.id_token,
+        audience: config.oauth2.clientId
+      });
+    })
+    .then(function(ticket) {
+      var payload = ticket.getPayload();
+      return models.User.upsert({
+        id: payload.sub,
+        email: payload.email,
+        name: payload.name
+      }).then(function() {
+        return saveTokens(payload.sub, tokens);
+      }).then(function() {
+        req.session.user = {
+          id: payload.sub,
+          email: payload.email,
+          name: payload.name
+        };
+        res.redirect('/');
+      });
+    })
+    .catch(function(err) {
+      next(err);
+    });
+});
+
+router.get('/logout', function(req, res, next) {
+  req.session.destroy(function(err) {
+    if (err) {
+      return next(err);
+    }
+    res.redirect('/');
+  });
+});
+
+/**
+ * Stores the tokens issued to a user. A refresh token is only issued on the
+ * first authorization, so an existing one is kept if none is provided.
+ * @param  {string}  userId The ID of the user.
+ * @param  {Object}  tokens The tokens, as returned by the OAuth2 client.
+ * @return {Promise}        A promise that resolves once the tokens are saved.
+ */
+function saveTokens(userId, tokens) {
+  return models.Credential.findOrCreate({where: {userId: userId}})
+    .then(function(results) {
+      var credential = results[0];
+      var values = {
+        accessToken: tokens.access_token,
+        expiryDate: tokens.expiry_date
+      };
+      if (tokens.refresh_token) {
+        values.refreshToken = tokens.refresh_token;
+      }
+      if (tokens.scope) {
+        values.scope = tokens.scope;
+      }
+      return credential.update(values);
+    });
+}
+
+/**
+ * Gets an OAuth2 client authorized with a user's stored credentials. Access
+ * tokens refreshed by the client are saved for later use.
+ * @param  {string}  userId The ID of the user.
+ * @return {Promise}        A promise for the client, or null if the user has
+ *                          no stored credentials.
+ */
+function getClient(userId) {
+  return models.Credential.findOne({where: {userId: userId}})
+    .then(function(credential) {
+      if (!credential || !credential.refreshToken) {
+        return null;
+      }
+      return createUserClient(credential);
+    });
+}
+
+/**
+ * Creates an OAuth2 client authorized with a user's stored credentials, as
+ * for getClient().
+ * @param  {Credential}   credential The credentials.
+ * @return {OAuth2Client}            The client.
+ */
+function createUserClient(credential) {
+  var client = createClient();
+  client.setCredentials({
+    access_token: credential.accessToken,
+    refresh_token: credential.refreshToken,
+    expiry_date: credential.expiryDate
+  });
+  client.on('tokens', function(tokens) {
+    saveTokens(credential.userId, tokens).catch(function(err) {
+      console.error('Failed to save tokens: ' + err.stack);
+    });
+  });
+  return client;
+}
+
+/**
+ * Determines if stored credentials grant every API scope the app requests.
+ * Those stored before a scope was added to API_SCOPES lack it until the user
+ * consents again.
+ * @param  {Credential} credential The credentials.
+ * @return {Boolean}               True if no scope is missing.
+ */
+function hasApiScopes(credential) {
+  var granted = (credential.scope || '').split(' ');
+  return API_SCOPES.every(function(scope) {
+    return granted.indexOf(scope) != -1;
+  });
+}
+
+/**
+ * Middleware that requires authorization, and sets req.authClient to a client
+ * authorized with the signed in user's credentials. If there are none and
+ * serviceAccount.allowAnonymous is set in config.json, the service account is
+ * used instead, and req.authUser is left unset. Users whose credentials lack
+ * one of the API scopes must sign in again, to consent to it.
+ */
+function required(req, res, next) {
+  var user = req.session.user;
+  var promise = user ?
+      models.Credential.findOne({where: {userId: user.id}}) :
+      Promise.resolve(null);
+  promise.then(function(credential) {
+    var client = null;
+    if (credential && credential.refreshToken) {
+      if (!hasApiScopes(credential)) {
+        return next(consentRequired());
+      }
+      client = createUserClient(credential);
+      req.authUser = user;
+    } else if (config.serviceAccount && config.serviceAccount.allowAnonymous) {
+      client = getServiceAccountClient();
+    }
+    if (!client) {
+      return next(unauthorized());
+    }
+    req.authClient = client;
+    next();
+  }, function(err) {
+    next(err);
+  });
+}
+
+/**
+ * Creates the error returned when authorization is required.
+ * @return {Error} The error.
+ */
+function unauthorized() {
+  var err = new Error('Authorization required.');
+  err.status = 401;
+  return err;
+}
+
+/**
+ * Creates the error returned when the signed in user must consent to more
+ * scopes.
+ * @return {Error} The error.
+ */
+function consentRequired() {
+  var err = new Error('The app needs more access to your Google account. ' +
+      'Sign in again to grant it.');
+  err.status = 401;
+  return err;
+}
+
+module.exports = {
+  router: router,
+  getClient: getClient,
+  getServiceAccountClient: getServiceAccountClient,
+  required: required
+};
@@ -0,0 +1,122 @@
+/*
+  Copyright 2016 Google, Inc.
+
+  Licensed to the Apache Software Foundation (ASF) under one or more contributor
+  license agreements. See the NOTICE file distributed with this work for
+  additional information regarding copyright ownership. The ASF licenses this
+  file to you under the Apache License, Version 2.0 (the "License"); you may not
+  use this file except in compliance with the License. You may obtain a copy of
+  the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+  WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+  License for the specific language governing permissions and limitations under
+  the License.
+*/
+
+'use strict';
+
+var path = require('path');
+var Sequelize = require('sequelize');
+var auth = require('./auth');
+var SheetsHelper = require('./sheets');
+var syncs = require('./syncs');
+var config = require(path.join(__dirname, 'config.json')).autoSync || {};
+
+var DEFAULT_DELAY = 5000;
+
+/**
+ * Registers hooks on the Order, OrderLine and Product models that sync every
+ * linked spreadsheet whenever an order, line item or product is created,
+ * edited or deleted.
+ * Changes are debounced, so that a burst of edits results in a single sync.
+ * @param {Object} models The loaded models.
+ */
+module.exports = function(models) {
+  if (config.enabled === false) {
+    return;
+  }
+  var delay = config.delay || DEFAULT_DELAY;
+  var timer = null;
+  var isRunning = false;
+  var isPending = false;
+
+  function schedule() {
+    if (isRunning) {
+      // Sync again once the current run completes.
+      isPending = true;
+      return;
+    }
+    clearTimeout(timer);
+    timer = setTimeout(run, delay);
+  }
+
+  function run() {
+    timer = null;
+    isRunning = true;
+    syncAll(models).then(finish, function(err) {
+      console.error('Automatic sync failed: ' + err.stack);
+      finish();
+    });
+  }
+
+  function finish() {
+    isRunning = false;
+    if (isPending) {
+      isPending = false;
+      schedule();
+    }
+  }
+
+  [models.Order, models.OrderLine, models.Product].forEach(function(Model) {
+    ['afterCreate', 'afterUpdate', 'afterUpsert', 'afterDestroy']
+      .forEach(function(hook) {
+        Model.addHook(hook, 'autoSync', schedule);
+      });
+  });
+};
+
+/**
+ * Syncs the orders to every spreadsheet, using the stored credentials of its
+ * owner, or the service account if there are none. A failure to sync one
+ * spreadsheet is logged, and doesn't prevent syncing the others. Each sync is
+ * recorded as an automatic run.
+ * @param  {Object}  models The loaded models.
+ * @return {Promise}        A promise that resolves once all syncs complete, to
+ *                          the failures as objects with the keys
+ *                          "spreadsheetId" and "error".
+ */
+function syncAll(models) {
+  return models.Spreadsheet.findAll({
+    include: [{model: models.User, as: 'owner'}]
+  }).then(function(spreadsheets) {
+    var failures = [];
+    return Sequelize.Promise.each(spreadsheets, function(spreadsheet) {
+      var promise = spreadsheet.ownerId ?
+          auth.getClient(spreadsheet.ownerId) : Sequelize.Promise.resolve(null);
+      return promise.then(function(client) {
+        var owner = client ? spreadsheet.owner : null;
+        client = client || auth.getServiceAccountClient();
+        if (!client) {
+          throw new Error('No stored credentials.');
+        }
+        var helper = new SheetsHelper(client, owner ? owner.id : null);
+        return syncs.run(models, helper, spreadsheet, {
+          trigger: 'AUTO',
+          user: owner ? owner.email : null
+        });
+      }).catch(function(err) {
+        console.error('Sync of spreadsheet ' + spreadsheet.id + ' failed: ' +
+            err.message);
+        failures.push({spreadsheetId: spreadsheet.id, error: err});
+      });
+    }).then(function() {
+      return failures;
+    });
+  });
+}
+
+module.exports.syncAll = syncAll;
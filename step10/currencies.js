@@ -0,0 +1,115 @@
+/*
+  Copyright 2016 Google, Inc.
+
+  Licensed to the Apache Software Foundation (ASF) under one or more contributor
+  license agreements. See the NOTICE file distributed with this work for
+  additional information regarding copyright ownership. The ASF licenses this
+  file to you under the Apache License, Version 2.0 (the "License"); you may not
+  use this file except in compliance with the License. You may obtain a copy of
+  the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+  WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+  License for the specific language governing permissions and limitations under
+  the License.
+*/
+
+'use strict';
+
+var path = require('path');
+var config = require(path.join(__dirname, 'config.json'));
+
+// The currencies configured in config.json, keyed by code. Each has the keys:
+//   rate:         The value of one unit of the currency in the base currency.
+//   numberFormat: The number format pattern of amounts in the currency.
+var CURRENCIES = config.currencies.list;
+
+// The currency that amounts are converted to for reporting, and that product
+// list prices are in.
+var BASE_CURRENCY = config.currencies.base;
+
+/**
+ * Gets the codes of the currencies orders can be placed in.
+ * @return {Array} The codes of the currencies.
+ */
+function getCodes() {
+  return Object.keys(CURRENCIES);
+}
+
+/**
+ * Gets the exchange rate of a currency.
+ * @param  {string} code The code of the currency.
+ * @return {number}      The value of one unit of the currency in the base
+ *                       currency.
+ */
+function getRate(code) {
+  return getCurrency(code).rate;
+}
+
+/**
+ * Gets the number format pattern of amounts in a currency.
+ * @param  {string} code The code of the currency.
+ * @return {string}      The number format pattern.
+ */
+function getNumberFormat(code) {
+  return getCurrency(code).numberFormat;
+}
+
+/**
+ * Gets the number format patterns of amounts in each currency.
+ * @return {Object} The number format patterns, keyed by currency code.
+ */
+function getNumberFormats() {
+  var formats = {};
+  getCodes().forEach(function(code) {
+    formats[code] = getNumberFormat(code);
+  });
+  return formats;
+}
+
+/**
+ * Converts an amount from one currency to another, using the exchange rates
+ * configured in config.json. The result is rounded to the nearest cent.
+ * @param  {number} amount The amount.
+ * @param  {string} from   The code of the currency the amount is in.
+ * @param  {string} to     The code of the currency to convert to, defaults to
+ *                         the base currency.
+ * @return {number}        The converted amount, or null if no amount was
+ *                         given.
+ */
+function convert(amount, from, to) {
+  if (amount == null || amount === '') {
+    return null;
+  }
+  to = to || BASE_CURRENCY;
+  if (from == to) {
+    return Number(amount);
+  }
+  var converted = Number(amount) * getRate(from) / getRate(to);
+  return Math.round(converted * 100) / 100;
+}
+
+/**
+ * Gets a currency configured in config.json.
+ * @param  {string} code The code of the currency.
+ * @return {Object}      The currency.
+ */
+function getCurrency(code) {
+  var currency = CURRENCIES[code];
+  if (!currency) {
+    throw new Error('Currency not found: ' + code);
+  }
+  return currency;
+}
+
+module.exports = {
+  BASE_CURRENCY: BASE_CURRENCY,
+  getCodes: getCodes,
+  getRate: getRate,
+  getNumberFormat: getNumberFormat,
+  getNumberFormats: getNumberFormats,
+  convert: convert
+};
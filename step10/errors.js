@@ -0,0 +1,116 @@
+/*
+  Copyright 2016 Google, Inc.
+
+  Licensed to the Apache Software Foundation (ASF) under one or more contributor
+  license agreements. See the NOTICE file distributed with this work for
+  additional information regarding copyright ownership. The ASF licenses this
+  file to you under the Apache License, Version 2.0 (the "License"); you may not
+  use this file except in compliance with the License. You may obtain a copy of
+  the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+  WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+  License for the specific language governing permissions and limitations under
+  the License.
+*/
+
+'use strict';
+
+var util = require('util');
+
+/**
+ * Creates an error for a request that can't be processed, which is responded
+ * to with the status 400.
+ * @param  {string} message The error message.
+ * @return {Error}          The error.
+ */
+function badRequest(message) {
+  var err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * The errors reported by SheetsHelper when a request to the Sheets or Drive
+ * API fails, once any retries are exhausted. They don't set the "status" used
+ * for the HTTP response, which is left to the routes reporting them.
+ */
+
+/**
+ * A request to a Google API failed.
+ * @param {string} message The error message.
+ * @param {Error}  cause   Optional. The error returned by the client library.
+ * @constructor
+ */
+function ApiError(message, cause) {
+  Error.call(this);
+  Error.captureStackTrace(this, this.constructor);
+  this.name = this.constructor.name;
+  this.message = message;
+  // Not enumerable, so that the request, with its credentials, isn't
+  // serialized with the error.
+  Object.defineProperty(this, 'cause', {
+    value: cause || null,
+    writable: true,
+    configurable: true
+  });
+  // The status of the API's response, or null if there was none.
+  this.responseStatus = cause && cause.response ? cause.response.status : null;
+}
+util.inherits(ApiError, Error);
+
+/**
+ * The user's authorization has expired or been revoked, so they must sign in
+ * again.
+ * @constructor
+ */
+function AuthExpiredError(message, cause) {
+  ApiError.call(this, message, cause);
+}
+util.inherits(AuthExpiredError, ApiError);
+
+/**
+ * The spreadsheet or file requested doesn't exist.
+ * @constructor
+ */
+function NotFoundError(message, cause) {
+  ApiError.call(this, message, cause);
+}
+util.inherits(NotFoundError, ApiError);
+
+/**
+ * The user isn't allowed to access the spreadsheet or file requested.
+ * @constructor
+ */
+function PermissionDeniedError(message, cause) {
+  ApiError.call(this, message, cause);
+}
+util.inherits(PermissionDeniedError, ApiError);
+
+/**
+ * Too many requests were made, either according to the API or to the quota
+ * budget of the user.
+ * @param {string} message    The error message.
+ * @param {Error}  cause      Optional. The error returned by the client
+ *                            library.
+ * @param {number} retryAfter Optional. The number of seconds to wait before
+ *                            trying again, if known.
+ * @constructor
+ */
+function QuotaExceededError(message, cause, retryAfter) {
+  ApiError.call(this, message, cause);
+  this.retryAfter = retryAfter === undefined ? null : retryAfter;
+}
+util.inherits(QuotaExceededError, ApiError);
+
+module.exports = {
+  badRequest: badRequest,
+  ApiError: ApiError,
+  AuthExpiredError: AuthExpiredError,
+  NotFoundError: NotFoundError,
+  PermissionDeniedError: PermissionDeniedError,
+  QuotaExceededError: QuotaExceededError
+};
@@ -0,0 +1,310 @@
+/*
+  Copyright 2016 Google, Inc.
+
+  Licensed to the Apache Software Foundation (ASF) under one or more contributor
+  license agreements. See the NOTICE file distributed with this work for
+  additional information regarding copyright ownership. The ASF licenses this
+  file to you under the Apache License, Version 2.0 (the "License"); you may not
+  use this file except in compliance with the License. You may obtain a copy of
+  the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+  WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+  License for the specific language governing permissions and limitations under
+  the License.
+*/
+
+'use strict';
+
+var ExcelJS = require('exceljs');
+var SheetsHelper = require('./sheets');
+
+var toValue = SheetsHelper.toValue;
+var getColumnForField = SheetsHelper.getColumnForField;
+
+// The characters that make spreadsheet apps treat a CSV cell as a formula.
+var FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// The functions summary sheets can summarize values with.
+var SUMMARIZE_FUNCTIONS = ['COUNTA', 'COUNTUNIQUE', 'SUM'];
+
+/**
+ * Starts writing a CSV file of the orders to a stream, with the same columns
+ * as the data sheet. The header row is written at once, and the orders a page
+ * at a time.
+ * @param  {Object} output  The stream to write to, such as the response.
+ * @param  {Array}  columns The specifications of the columns, as returned by
+ *                          layouts.get().
+ * @return {Object}         The writer, with the methods write(orders), which
+ *                          writes a page of orders flattened by
+ *                          orders.findRowsInPages() and returns a promise that
+ *                          resolves once the stream is ready for more, and
+ *                          end(), which ends the file.
+ */
+function createCsvWriter(output, columns) {
+  function writeRows(rows) {
+    var text = rows.map(function(row) {
+      return row.map(escapeCsvValue).join(',') + '\r\n';
+    }).join('');
+    if (output.write(text)) {
+      return Promise.resolve();
+    }
+    return new Promise(function(resolve, reject) {
+      function onDrain() {
+        output.removeListener('close', onClose);
+        resolve();
+      }
+      function onClose() {
+        output.removeListener('drain', onDrain);
+        reject(new Error('The stream was closed.'));
+      }
+      output.once('drain', onDrain);
+      output.once('close', onClose);
+    });
+  }
+  writeRows([
+    columns.map(function(column) {
+      return column.header;
+    })
+  ]);
+  return {
+    write: function(orders) {
+      return writeRows(orders.map(function(order) {
+        return columns.map(function(column) {
+          var value = toValue(order[column.field], column);
+          return value instanceof Date ? value.toISOString() : value;
+        });
+      }));
+    },
+    end: function() {
+      output.end();
+    }
+  };
+}
+
+/**
+ * Escapes a value for use in a CSV file, quoting it if needed. Text that would
+ * be opened as a formula is prefixed with an apostrophe, so that it's shown as
+ * written instead.
+ * @param  {*}      value The value.
+ * @return {string}       The escaped value.
+ */
+function escapeCsvValue(value) {
+  if (value == null) {
+    return '';
+  }
+  if (typeof value == 'string' && FORMULA_PREFIX.test(value)) {
+    value = '\'' + value;
+  }
+  value = value.toString();
+  if (/[",\r\n]/.test(value)) {
+    return '"' + value.replace(/"/g, '""') + '"';
+  }
+  return value;
+}
+
+/**
+ * Starts writing an XLSX workbook of the orders to a stream, with a data sheet
+ * formatted like the one in Google Sheets, and a summary sheet for each of the
+ * template's pivot tables. The orders are written to the data sheet a page at
+ * a time, and the summary sheets once every page is written.
+ * @param  {Object} output   The stream to write to, such as the response.
+ * @param  {Array}  columns  The specifications of the columns, as returned by
+ *                           layouts.get().
+ * @param  {Object} template The report template, as returned by
+ *                           templates.get().
+ * @return {Object}          The writer, with the methods write(orders), which
+ *                           writes a page of orders flattened by
+ *                           orders.findRowsInPages(), and end(), which returns
+ *                           a promise that resolves once the file is written.
+ */
+function createXlsxWriter(output, columns, template) {
+  var summaries = template.sheets.map(function(derived) {
+    return createSummary(derived.pivot);
+  });
+  var workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream: output,
+    useStyles: true
+  });
+  var sheet = workbook.addWorksheet('Data', {
+    views: [{state: 'frozen', ySplit: 1}]
+  });
+  sheet.columns = columns.map(function(column) {
+    return {
+      header: column.header,
+      key: column.field,
+      // Excel measures widths in characters, rather than pixels.
+      width: column.width ? Math.round(column.width / 7) : undefined,
+      hidden: Boolean(column.hidden),
+      style: column.numberFormat && column.type != 'STRING' ?
+          {numFmt: column.numberFormat} : {}
+    };
+  });
+  sheet.getRow(1).font = {bold: true};
+  var rowCount = 1;
+  return {
+    write: function(orders) {
+      orders.forEach(function(order) {
+        var row = sheet.addRow(columns.map(function(column) {
+          return toValue(order[column.field], column);
+        }));
+        // Format amounts in the currency of their order.
+        columns.forEach(function(column, i) {
+          var format = column.currencyField &&
+              column.numberFormats[order[column.currencyField]];
+          if (format) {
+            row.getCell(i + 1).numFmt = format;
+          }
+        });
+        row.commit();
+      });
+      rowCount += orders.length;
+      summaries.forEach(function(summary) {
+        summary.add(orders);
+      });
+    },
+    end: function() {
+      // Validate each column's rows at once, as the rows are already written.
+      columns.forEach(function(column, i) {
+        if (!column.validation || rowCount == 1) {
+          return;
+        }
+        var letter = sheet.getColumn(i + 1).letter;
+        sheet.dataValidations.add(letter + '2:' + letter + rowCount, {
+          type: 'list',
+          allowBlank: false,
+          formulae: ['"' + column.validation.join(',') + '"']
+        });
+      });
+      sheet.commit();
+      template.sheets.forEach(function(derived, i) {
+        addSummarySheet(workbook, summaries[i], columns, derived);
+      });
+      return workbook.commit();
+    }
+  };
+}
+
+/**
+ * Adds a sheet summarizing the orders as specified by a template's pivot
+ * table. The summary is calculated locally, as XLSX pivot tables aren't
+ * supported.
+ * @param {Object} workbook The workbook writer.
+ * @param {Object} summary  The summary of the orders, from createSummary().
+ * @param {Array}  columns  The specifications of the columns.
+ * @param {Object} derived  The template's specification of the sheet.
+ */
+function addSummarySheet(workbook, summary, columns, derived) {
+  var pivot = derived.pivot;
+  var rowColumn = getColumnForField(columns, pivot.rowField);
+  var sheet = workbook.addWorksheet(derived.title);
+  sheet.columns = [
+    {header: rowColumn.header, width: 20}
+  ].concat(pivot.values.map(function(value) {
+    var format = value.formatField ?
+        getColumnForField(columns, value.formatField).numberFormat : null;
+    return {
+      header: getValueName(value, columns),
+      width: 20,
+      style: format ? {numFmt: format} : {}
+    };
+  }));
+  sheet.getRow(1).font = {bold: true};
+  summary.getRows().forEach(function(row) {
+    sheet.addRow(row).commit();
+  });
+  sheet.commit();
+}
+
+/**
+ * Creates a summary of orders as specified by a template's pivot table, which
+ * the orders are added to a page at a time. Only the totals of each row are
+ * kept, and the values seen for those counting unique values.
+ * @param  {Object} pivot The template's specification of the pivot table.
+ * @return {Object}       The summary, with the methods add(orders), which adds
+ *                        a page of orders flattened into rows, and getRows(),
+ *                        which returns the rows of the summary, each an array
+ *                        of the row's value followed by its summarized values.
+ */
+function createSummary(pivot) {
+  pivot.values.forEach(function(value) {
+    if (SUMMARIZE_FUNCTIONS.indexOf(value.summarizeFunction) == -1) {
+      throw new Error('Unsupported summarize function: ' +
+          value.summarizeFunction);
+    }
+  });
+  var groups = {};
+  return {
+    add: function(orders) {
+      orders.forEach(function(order) {
+        var key = order[pivot.rowField];
+        var group = groups[key];
+        if (!group) {
+          group = groups[key] = {
+            value: order[pivot.rowField],
+            totals: pivot.values.map(function(value) {
+              return value.summarizeFunction == 'COUNTUNIQUE' ? {} : 0;
+            })
+          };
+        }
+        pivot.values.forEach(function(value, i) {
+          var v = value.multiply ?
+              value.multiply.reduce(function(product, field) {
+                return product * order[field];
+              }, 1) : order[value.field];
+          var isEmpty = v == null || v === '';
+          switch (value.summarizeFunction) {
+            case 'COUNTA':
+              group.totals[i] += isEmpty ? 0 : 1;
+              break;
+            case 'COUNTUNIQUE':
+              if (!isEmpty) {
+                group.totals[i][v] = true;
+              }
+              break;
+            case 'SUM':
+              group.totals[i] += Number(v) || 0;
+              break;
+          }
+        });
+      });
+    },
+    getRows: function() {
+      var rows = Object.keys(groups).map(function(key) {
+        var group = groups[key];
+        return [group.value].concat(group.totals.map(function(total) {
+          return typeof total == 'object' ? Object.keys(total).length : total;
+        }));
+      });
+      rows.sort(function(a, b) {
+        if (pivot.sortByValue != null) {
+          return b[pivot.sortByValue + 1] - a[pivot.sortByValue + 1];
+        }
+        return a[0] < b[0] ? -1 : (a[0] > b[0] ? 1 : 0);
+      });
+      return rows;
+    }
+  };
+}
+
+/**
+ * Gets the name of a pivot table value, as shown by Google Sheets.
+ * @param  {Object} value   The template's specification of the value.
+ * @param  {Array}  columns The specifications of the columns.
+ * @return {string}         The name.
+ */
+function getValueName(value, columns) {
+  if (value.name) {
+    return value.name;
+  }
+  return value.summarizeFunction + ' of ' +
+      getColumnForField(columns, value.field).header;
+}
+
+module.exports = {
+  createCsvWriter: createCsvWriter,
+  createXlsxWriter: createXlsxWriter
+};
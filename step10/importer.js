@@ -0,0 +1,297 @@
+/*
+  Copyright 2016 Google, Inc.
+
+  Licensed to the Apache Software Foundation (ASF) under one or more contributor
+  license agreements. See the NOTICE file distributed with this work for
+  additional information regarding copyright ownership. The ASF licenses this
+  file to you under the Apache License, Version 2.0 (the "License"); you may not
+  use this file except in compliance with the License. You may obtain a copy of
+  the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+  WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+  License for the specific language governing permissions and limitations under
+  the License.
+*/
+
+'use strict';
+
+var crypto = require('crypto');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var Sequelize = require('sequelize');
+var orders = require('./orders');
+
+// The directory the rows to be imported are kept in until they're confirmed.
+var UPLOAD_DIR = path.join(os.tmpdir(), 'orders-imports');
+
+// The format of the IDs of the stored uploads.
+var UPLOAD_ID_PATTERN = /^[0-9a-f]{32}$/;
+
+// The time after which uploads that were never confirmed are removed, in
+// milliseconds.
+var UPLOAD_MAX_AGE = 24 * 60 * 60 * 1000;
+
+var mkdir = Sequelize.Promise.promisify(fs.mkdir);
+var readdir = Sequelize.Promise.promisify(fs.readdir);
+var stat = Sequelize.Promise.promisify(fs.stat);
+var readFile = Sequelize.Promise.promisify(fs.readFile);
+var writeFile = Sequelize.Promise.promisify(fs.writeFile);
+var unlink = Sequelize.Promise.promisify(fs.unlink);
+
+/**
+ * Parses the contents of a CSV file.
+ * @param  {string} text The contents of the file.
+ * @return {Array}       The values, as an array of rows.
+ * @throws {Error}       If a quoted value is never closed.
+ */
+function parseCsv(text) {
+  // Skip the byte order mark added by some spreadsheet applications.
+  text = text.replace(/^\uFEFF/, '');
+  var rows = [];
+  var row = [];
+  var value = '';
+  var isQuoted = false;
+  for (var i = 0; i < text.length; i++) {
+    var c = text[i];
+    if (isQuoted) {
+      if (c == '"' && text[i + 1] == '"') {
+        value += '"';
+        i++;
+      } else if (c == '"') {
+        isQuoted = false;
+      } else {
+        value += c;
+      }
+    } else if (c == '"') {
+      isQuoted = true;
+    } else if (c == ',') {
+      row.push(value);
+      value = '';
+    } else if (c == '\n' || c == '\r') {
+      if (c == '\r' && text[i + 1] == '\n') {
+        i++;
+      }
+      row.push(value);
+      rows.push(row);
+      row = [];
+      value = '';
+    } else {
+      value += c;
+    }
+  }
+  if (isQuoted) {
+    throw new Error('Line ' + (rows.length + 1) + ' of the CSV file has a ' +
+        'quoted value that is never closed.');
+  }
+  if (value || row.length) {
+    row.push(value);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Converts the values of a CSV file into rows keyed by field. Columns are
+ * matched by the headers of the layout, or by field name.
+ * @param  {Array} values  The values, as returned by parseCsv().
+ * @param  {Array} columns The specifications of the columns, as returned by
+ *                         layouts.get().
+ * @return {Array}         The rows, each with the key "rowIndex" set to its
+ *                         index in the file, and the key "values" set to its
+ *                         values keyed by field.
+ */
+function parseCsvRows(values, columns) {
+  if (values.length == 0) {
+    return [];
+  }
+  var headerColumns = values[0].map(function(header) {
+    header = header.trim();
+    return columns.filter(function(column) {
+      return column.header == header || column.field == header;
+    })[0];
+  });
+  var rows = [];
+  values.slice(1).forEach(function(row, i) {
+    var isEmpty = row.every(function(value) {
+      return value.trim() === '';
+    });
+    if (isEmpty) {
+      return;
+    }
+    var result = {};
+    headerColumns.forEach(function(column, j) {
+      if (!column) {
+        return;
+      }
+      var value = (row[j] || '').trim();
+      result[column.field] = value === '' ? null : value;
+    });
+    rows.push({
+      rowIndex: i + 1,
+      values: result
+    });
+  });
+  return rows;
+}
+
+/**
+ * Validates rows to be imported. Only the fields of the data sheet are kept,
+ * timestamps are set by the database. Each row is validated as it would be
+ * imported, so that status transitions and missing orders are reported too.
+ * @param  {Object}  models The loaded models.
+ * @param  {Array}   rows   The rows, as returned by parseCsvRows() or
+ *                          SheetsHelper.readRange().
+ * @return {Promise}        A promise for the rows, each with the key "errors"
+ *                          set to the list of validation errors.
+ */
+function validateRows(models, rows) {
+  var fields = orders.ROW_FIELDS.filter(function(field) {
+    return field != 'createdAt' && field != 'updatedAt';
+  });
+  return Sequelize.Promise.mapSeries(rows, function(row) {
+    var values = {};
+    fields.forEach(function(field) {
+      if (row.values[field] !== undefined) {
+        values[field] = row.values[field];
+      }
+    });
+    return orders.validateRow(models, values).then(function(errors) {
+      return {
+        rowIndex: row.rowIndex,
+        values: values,
+        errors: errors
+      };
+    });
+  });
+}
+
+/**
+ * Imports rows in a single transaction, so that either all or none of them
+ * are saved. Rows with a line ID update that line item, rows with only an
+ * order ID add a line item to that order, and other rows create an order.
+ * @param  {Object}  models    The loaded models.
+ * @param  {Array}   rows      The rows, as returned by validateRows().
+ * @param  {string}  changedBy The email of the user importing the rows, if
+ *                             known, recorded in the status history.
+ * @return {Promise}           A promise that resolves once the rows are saved.
+ */
+function importRows(models, rows, changedBy) {
+  return models.sequelize.transaction(function(transaction) {
+    var options = {transaction: transaction, changedBy: changedBy};
+    return Sequelize.Promise.each(rows, function(row) {
+      return orders.saveRow(models, row.values, options);
+    });
+  });
+}
+
+/**
+ * Stores rows to be imported in a temporary file until they're confirmed.
+ * Uploads older than UPLOAD_MAX_AGE are removed first, as those abandoned
+ * before being confirmed would otherwise be kept forever.
+ * @param  {Array}   rows The rows, as returned by validateRows().
+ * @return {Promise}      A promise for the ID of the upload.
+ */
+function saveUpload(rows) {
+  var id = crypto.randomBytes(16).toString('hex');
+  return mkdir(UPLOAD_DIR, 0o700).catch(function(err) {
+    if (err.code != 'EEXIST') {
+      throw err;
+    }
+  }).then(function() {
+    return removeExpiredUploads();
+  }).then(function() {
+    return writeFile(getUploadPath(id), JSON.stringify(rows), {mode: 0o600})
+      .catch(function(err) {
+        // Don't leave a partly written file behind.
+        return removeUpload(id).then(function() {
+          throw err;
+        });
+      });
+  }).then(function() {
+    return id;
+  });
+}
+
+/**
+ * Removes the uploads last written more than UPLOAD_MAX_AGE ago.
+ * @return {Promise} A promise that resolves once they're removed.
+ */
+function removeExpiredUploads() {
+  var expiry = Date.now() - UPLOAD_MAX_AGE;
+  return readdir(UPLOAD_DIR).then(function(names) {
+    return Sequelize.Promise.each(names, function(name) {
+      var id = path.basename(name, '.json');
+      if (!UPLOAD_ID_PATTERN.test(id)) {
+        return;
+      }
+      return stat(getUploadPath(id)).then(function(stats) {
+        if (stats.mtime.getTime() < expiry) {
+          return removeUpload(id);
+        }
+      }, function(err) {
+        // Removed since the directory was read.
+        if (err.code != 'ENOENT') {
+          throw err;
+        }
+      });
+    });
+  });
+}
+
+/**
+ * Loads the rows stored by saveUpload().
+ * @param  {string}  id The ID of the upload.
+ * @return {Promise}    A promise for the rows, or null if there is no upload
+ *                      with that ID.
+ */
+function loadUpload(id) {
+  if (!UPLOAD_ID_PATTERN.test(id)) {
+    return Sequelize.Promise.resolve(null);
+  }
+  return readFile(getUploadPath(id), 'utf8').then(JSON.parse, function(err) {
+    if (err.code == 'ENOENT') {
+      return null;
+    }
+    throw err;
+  });
+}
+
+/**
+ * Removes the rows stored by saveUpload(), if they're still there.
+ * @param  {string}  id The ID of the upload.
+ * @return {Promise}    A promise that resolves once the upload is removed.
+ */
+function removeUpload(id) {
+  if (!UPLOAD_ID_PATTERN.test(id)) {
+    return Sequelize.Promise.resolve();
+  }
+  return unlink(getUploadPath(id)).catch(function(err) {
+    if (err.code != 'ENOENT') {
+      throw err;
+    }
+  });
+}
+
+/**
+ * Gets the path of the file an upload is stored in.
+ * @param  {string} id The ID of the upload.
+ * @return {string}    The path.
+ */
+function getUploadPath(id) {
+  return path.join(UPLOAD_DIR, id + '.json');
+}
+
+module.exports = {
+  parseCsv: parseCsv,
+  parseCsvRows: parseCsvRows,
+  validateRows: validateRows,
+  importRows: importRows,
+  saveUpload: saveUpload,
+  loadUpload: loadUpload,
+  removeUpload: removeUpload
+};
@@ -0,0 +1,135 @@
+/*
+  Copyright 2016 Google, Inc.
+
+  Licensed to the Apache Software Foundation (ASF) under one or more contributor
+  license agreements. See the NOTICE file distributed with this work for
+  additional information regarding copyright ownership. The ASF licenses this
+  file to you under the Apache License, Version 2.0 (the "License"); you may not
+  use this file except in compliance with the License. You may obtain a copy of
+  the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+  WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+  License for the specific language governing permissions and limitations under
+  the License.
+*/
+
+'use strict';
+
+var path = require('path');
+var config = require(path.join(__dirname, 'config.json'));
+var currencies = require('./currencies');
+var models = require('./models');
+
+var DEFAULT_LAYOUT = 'default';
+
+// The field that identifies each row of the data sheet, which every layout
+// must include.
+var KEY_FIELD = 'lineId';
+
+// The types of column. Other than STRING, each is a Sheets API number format
+// type.
+var TYPES = ['STRING', 'NUMBER', 'CURRENCY', 'PERCENT', 'DATE', 'TIME',
+    'DATE_TIME'];
+
+/**
+ * Gets the values allowed in the fields validated by the models, which are the
+ * default validation of their columns.
+ * @param  {string} field The name of the field.
+ * @return {Array}        The allowed values, or undefined if any are allowed.
+ */
+function getAllowedValues(field) {
+  switch (field) {
+    case 'status':
+      return models.Order.STATUSES;
+    case 'currency':
+      return currencies.getCodes();
+  }
+}
+
+/**
+ * Gets the names of the layouts configured in config.json.
+ * @return {Array} The names of the layouts.
+ */
+function getNames() {
+  return Object.keys(config.layouts);
+}
+
+/**
+ * Gets the columns of a layout configured in config.json. Each column is
+ * specified by the keys:
+ *   field:        The name of the field shown in the column, one of
+ *                 orders.ROW_FIELDS.
+ *   header:       The text of the column's header.
+ *   type:         One of TYPES, defaults to STRING.
+ *   numberFormat: The number format pattern of a non-STRING column.
+ *   currencyField: For a CURRENCY column, the field holding the currency of
+ *                 each row. Each cell is formatted with the number format of
+ *                 its row's currency, looked up in "numberFormats".
+ *   baseCurrency: True for a CURRENCY column of amounts in the base currency.
+ *                 The code of the currency is added to its header, and the
+ *                 number format defaults to that of the currency.
+ *   validation:   The list of values allowed in the column, or false for
+ *                 none. Defaults to the values allowed by the model for the
+ *                 "status" and "currency" fields.
+ *   width:        The width of the column, in pixels.
+ *   hidden:       True if the column should be hidden.
+ * @param  {string} name The name of the layout, defaults to "default".
+ * @return {Array}       The column specifications.
+ */
+function getLayout(name) {
+  name = name || DEFAULT_LAYOUT;
+  var columns = config.layouts[name];
+  if (!columns) {
+    throw new Error('Layout not found: ' + name);
+  }
+  var hasKey = columns.some(function(column) {
+    return column.field == KEY_FIELD;
+  });
+  if (!hasKey) {
+    throw new Error('Layout ' + name + ' is missing a column for the field ' +
+        KEY_FIELD + '.');
+  }
+  return columns.map(function(column) {
+    column = Object.assign({type: 'STRING'}, column);
+    if (!column.field || !column.header) {
+      throw new Error('Column in layout ' + name +
+          ' is missing a field or header.');
+    }
+    if (column.validation === undefined) {
+      column.validation = getAllowedValues(column.field);
+    }
+    if (TYPES.indexOf(column.type) == -1) {
+      throw new Error('Invalid type for column ' + column.field + ': ' +
+          column.type);
+    }
+    if (column.currencyField) {
+      if (column.type != 'CURRENCY') {
+        throw new Error('Column ' + column.field +
+            ' has a currency field but isn\'t of type CURRENCY.');
+      }
+      column.numberFormats = currencies.getNumberFormats();
+      column.numberFormat = column.numberFormat ||
+          currencies.getNumberFormat(currencies.BASE_CURRENCY);
+    }
+    if (column.baseCurrency) {
+      if (column.type != 'CURRENCY') {
+        throw new Error('Column ' + column.field +
+            ' is in the base currency but isn\'t of type CURRENCY.');
+      }
+      column.header += ' (' + currencies.BASE_CURRENCY + ')';
+      column.numberFormat = column.numberFormat ||
+          currencies.getNumberFormat(currencies.BASE_CURRENCY);
+    }
+    return column;
+  });
+}
+
+module.exports = {
+  DEFAULT_LAYOUT: DEFAULT_LAYOUT,
+  getNames: getNames,
+  get: getLayout
+};
@@ -0,0 +1,150 @@
+/*
+  Copyright 2016 Google, Inc.
+
+  Licensed to the Apache Software Foundation (ASF) under one or more contributor
+  license agreements. See the NOTICE file distributed with this work for
+  additional information regarding copyright ownership. The ASF licenses this
+  file to you under the Apache License, Version 2.0 (the "License"); you may not
+  use this file except in compliance with the License. You may obtain a copy of
+  the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+  WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+  License for the specific language governing permissions and limitations under
+  the License.
+*/
+
+'use strict';
+
+var Sequelize = require('sequelize');
+
+// The statuses of the link to a spreadsheet, with their descriptions.
+var STATUSES = {
+  OK: 'Linked.',
+  SPREADSHEET_MISSING: 'The spreadsheet was deleted or can\'t be found.',
+  NO_ACCESS: 'The spreadsheet is no longer shared with you.',
+  DATA_SHEET_MISSING: 'The data sheet was deleted.'
+};
+
+// The statuses of broken links that can be repaired in place.
+var REPAIRABLE_STATUSES = ['DATA_SHEET_MISSING'];
+
+/**
+ * Checks that a linked spreadsheet and its data sheet still exist, and records
+ * the result on the spreadsheet.
+ * @param  {SheetsHelper} helper      The Sheets helper to check with.
+ * @param  {Spreadsheet}  spreadsheet The linked spreadsheet.
+ * @return {Promise}                  A promise for the spreadsheet, updated.
+ */
+function check(helper, spreadsheet) {
+  return new Sequelize.Promise(function(resolve, reject) {
+    helper.checkSpreadsheet(spreadsheet.id, spreadsheet.sheetId,
+        function(err, status) {
+      if (err) {
+        return reject(err);
+      }
+      resolve(status);
+    });
+  }).then(function(status) {
+    return spreadsheet.update({linkStatus: status, linkCheckedAt: new Date()});
+  });
+}
+
+/**
+ * Checks a linked spreadsheet before it is synced or pulled from.
+ * @param  {SheetsHelper} helper      The Sheets helper to check with.
+ * @param  {Spreadsheet}  spreadsheet The linked spreadsheet.
+ * @return {Promise}                  A promise for the spreadsheet. Rejected
+ *                                    with a 409 error if its link is broken.
+ */
+function ensureLinked(helper, spreadsheet) {
+  return check(helper, spreadsheet).then(function() {
+    if (spreadsheet.linkStatus != 'OK') {
+      var err = new Error('The link to spreadsheet "' + spreadsheet.name +
+          '" is broken: ' + STATUSES[spreadsheet.linkStatus] + ' ' +
+          (isRepairable(spreadsheet) ? 'Repair' : 'Unlink') + ' it first.');
+      err.status = 409;
+      throw err;
+    }
+    return spreadsheet;
+  });
+}
+
+/**
+ * Repairs the link to a spreadsheet whose data sheet was deleted, by adding a
+ * new data sheet and pointing the derived sheets at it.
+ * @param  {SheetsHelper} helper      The Sheets helper to repair with.
+ * @param  {Spreadsheet}  spreadsheet The linked spreadsheet.
+ * @param  {Array}        columns     The specifications of the columns in the
+ *                                    data sheet.
+ * @param  {Object}       template    The report template.
+ * @return {Promise}                  A promise for the spreadsheet, updated.
+ *                                    Rejected with a 409 error if the link
+ *                                    can't be repaired.
+ */
+function repair(helper, spreadsheet, columns, template) {
+  return check(helper, spreadsheet).then(function() {
+    if (spreadsheet.linkStatus == 'OK') {
+      return spreadsheet;
+    }
+    if (!isRepairable(spreadsheet)) {
+      var err = new Error('The link to spreadsheet "' + spreadsheet.name +
+          '" can\'t be repaired: ' + STATUSES[spreadsheet.linkStatus]);
+      err.status = 409;
+      throw err;
+    }
+    return new Sequelize.Promise(function(resolve, reject) {
+      helper.repairSpreadsheet(spreadsheet.id, columns, template,
+          function(err, dataSheetId) {
+        if (err) {
+          return reject(err);
+        }
+        resolve(dataSheetId);
+      });
+    }).then(function(dataSheetId) {
+      return spreadsheet.update({
+        sheetId: dataSheetId,
+        linkStatus: 'OK',
+        linkCheckedAt: new Date()
+      });
+    });
+  });
+}
+
+/**
+ * Determines if the broken link to a spreadsheet can be repaired.
+ * @param  {Spreadsheet} spreadsheet The linked spreadsheet.
+ * @return {Boolean}                 True if it can be repaired.
+ */
+function isRepairable(spreadsheet) {
+  return REPAIRABLE_STATUSES.indexOf(spreadsheet.linkStatus) != -1;
+}
+
+/**
+ * Describes the status of the link to a spreadsheet for display.
+ * @param  {Spreadsheet} spreadsheet The linked spreadsheet.
+ * @return {Object}                  The keys "broken", "message" and
+ *                                   "repairable", or null if the link hasn't
+ *                                   been checked.
+ */
+function describe(spreadsheet) {
+  if (!spreadsheet.linkStatus) {
+    return null;
+  }
+  return {
+    broken: spreadsheet.linkStatus != 'OK',
+    message: STATUSES[spreadsheet.linkStatus],
+    repairable: isRepairable(spreadsheet)
+  };
+}
+
+module.exports = {
+  STATUSES: STATUSES,
+  check: check,
+  ensureLinked: ensureLinked,
+  repair: repair,
+  describe: describe
+};
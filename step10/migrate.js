@@ -0,0 +1,52 @@
+/*
+  Copyright 2016 Google, Inc.
+
+  Licensed to the Apache Software Foundation (ASF) under one or more contributor
+  license agreements. See the NOTICE file distributed with this work for
+  additional information regarding copyright ownership. The ASF licenses this
+  file to you under the Apache License, Version 2.0 (the "License"); you may not
+  use this file except in compliance with the License. You may obtain a copy of
+  the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+  WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+  License for the specific language governing permissions and limitations under
+  the License.
+*/
+
+'use strict';
+
+/**
+ * Applies or reverts database migrations and exits. Run "npm run migrate" to
+ * apply every pending migration, or "npm run migrate:undo" to revert the last
+ * one applied.
+ */
+
+var models = require('./models');
+var migrator = require('./migrator');
+
+var command = process.argv[2] || 'up';
+if (command != 'up' && command != 'down') {
+  console.error('Usage: node migrate.js [up|down]');
+  process.exit(1);
+}
+
+migrator[command](models.sequelize)
+  .then(function(names) {
+    var verb = command == 'up' ? 'Applied' : 'Reverted';
+    if (!names.length) {
+      console.log('No migrations to ' +
+          (command == 'up' ? 'apply' : 'revert') + '.');
+    }
+    names.forEach(function(name) {
+      console.log(verb + ' ' + name);
+    });
+    return models.sequelize.close();
+  })
+  .catch(function(err) {
+    console.error(err.stack);
+    process.exit(1);
+  });
@@ -0,0 +1,166 @@
+/*
+  Copyright 2016 Google, Inc.
+
+  Licensed to the Apache Software Foundation (ASF) under one or more contributor
+  license agreements. See the NOTICE file distributed with this work for
+  additional information regarding copyright ownership. The ASF licenses this
+  file to you under the Apache License, Version 2.0 (the "License"); you may not
+  use this file except in compliance with the License. You may obtain a copy of
+  the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+  WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+  License for the specific language governing permissions and limitations under
+  the License.
+*/
+
+'use strict';
+
+/**
+ * The schema of the database as it was created by sequelize.sync(), before
+ * migrations were introduced. Tables that already exist, in databases created
+ * that way by earlier versions, are given the columns they're missing.
+ */
+
+// The tables whose missing columns are instead added by a later migration,
+// with the column that shows they need it.
+var MIGRATED_LATER = {
+  // 20261019000700-split-order-columns
+  Orders: 'customerName'
+};
+
+/**
+ * Gets the tables of the schema, in the order they must be created.
+ * @param  {Sequelize} Sequelize The Sequelize library.
+ * @return {Array}               The tables, each with the keys "name" and
+ *                               "attributes".
+ */
+function getTables(Sequelize) {
+  var timestamps = {
+    createdAt: {type: Sequelize.DATE, allowNull: false},
+    updatedAt: {type: Sequelize.DATE, allowNull: false}
+  };
+  function id() {
+    return {type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true};
+  }
+  function reference(table, allowNull, onDelete) {
+    return {
+      type: table == 'Users' ? Sequelize.STRING : Sequelize.INTEGER,
+      allowNull: allowNull,
+      references: {model: table, key: 'id'},
+      onDelete: onDelete,
+      onUpdate: 'CASCADE'
+    };
+  }
+  return [
+    {name: 'Users', attributes: Object.assign({
+      id: {type: Sequelize.STRING, allowNull: false, primaryKey: true},
+      email: {type: Sequelize.STRING, allowNull: false},
+      name: {type: Sequelize.STRING}
+    }, timestamps)},
+    {name: 'Credentials', attributes: Object.assign({
+      id: id(),
+      accessToken: {type: Sequelize.TEXT},
+      refreshToken: {type: Sequelize.TEXT},
+      expiryDate: {type: Sequelize.BIGINT},
+      scope: {type: Sequelize.TEXT}
+    }, timestamps, {
+      userId: reference('Users', true, 'SET NULL')
+    })},
+    {name: 'Spreadsheets', attributes: Object.assign({
+      id: {type: Sequelize.STRING, allowNull: false, primaryKey: true},
+      sheetId: {type: Sequelize.INTEGER, allowNull: false},
+      name: {type: Sequelize.STRING, allowNull: false}
+    }, timestamps, {
+      ownerId: reference('Users', true, 'SET NULL'),
+      layout: {type: Sequelize.STRING, allowNull: false,
+          defaultValue: 'default'},
+      template: {type: Sequelize.STRING, allowNull: false,
+          defaultValue: 'revenueByProduct'}
+    })},
+    {name: 'Customers', attributes: Object.assign({
+      id: id(),
+      name: {type: Sequelize.STRING, allowNull: false, unique: true}
+    }, timestamps)},
+    {name: 'Products', attributes: Object.assign({
+      id: id(),
+      code: {type: Sequelize.STRING, allowNull: false, unique: true}
+    }, timestamps, {
+      name: {type: Sequelize.STRING},
+      listPrice: {type: Sequelize.FLOAT},
+      active: {type: Sequelize.BOOLEAN, allowNull: false, defaultValue: true}
+    })},
+    {name: 'Orders', attributes: Object.assign({
+      id: id(),
+      status: {type: Sequelize.STRING, allowNull: false,
+          defaultValue: 'PENDING'}
+    }, timestamps, {
+      customerId: reference('Customers', false, 'CASCADE'),
+      currency: {type: Sequelize.STRING, allowNull: false,
+          defaultValue: 'USD'}
+    })},
+    {name: 'OrderLines', attributes: Object.assign({
+      id: id(),
+      unitsOrdered: {type: Sequelize.INTEGER, allowNull: false},
+      unitPrice: {type: Sequelize.FLOAT, allowNull: false}
+    }, timestamps, {
+      orderId: reference('Orders', false, 'CASCADE'),
+      productId: reference('Products', false, 'NO ACTION')
+    })},
+    {name: 'OrderStatusChanges', attributes: {
+      id: id(),
+      fromStatus: {type: Sequelize.STRING},
+      toStatus: {type: Sequelize.STRING, allowNull: false},
+      changedBy: {type: Sequelize.STRING},
+      createdAt: {type: Sequelize.DATE, allowNull: false},
+      orderId: reference('Orders', true, 'CASCADE')
+    }}
+  ];
+}
+
+/**
+ * Adds the columns an existing table is missing, such as those of models
+ * changed after the table was created.
+ * @param  {QueryInterface} queryInterface The query interface.
+ * @param  {Sequelize}      Sequelize      The Sequelize library.
+ * @param  {Object}         table          The table, from getTables().
+ * @return {Promise}                       A promise that resolves once the
+ *                                         columns are added.
+ */
+function addMissingColumns(queryInterface, Sequelize, table) {
+  return queryInterface.describeTable(table.name).then(function(fields) {
+    if (fields[MIGRATED_LATER[table.name]]) {
+      return;
+    }
+    var missing = Object.keys(table.attributes).filter(function(name) {
+      return !fields[name];
+    });
+    return Sequelize.Promise.each(missing, function(name) {
+      return queryInterface.addColumn(table.name, name,
+          table.attributes[name]);
+    });
+  });
+}
+
+module.exports = {
+  up: function(queryInterface, Sequelize) {
+    return queryInterface.showAllTables().then(function(existing) {
+      return Sequelize.Promise.each(getTables(Sequelize), function(table) {
+        if (existing.indexOf(table.name) == -1) {
+          return queryInterface.createTable(table.name, table.attributes);
+        }
+        return addMissingColumns(queryInterface, Sequelize, table);
+      });
+    });
+  },
+
+  down: function(queryInterface, Sequelize) {
+    var tables = getTables(Sequelize).reverse();
+    return Sequelize.Promise.each(tables, function(table) {
+      return queryInterface.dropTable(table.name);
+    });
+  }
+};
@@ -0,0 +1,65 @@
+/*
+  Copyright 2016 Google, Inc.
+
+  Licensed to the Apache Software Foundation (ASF) under one or more contributor
+  license agreements. See the NOTICE file distributed with this work for
+  additional information regarding copyright ownership. The ASF licenses this
+  file to you under the Apache License, Version 2.0 (the "License"); you may not
+  use this file except in compliance with the License. You may obtain a copy of
+  the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+  WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+  License for the specific language governing permissions and limitations under
+  the License.
+*/
+
+'use strict';
+/**
+ * Adds the table recording each sync of a spreadsheet, and the time each
+ * spreadsheet was last synced.
+ */
+
+module.exports = {
+  up: function(queryInterface, Sequelize) {
+    return queryInterface.createTable('SyncRuns', {
+      id: {type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true},
+      status: {type: Sequelize.STRING, allowNull: false,
+          defaultValue: 'RUNNING'},
+      trigger: {type: Sequelize.STRING, allowNull: false},
+      user: {type: Sequelize.STRING},
+      startedAt: {type: Sequelize.DATE, allowNull: false},
+      finishedAt: {type: Sequelize.DATE},
+      duration: {type: Sequelize.INTEGER},
+      rowCount: {type: Sequelize.INTEGER},
+      inserted: {type: Sequelize.INTEGER},
+      updated: {type: Sequelize.INTEGER},
+      removed: {type: Sequelize.INTEGER},
+      requestCount: {type: Sequelize.INTEGER},
+      error: {type: Sequelize.TEXT},
+      createdAt: {type: Sequelize.DATE, allowNull: false},
+      updatedAt: {type: Sequelize.DATE, allowNull: false},
+      spreadsheetId: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        references: {model: 'Spreadsheets', key: 'id'},
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      }
+    }).then(function() {
+      return queryInterface.addColumn('Spreadsheets', 'lastSyncedAt', {
+        type: Sequelize.DATE
+      });
+    });
+  },
+
+  down: function(queryInterface, Sequelize) {
+    return queryInterface.removeColumn('Spreadsheets', 'lastSyncedAt')
+      .then(function() {
+        return queryInterface.dropTable('SyncRuns');
+      });
+  }
+};
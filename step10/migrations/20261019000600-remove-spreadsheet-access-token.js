@@ -0,0 +1,77 @@
+/*
+  Copyright 2016 Google, Inc.
+
+  Licensed to the Apache Software Foundation (ASF) under one or more contributor
+  license agreements. See the NOTICE file distributed with this work for
+  additional information regarding copyright ownership. The ASF licenses this
+  file to you under the Apache License, Version 2.0 (the "License"); you may not
+  use this file except in compliance with the License. You may obtain a copy of
+  the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+  WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+  License for the specific language governing permissions and limitations under
+  the License.
+*/
+
+'use strict';
+/**
+ * Removes the access tokens that were stored in plain text with each
+ * spreadsheet, in databases created before credentials were stored per user.
+ * The tokens were short-lived, and are no longer used.
+ */
+
+var migrator = require('../migrator');
+
+/**
+ * Gets the attributes of the Spreadsheets table once the tokens are removed.
+ * @param  {Sequelize} Sequelize The Sequelize library.
+ * @return {Object}              The attributes.
+ */
+function getAttributes(Sequelize) {
+  return {
+    id: {type: Sequelize.STRING, allowNull: false, primaryKey: true},
+    sheetId: {type: Sequelize.INTEGER, allowNull: false},
+    name: {type: Sequelize.STRING, allowNull: false},
+    createdAt: {type: Sequelize.DATE, allowNull: false},
+    updatedAt: {type: Sequelize.DATE, allowNull: false},
+    ownerId: {
+      type: Sequelize.STRING,
+      allowNull: true,
+      references: {model: 'Users', key: 'id'},
+      onDelete: 'SET NULL',
+      onUpdate: 'CASCADE'
+    },
+    layout: {type: Sequelize.STRING, allowNull: false,
+        defaultValue: 'default'},
+    template: {type: Sequelize.STRING, allowNull: false,
+        defaultValue: 'revenueByProduct'},
+    filter: {type: Sequelize.JSON},
+    partitionBy: {type: Sequelize.STRING},
+    linkStatus: {type: Sequelize.STRING},
+    linkCheckedAt: {type: Sequelize.DATE},
+    lastSyncedAt: {type: Sequelize.DATE}
+  };
+}
+
+module.exports = {
+  up: function(queryInterface, Sequelize) {
+    return queryInterface.describeTable('Spreadsheets').then(function(fields) {
+      if (!fields.accessToken) {
+        return;
+      }
+      if (queryInterface.sequelize.getDialect() == 'sqlite') {
+        return migrator.rebuildTable(queryInterface, 'Spreadsheets',
+            getAttributes(Sequelize));
+      }
+      return queryInterface.removeColumn('Spreadsheets', 'accessToken');
+    });
+  },
+
+  down: function() {
+    // The tokens can't be restored, and the models never read the column.
+  }
+};
@@ -0,0 +1,127 @@
+/*
+  Copyright 2016 Google, Inc.
+
+  Licensed to the Apache Software Foundation (ASF) under one or more contributor
+  license agreements. See the NOTICE file distributed with this work for
+  additional information regarding copyright ownership. The ASF licenses this
+  file to you under the Apache License, Version 2.0 (the "License"); you may not
+  use this file except in compliance with the License. You may obtain a copy of
+  the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+  WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+  License for the specific language governing permissions and limitations under
+  the License.
+*/
+
+'use strict';
+
+/**
+ * Moves the customer, product, units and price stored with each order, in
+ * databases created before orders were split into customers, products and
+ * line items, into those tables. Each order becomes a single line item, priced
+ * in USD, and keeps its ID and status history.
+ */
+
+var migrator = require('../migrator');
+
+// The columns of the orders that are moved.
+var OLD_COLUMNS = ['customerName', 'productCode', 'unitsOrdered', 'unitPrice'];
+
+/**
+ * Gets the attributes of the Orders table once the columns are moved.
+ * @param  {Sequelize} Sequelize The Sequelize library.
+ * @return {Object}              The attributes.
+ */
+function getAttributes(Sequelize) {
+  return {
+    id: {type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true},
+    status: {type: Sequelize.STRING, allowNull: false,
+        defaultValue: 'PENDING'},
+    createdAt: {type: Sequelize.DATE, allowNull: false},
+    updatedAt: {type: Sequelize.DATE, allowNull: false},
+    customerId: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      references: {model: 'Customers', key: 'id'},
+      onDelete: 'CASCADE',
+      onUpdate: 'CASCADE'
+    },
+    currency: {type: Sequelize.STRING, allowNull: false, defaultValue: 'USD'}
+  };
+}
+
+/**
+ * Copies the customers, products and line items out of the orders, and links
+ * each order to its customer.
+ * @param  {QueryInterface} queryInterface The query interface.
+ * @param  {Sequelize}      Sequelize      The Sequelize library.
+ * @return {Promise}                       A promise that resolves once copied.
+ */
+function copyRows(queryInterface, Sequelize) {
+  var sequelize = queryInterface.sequelize;
+  var statements = [
+    'INSERT INTO "Customers" ("name", "createdAt", "updatedAt") ' +
+        'SELECT "customerName", MIN("createdAt"), MAX("updatedAt") ' +
+        'FROM "Orders" WHERE "customerName" NOT IN ' +
+        '(SELECT "name" FROM "Customers") GROUP BY "customerName"',
+    'INSERT INTO "Products" ("code", "active", "createdAt", "updatedAt") ' +
+        'SELECT "productCode", :active, MIN("createdAt"), MAX("updatedAt") ' +
+        'FROM "Orders" WHERE "productCode" NOT IN ' +
+        '(SELECT "code" FROM "Products") GROUP BY "productCode"',
+    'INSERT INTO "OrderLines" ("orderId", "productId", "unitsOrdered", ' +
+        '"unitPrice", "createdAt", "updatedAt") ' +
+        'SELECT "Orders"."id", "Products"."id", "unitsOrdered", "unitPrice", ' +
+        '"Orders"."createdAt", "Orders"."updatedAt" FROM "Orders" ' +
+        'JOIN "Products" ON "Products"."code" = "Orders"."productCode"',
+    'UPDATE "Orders" SET "customerId" = (SELECT "id" FROM "Customers" ' +
+        'WHERE "Customers"."name" = "Orders"."customerName")'
+  ];
+  return Sequelize.Promise.each(statements, function(sql) {
+    return sequelize.query(sql, {replacements: {active: true}});
+  });
+}
+
+module.exports = {
+  up: function(queryInterface, Sequelize) {
+    return queryInterface.describeTable('Orders').then(function(fields) {
+      if (!fields.customerName) {
+        return;
+      }
+      return queryInterface.addColumn('Orders', 'customerId', {
+        type: Sequelize.INTEGER,
+        references: {model: 'Customers', key: 'id'},
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      }).then(function() {
+        return queryInterface.addColumn('Orders', 'currency', {
+          type: Sequelize.STRING,
+          allowNull: false,
+          defaultValue: 'USD'
+        });
+      }).then(function() {
+        return copyRows(queryInterface, Sequelize);
+      }).then(function() {
+        if (queryInterface.sequelize.getDialect() == 'sqlite') {
+          return migrator.rebuildTable(queryInterface, 'Orders',
+              getAttributes(Sequelize));
+        }
+        return queryInterface.changeColumn('Orders', 'customerId', {
+          type: Sequelize.INTEGER,
+          allowNull: false
+        }).then(function() {
+          return Sequelize.Promise.each(OLD_COLUMNS, function(column) {
+            return queryInterface.removeColumn('Orders', column);
+          });
+        });
+      });
+    });
+  },
+
+  down: function() {
+    // Orders can have several line items, which the old columns can't hold.
+  }
+};
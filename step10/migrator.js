@@ -0,0 +1,171 @@
+/*
+  Copyright 2016 Google, Inc.
+
+  Licensed to the Apache Software Foundation (ASF) under one or more contributor
+  license agreements. See the NOTICE file distributed with this work for
+  additional information regarding copyright ownership. The ASF licenses this
+  file to you under the Apache License, Version 2.0 (the "License"); you may not
+  use this file except in compliance with the License. You may obtain a copy of
+  the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+  WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+  License for the specific language governing permissions and limitations under
+  the License.
+*/
+
+'use strict';
+
+var path = require('path');
+var Umzug = require('umzug');
+
+/**
+ * Creates the runner of the migrations in the migrations directory. The
+ * migrations that have been applied are recorded in the SequelizeMeta table,
+ * as with sequelize-cli.
+ * @param  {Sequelize} sequelize The connection to the database.
+ * @return {Umzug}               The runner.
+ */
+function createUmzug(sequelize) {
+  return new Umzug({
+    storage: 'sequelize',
+    storageOptions: {
+      sequelize: sequelize
+    },
+    migrations: {
+      // Each migration's up() and down() are passed the query interface and
+      // the Sequelize library.
+      params: [sequelize.getQueryInterface(), sequelize.constructor],
+      path: path.join(__dirname, 'migrations'),
+      pattern: /^\d+-[\w-]+\.js$/
+    }
+  });
+}
+
+/**
+ * Applies the migrations that haven't been applied yet, in order.
+ * @param  {Sequelize} sequelize The connection to the database.
+ * @param  {string}    to        Optional. The name of the last migration to
+ *                               apply, leaving the later ones pending.
+ * @return {Promise}             A promise for the names of the migrations
+ *                               applied.
+ */
+function up(sequelize, to) {
+  return createUmzug(sequelize).up({to: to}).then(getNames);
+}
+
+/**
+ * Reverts the last migration applied.
+ * @param  {Sequelize} sequelize The connection to the database.
+ * @return {Promise}             A promise for the names of the migrations
+ *                               reverted.
+ */
+function down(sequelize) {
+  return createUmzug(sequelize).down().then(getNames);
+}
+
+/**
+ * Lists the migrations that haven't been applied yet.
+ * @param  {Sequelize} sequelize The connection to the database.
+ * @return {Promise}             A promise for the names of the migrations.
+ */
+function getPending(sequelize) {
+  return createUmzug(sequelize).pending().then(getNames);
+}
+
+/**
+ * Checks that every migration has been applied, so that the database matches
+ * the models.
+ * @param  {Sequelize} sequelize The connection to the database.
+ * @return {Promise}             A promise that is rejected if any migrations
+ *                               are pending.
+ */
+function checkPending(sequelize) {
+  return getPending(sequelize).then(function(pending) {
+    if (pending.length) {
+      throw new Error('The database has pending migrations: ' +
+          pending.join(', ') + '. Run "npm run migrate" to apply them.');
+    }
+  });
+}
+
+/**
+ * Runs changes to the schema with foreign key constraints turned off, for use
+ * in migrations. SQLite changes and removes columns by copying the table and
+ * dropping the original, which would otherwise delete the rows referencing it.
+ * @param  {QueryInterface} queryInterface The query interface of a migration.
+ * @param  {Function}       fn             The function making the changes,
+ *                                         returning a promise.
+ * @return {Promise}                       The promise returned by fn.
+ */
+function withoutForeignKeys(queryInterface, fn) {
+  var sequelize = queryInterface.sequelize;
+  if (sequelize.getDialect() != 'sqlite') {
+    return fn();
+  }
+  return sequelize.query('PRAGMA foreign_keys = OFF')
+    .then(fn)
+    .finally(function() {
+      return sequelize.query('PRAGMA foreign_keys = ON');
+    });
+}
+
+/**
+ * Recreates a table with the given attributes on SQLite, copying the values of
+ * the columns it keeps, so that columns can be removed or changed. The query
+ * interface's removeColumn() and changeColumn() also copy the table on SQLite,
+ * but without its foreign keys. Indexes other than those of unique columns
+ * aren't recreated.
+ * @param  {QueryInterface} queryInterface The query interface of a migration.
+ * @param  {string}         tableName      The name of the table.
+ * @param  {Object}         attributes     The attributes of the table once
+ *                                         rebuilt, as for createTable(). Each
+ *                                         must be a column of the old table.
+ * @return {Promise}                       A promise that resolves once the
+ *                                         table is rebuilt.
+ */
+function rebuildTable(queryInterface, tableName, attributes) {
+  var sequelize = queryInterface.sequelize;
+  var newName = tableName + '_rebuilt';
+  var columns = Object.keys(attributes).map(function(name) {
+    return queryInterface.quoteIdentifier(name);
+  }).join(', ');
+  return withoutForeignKeys(queryInterface, function() {
+    return queryInterface.createTable(newName, attributes)
+      .then(function() {
+        return sequelize.query('INSERT INTO ' +
+            queryInterface.quoteIdentifier(newName) + ' (' + columns +
+            ') SELECT ' + columns + ' FROM ' +
+            queryInterface.quoteIdentifier(tableName));
+      })
+      .then(function() {
+        return queryInterface.dropTable(tableName);
+      })
+      .then(function() {
+        return queryInterface.renameTable(newName, tableName);
+      });
+  });
+}
+
+/**
+ * Gets the names of migrations.
+ * @param  {Array} migrations The migrations, as returned by Umzug.
+ * @return {Array}            The names of the migrations.
+ */
+function getNames(migrations) {
+  return migrations.map(function(migration) {
+    return migration.file;
+  });
+}
+
+module.exports = {
+  up: up,
+  down: down,
+  getPending: getPending,
+  checkPending: checkPending,
+  withoutForeignKeys: withoutForeignKeys,
+  rebuildTable: rebuildTable
+};
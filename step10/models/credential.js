@@ -0,0 +1,36 @@
+/*
+  Copyright 2016 Google, Inc.
+
+  Licensed to the Apache Software Foundation (ASF) under one or more contributor
+  license agreements. See the NOTICE file distributed with this work for
+  additional information regarding copyright ownership. The ASF licenses this
+  file to you under the Apache License, Version 2.0 (the "License"); you may not
+  use this file except in compliance with the License. You may obtain a copy of
+  the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+  WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+  License for the specific language governing permissions and limitations under
+  the License.
+*/
+
+"use strict";
+
+module.exports = function(sequelize, DataTypes) {
+  var Credential = sequelize.define('Credential', {
+    accessToken: {type: DataTypes.TEXT},
+    refreshToken: {type: DataTypes.TEXT},
+    // The time the access token expires, in milliseconds since the epoch.
+    expiryDate: {type: DataTypes.BIGINT},
+    scope: {type: DataTypes.TEXT}
+  });
+
+  Credential.associate = function(models) {
+    Credential.belongsTo(models.User, {foreignKey: 'userId'});
+  };
+
+  return Credential;
+};
@@ -19,14 +19,99 @@
 
 "use strict";
 
+var currencies = require('../currencies');
+
+var STATUSES = ['PENDING', 'SHIPPED', 'DELIVERED', 'CANCELLED', 'RETURNED'];
+
+// The statuses an order can move to from each status.
+var TRANSITIONS = {
+  PENDING: ['SHIPPED', 'CANCELLED'],
+  SHIPPED: ['DELIVERED', 'RETURNED'],
+  DELIVERED: ['RETURNED'],
+  CANCELLED: [],
+  RETURNED: []
+};
+
 module.exports = function(sequelize, DataTypes) {
   var Order = sequelize.define('Order', {
-    customerName: {type: DataTypes.STRING, allowNull: false},
-    productCode: {type: DataTypes.STRING, allowNull: false},
-    unitsOrdered: {type: DataTypes.INTEGER, allowNull: false},
-    unitPrice: {type: DataTypes.FLOAT, allowNull: false},
-    status: {type: DataTypes.STRING, allowNull: false, defaultValue: 'PENDING'}
+    currency: {type: DataTypes.STRING, allowNull: false,
+        defaultValue: currencies.BASE_CURRENCY,
+        validate: {isIn: {
+          args: [currencies.getCodes()],
+          msg: 'Currency must be one of ' + currencies.getCodes().join(', ') +
+              '.'
+        }}},
+    status: {type: DataTypes.STRING, allowNull: false, defaultValue: 'PENDING',
+        validate: {isIn: {
+          args: [STATUSES],
+          msg: 'Status must be one of ' + STATUSES.join(', ') + '.'
+        }, isAllowedTransition: function(value) {
+          var previous = this.previous('status');
+          if (!this.isNewRecord && previous != value &&
+              !canTransition(previous, value)) {
+            throw new Error('Status can\'t change from ' + previous + ' to ' +
+                value + '.');
+          }
+        }}}
   });
 
+  Order.STATUSES = STATUSES;
+  Order.canTransition = canTransition;
+
+  /**
+   * Gets the statuses an order with the given status can move to.
+   * @param  {string} status The current status.
+   * @return {Array}         The statuses.
+   */
+  Order.getNextStatuses = function(status) {
+    return TRANSITIONS[status] || [];
+  };
+
+  Order.associate = function(models) {
+    Order.belongsTo(models.Customer, {
+      as: 'customer',
+      foreignKey: {name: 'customerId', allowNull: false}
+    });
+    Order.hasMany(models.OrderLine, {
+      as: 'lines',
+      foreignKey: {name: 'orderId', allowNull: false},
+      onDelete: 'CASCADE'
+    });
+    Order.hasMany(models.OrderStatusChange, {
+      as: 'statusChanges',
+      foreignKey: 'orderId',
+      onDelete: 'CASCADE'
+    });
+
+    // Record every change of status. The email of the user making the change
+    // can be passed as the "changedBy" option when saving.
+    function record(order, fromStatus, options) {
+      return models.OrderStatusChange.create({
+        orderId: order.id,
+        fromStatus: fromStatus,
+        toStatus: order.status,
+        changedBy: options.changedBy || null
+      }, {transaction: options.transaction});
+    }
+    Order.addHook('afterCreate', 'statusHistory', function(order, options) {
+      return record(order, null, options);
+    });
+    Order.addHook('afterUpdate', 'statusHistory', function(order, options) {
+      if (order.changed('status')) {
+        return record(order, order.previous('status'), options);
+      }
+    });
+  };
+
   return Order;
 };
+
+/**
+ * Checks whether an order can move from one status to another.
+ * @param  {string}  from The current status.
+ * @param  {string}  to   The new status.
+ * @return {Boolean}      True if the transition is allowed.
+ */
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).indexOf(to) != -1;
+}
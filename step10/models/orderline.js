@@ -0,0 +1,48 @@
+/*
+  Copyright 2016 Google, Inc.
+
+  Licensed to the Apache Software Foundation (ASF) under one or more contributor
+  license agreements. See the NOTICE file distributed with this work for
+  additional information regarding copyright ownership. The ASF licenses this
+  file to you under the Apache License, Version 2.0 (the "License"); you may not
+  use this file except in compliance with the License. You may obtain a copy of
+  the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+  WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+  License for the specific language governing permissions and limitations under
+  the License.
+*/
+
+"use strict";
+
+module.exports = function(sequelize, DataTypes) {
+  var OrderLine = sequelize.define('OrderLine', {
+    unitsOrdered: {type: DataTypes.INTEGER, allowNull: false, validate: {
+      notNull: {msg: 'Units ordered is required.'},
+      isInt: {msg: 'Units ordered must be a positive integer.'},
+      min: {args: [1], msg: 'Units ordered must be a positive integer.'}
+    }},
+    unitPrice: {type: DataTypes.FLOAT, allowNull: false, validate: {
+      notNull: {msg: 'Unit price is required.'},
+      isFloat: {msg: 'Unit price must be a positive number.'},
+      min: {args: [0], msg: 'Unit price must be a positive number.'}
+    }}
+  });
+
+  OrderLine.associate = function(models) {
+    OrderLine.belongsTo(models.Order, {
+      foreignKey: {name: 'orderId', allowNull: false},
+      onDelete: 'CASCADE'
+    });
+    OrderLine.belongsTo(models.Product, {
+      as: 'product',
+      foreignKey: {name: 'productId', allowNull: false}
+    });
+  };
+
+  return OrderLine;
+};
@@ -23,8 +23,41 @@ module.exports = function(sequelize, DataTypes) {
   var Spreadsheet = sequelize.define('Spreadsheet', {
     id: {type: DataTypes.STRING, allowNull: false, primaryKey: true},
     sheetId: {type: DataTypes.INTEGER, allowNull: false},
-    name: {type: DataTypes.STRING, allowNull: false}
+    name: {type: DataTypes.STRING, allowNull: false},
+    // The name of the column layout, as configured in config.json.
+    layout: {type: DataTypes.STRING, allowNull: false, defaultValue: 'default'},
+    // The name of the report template, as registered in templates.js.
+    template: {type: DataTypes.STRING, allowNull: false,
+        defaultValue: 'revenueByProduct'},
+    // The filter definition limiting the orders synced, as checked by
+    // orders.checkFilter(), or null to sync every order.
+    filter: {type: DataTypes.JSON},
+    // The field the orders are split into one tab per value of, one of the
+    // keys of SheetsHelper.PARTITIONS, or null to sync them to a single sheet.
+    partitionBy: {type: DataTypes.STRING},
+    // The status of the link to the spreadsheet when it was last checked, one
+    // of the keys of links.STATUSES, or null if it hasn't been checked.
+    linkStatus: {type: DataTypes.STRING},
+    linkCheckedAt: {type: DataTypes.DATE},
+    // When the orders were last synced to the spreadsheet successfully.
+    lastSyncedAt: {type: DataTypes.DATE},
+    // The hash of the template and columns the derived sheets were last built
+    // from, as returned by templates.getHash().
+    derivedSheetsHash: {type: DataTypes.STRING},
+    // The ID of the last change of order status written to the History sheet,
+    // or null if the sheet is to be written afresh.
+    historySyncedId: {type: DataTypes.INTEGER}
   });
 
+  Spreadsheet.associate = function(models) {
+    // The user whose credentials are used for automatic syncs.
+    Spreadsheet.belongsTo(models.User, {as: 'owner', foreignKey: 'ownerId'});
+    Spreadsheet.hasMany(models.SyncRun, {
+      as: 'syncRuns',
+      foreignKey: {name: 'spreadsheetId', allowNull: false},
+      onDelete: 'CASCADE'
+    });
+  };
+
   return Spreadsheet;
 };
@@ -0,0 +1,44 @@
+/*
+  Copyright 2016 Google, Inc.
+
+  Licensed to the Apache Software Foundation (ASF) under one or more contributor
+  license agreements. See the NOTICE file distributed with this work for
+  additional information regarding copyright ownership. The ASF licenses this
+  file to you under the Apache License, Version 2.0 (the "License"); you may not
+  use this file except in compliance with the License. You may obtain a copy of
+  the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+  WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+  License for the specific language governing permissions and limitations under
+  the License.
+*/
+
+"use strict";
+
+module.exports = function(sequelize, DataTypes) {
+  var SyncedRow = sequelize.define('SyncedRow', {
+    // The values of the row in the spreadsheet when it was last synced or
+    // pulled, keyed by field, which tell the changes made in the spreadsheet
+    // from those made to the orders since.
+    rowValues: {type: DataTypes.JSON, allowNull: false}
+  }, {
+    indexes: [{unique: true, fields: ['spreadsheetId', 'lineId']}]
+  });
+
+  SyncedRow.associate = function(models) {
+    SyncedRow.belongsTo(models.Spreadsheet, {
+      foreignKey: {name: 'spreadsheetId', allowNull: false},
+      onDelete: 'CASCADE'
+    });
+    SyncedRow.belongsTo(models.OrderLine, {
+      foreignKey: {name: 'lineId', allowNull: false},
+      onDelete: 'CASCADE'
+    });
+  };
+
+  return SyncedRow;
+};
@@ -0,0 +1,70 @@
+/*
+  Copyright 2016 Google, Inc.
+
+  Licensed to the Apache Software Foundation (ASF) under one or more contributor
+  license agreements. See the NOTICE file distributed with this work for
+  additional information regarding copyright ownership. The ASF licenses this
+  file to you under the Apache License, Version 2.0 (the "License"); you may not
+  use this file except in compliance with the License. You may obtain a copy of
+  the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+  WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+  License for the specific language governing permissions and limitations under
+  the License.
+*/
+
+"use strict";
+
+var STATUSES = ['RUNNING', 'SUCCEEDED', 'FAILED'];
+
+// Whether a sync was started by a user, or by a change to the orders.
+var TRIGGERS = ['MANUAL', 'AUTO'];
+
+module.exports = function(sequelize, DataTypes) {
+  var SyncRun = sequelize.define('SyncRun', {
+    // One of SyncRun.STATUSES.
+    status: {type: DataTypes.STRING, allowNull: false,
+        defaultValue: 'RUNNING', validate: {isIn: [STATUSES]}},
+    // One of SyncRun.TRIGGERS.
+    trigger: {type: DataTypes.STRING, allowNull: false,
+        validate: {isIn: [TRIGGERS]}},
+    // The email of the user who started the sync, or whose credentials an
+    // automatic sync used, if known.
+    user: {type: DataTypes.STRING},
+    startedAt: {type: DataTypes.DATE, allowNull: false},
+    finishedAt: {type: DataTypes.DATE},
+    // The time taken, in milliseconds.
+    duration: {type: DataTypes.INTEGER},
+    // The number of rows synced, and how many of them were inserted, updated
+    // and removed.
+    rowCount: {type: DataTypes.INTEGER},
+    inserted: {type: DataTypes.INTEGER},
+    updated: {type: DataTypes.INTEGER},
+    removed: {type: DataTypes.INTEGER},
+    // The number of rows written to the data sheet so far, including the
+    // header row when the sheet is rewritten. Only the changed rows are
+    // written, so this is usually less than the number of rows synced.
+    rowsWritten: {type: DataTypes.INTEGER},
+    // The number of requests made to the Sheets and Drive APIs.
+    requestCount: {type: DataTypes.INTEGER},
+    // The error message, if the sync failed.
+    error: {type: DataTypes.TEXT}
+  });
+
+  SyncRun.STATUSES = STATUSES;
+  SyncRun.TRIGGERS = TRIGGERS;
+
+  SyncRun.associate = function(models) {
+    SyncRun.belongsTo(models.Spreadsheet, {
+      as: 'spreadsheet',
+      foreignKey: {name: 'spreadsheetId', allowNull: false},
+      onDelete: 'CASCADE'
+    });
+  };
+
+  return SyncRun;
+};
@@ -0,0 +1,886 @@
+/*
+  Copyright 2016 Google, Inc.
+
+  Licensed to the Apache Software Foundation (ASF) under one or more contributor
+  license agreements. See the NOTICE file distributed with this work for
+  additional information regarding copyright ownership. The ASF licenses this
+  file to you under the Apache License, Version 2.0 (the "License"); you may not
+  use this file except in compliance with the License. You may obtain a copy of
+  the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+  WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+  License for the specific language governing permissions and limitations under
+  the License.
+*/
+
+'use strict';
+
+var Sequelize = require('sequelize');
+var currencies = require('./currencies');
+var badRequest = require('./errors').badRequest;
+
+// The fields of the rows orders are flattened into, one row per line item. The
+// base unit price is the unit price converted to the base currency.
+var ROW_FIELDS = ['id', 'lineId', 'customerName', 'productCode', 'productName',
+    'unitsOrdered', 'unitPrice', 'currency', 'baseUnitPrice', 'status',
+    'createdAt', 'updatedAt'];
+
+// The fields orders can be sorted by when searching. Orders are sorted by
+// product by the first product code of their line items.
+var SORT_FIELDS = ['id', 'customerName', 'productCode', 'currency', 'status',
+    'createdAt', 'updatedAt'];
+
+// The fields of a filter definition, with their labels.
+var FILTER_LABELS = {
+  q: 'Search',
+  customerName: 'Customer',
+  productCode: 'Product',
+  status: 'Status',
+  currency: 'Currency',
+  from: 'From',
+  to: 'To'
+};
+var FILTER_FIELDS = Object.keys(FILTER_LABELS);
+
+var DEFAULT_PAGE_SIZE = 20;
+var MAX_PAGE_SIZE = 100;
+
+// The number of orders loaded at a time when flattening them into rows.
+var ROWS_PAGE_SIZE = 500;
+
+var MILLIS_PER_DAY = 24 * 60 * 60 * 1000;
+
+var Op = Sequelize.Op;
+
+/**
+ * Gets the associations to include when loading orders.
+ * @param  {Object} models The loaded models.
+ * @return {Array}         The include option for Sequelize.
+ */
+function getIncludes(models) {
+  return [
+    {model: models.Customer, as: 'customer'},
+    {
+      model: models.OrderLine,
+      as: 'lines',
+      include: [{model: models.Product, as: 'product'}]
+    }
+  ];
+}
+
+/**
+ * Finds orders along with their customer and line items.
+ * @param  {Object}  models  The loaded models.
+ * @param  {Object}  options The options for the query, such as "where".
+ * @return {Promise}         A promise for the orders.
+ */
+function findAll(models, options) {
+  return models.Order.findAll(Object.assign({
+    include: getIncludes(models),
+    order: [['id', 'ASC'], [{model: models.OrderLine, as: 'lines'}, 'id',
+        'ASC']]
+  }, options));
+}
+
+/**
+ * Finds an order along with its customer and line items.
+ * @param  {Object}  models  The loaded models.
+ * @param  {string}  id      The ID of the order.
+ * @param  {Object}  options The options for the query, such as the
+ *                           transaction.
+ * @return {Promise}         A promise for the order, rejected with a 404 error
+ *                           if it doesn't exist.
+ */
+function findOne(models, id, options) {
+  return findAll(models, Object.assign({where: {id: id}}, options))
+    .then(function(orders) {
+      if (!orders.length) {
+        throw notFound('Order not found: ' + id);
+      }
+      return orders[0];
+    });
+}
+
+/**
+ * Finds a page of orders matching a query, such as the query string of a
+ * request. Empty values are ignored. The query can have the keys of a filter,
+ * as for checkFilter(), as well as:
+ *   sort:     A comma separated list of fields to sort by, each prefixed with
+ *             "-" to sort in descending order.
+ *   page:     The page of results, starting from 1.
+ *   pageSize: The number of orders per page, up to 100.
+ * @param  {Object}  models  The loaded models.
+ * @param  {Object}  query   The query.
+ * @param  {Object}  options The options for loading the orders found, as for
+ *                           findAll(), and "defaultSort", the sort used if the
+ *                           query has none, which defaults to "id".
+ * @return {Promise}         A promise for the result, with the keys "orders",
+ *                           "page", "pageSize" and "total". Rejected with a
+ *                           400 error if the query is invalid.
+ */
+function search(models, query, options) {
+  options = Object.assign({}, options);
+  var defaultSort = options.defaultSort || 'id';
+  delete options.defaultSort;
+  var params = trimValues(query);
+  var order;
+  var page;
+  var pageSize;
+  return getFilterQuery(models, params).then(function(filterQuery) {
+    order = parseSort(models, params.sort || defaultSort,
+        filterQuery.include[0]);
+    page = parsePositiveInt(params.page, 1, 'page');
+    pageSize = Math.min(parsePositiveInt(params.pageSize, DEFAULT_PAGE_SIZE,
+        'pageSize'), MAX_PAGE_SIZE);
+    // Find the page of orders first, then load their line items.
+    return models.Order.findAndCountAll(Object.assign({
+      attributes: ['id'],
+      order: order,
+      offset: (page - 1) * pageSize,
+      limit: pageSize
+    }, filterQuery));
+  }).then(function(result) {
+    var ids = result.rows.map(function(order) {
+      return order.id;
+    });
+    options.where = {id: ids};
+    return findAll(models, options).then(function(found) {
+      found.sort(function(a, b) {
+        return ids.indexOf(a.id) - ids.indexOf(b.id);
+      });
+      return {
+        orders: found,
+        page: page,
+        pageSize: pageSize,
+        total: result.count
+      };
+    });
+  });
+}
+
+/**
+ * Checks a filter definition, which limits the orders searched or synced to a
+ * spreadsheet. Empty values are ignored. The filter can have the keys:
+ *   customerName, currency, status: Only include orders with this value.
+ *   productCode: Only include orders with a line item for this product.
+ *   from, to: Only include orders created on or after, or on or before, this
+ *             date, as "yyyy-mm-dd" in UTC.
+ *   q:        Only include orders with this ID, or whose customer name or the
+ *             code or name of one of whose products contains this text,
+ *             ignoring case.
+ * @param  {Object} models The loaded models.
+ * @param  {Object} filter The filter definition.
+ * @return {Object}        The filter, with its values trimmed and the empty
+ *                         ones removed, or null if it has none.
+ * @throws {Error}         A 400 error if the filter is invalid.
+ */
+function checkFilter(models, filter) {
+  filter = trimValues(filter);
+  Object.keys(filter).forEach(function(key) {
+    var value = filter[key];
+    if (FILTER_FIELDS.indexOf(key) == -1) {
+      throw badRequest('Invalid filter field: ' + key);
+    }
+    if (key == 'status' && models.Order.STATUSES.indexOf(value) == -1) {
+      throw badRequest('Invalid status: ' + value);
+    }
+    if (key == 'currency' && currencies.getCodes().indexOf(value) == -1) {
+      throw badRequest('Invalid currency: ' + value);
+    }
+    if (key == 'from' || key == 'to') {
+      parseDate(value, key);
+    }
+  });
+  return Object.keys(filter).length ? filter : null;
+}
+
+/**
+ * Describes a filter definition for display, such as "Status: SHIPPED,
+ * Customer: Alice".
+ * @param  {Object} filter The filter definition, or null.
+ * @return {string}        The description, or null if there is no filter.
+ */
+function describeFilter(filter) {
+  if (!filter) {
+    return null;
+  }
+  return FILTER_FIELDS.filter(function(key) {
+    return filter[key] !== undefined;
+  }).map(function(key) {
+    return FILTER_LABELS[key] + ': ' + filter[key];
+  }).join(', ');
+}
+
+/**
+ * Finds orders and flattens them into rows, one per line item, as shown in
+ * the data sheet. Each row has the keys listed in ROW_FIELDS.
+ * @param  {Object}  models  The loaded models.
+ * @param  {Object}  options The options for the query, as for
+ *                           findRowsInPages().
+ * @return {Promise}         A promise for the rows.
+ */
+function findRows(models, options) {
+  var rows = [];
+  return findRowsInPages(models, options, function(page) {
+    Array.prototype.push.apply(rows, page);
+  }).then(function() {
+    return rows;
+  });
+}
+
+/**
+ * Finds orders and flattens them into rows, loading them a page at a time so
+ * that large numbers of orders aren't all loaded at once. Each page is found
+ * by the IDs after the last one of the page before, so that no more than a
+ * page of orders is held in memory.
+ * @param  {Object}   models  The loaded models.
+ * @param  {Object}   options The options for the query, such as "where",
+ *                            "filter", a filter definition the orders must
+ *                            match, as for checkFilter(), and "pageSize", the
+ *                            number of orders in each page.
+ * @param  {Function} onPage  The function called with the rows of each page in
+ *                            turn, and the progress, with the keys "loaded"
+ *                            and "total", the numbers of orders loaded so far
+ *                            and in all. It can return a promise to wait for
+ *                            before loading the next page.
+ * @return {Promise}          A promise that resolves once every page is
+ *                            loaded.
+ */
+function findRowsInPages(models, options, onPage) {
+  options = Object.assign({}, options);
+  var filter = options.filter;
+  var pageSize = options.pageSize || ROWS_PAGE_SIZE;
+  delete options.filter;
+  delete options.pageSize;
+  var promise = filter ? getFilterQuery(models, trimValues(filter)) :
+      Sequelize.Promise.resolve({});
+  return promise.then(function(filterQuery) {
+    var conditions = [options.where || {}, filterQuery.where || {}];
+    var loaded = 0;
+    function findPage(lastId, total) {
+      return models.Order.findAll(Object.assign({
+        attributes: ['id'],
+        order: [['id', 'ASC']],
+        limit: pageSize,
+        raw: true
+      }, filterQuery, {
+        where: {[Op.and]: conditions.concat({id: {[Op.gt]: lastId}})}
+      })).then(function(found) {
+        if (found.length == 0) {
+          return;
+        }
+        var ids = found.map(function(order) {
+          return order.id;
+        });
+        return findAll(models, Object.assign({}, options, {where: {id: ids}}))
+          .then(function(orders) {
+            loaded += ids.length;
+            return onPage(orders.reduce(function(rows, order) {
+              return rows.concat(toRows(order));
+            }, []), {loaded: loaded, total: total});
+          }).then(function() {
+            if (ids.length == pageSize) {
+              return findPage(ids[ids.length - 1], total);
+            }
+          });
+      });
+    }
+    return models.Order.count(Object.assign({}, filterQuery, {
+      where: {[Op.and]: conditions}
+    })).then(function(total) {
+      return findPage(0, total);
+    });
+  });
+}
+
+/**
+ * Flattens an order into rows, one per line item.
+ * @param  {Object} order The order, loaded with its customer and line items.
+ * @return {Array}        The rows.
+ */
+function toRows(order) {
+  return order.lines.map(function(line) {
+    return {
+      id: order.id,
+      lineId: line.id,
+      customerName: order.customer.name,
+      productCode: line.product.code,
+      productName: line.product.name || line.product.code,
+      unitsOrdered: line.unitsOrdered,
+      unitPrice: line.unitPrice,
+      currency: order.currency,
+      baseUnitPrice: currencies.convert(line.unitPrice, order.currency),
+      status: order.status,
+      createdAt: order.createdAt,
+      updatedAt: order.updatedAt
+    };
+  });
+}
+
+/**
+ * Converts an order to a plain object, with its line items nested.
+ * @param  {Object} order The order, loaded with its customer and line items.
+ * @return {Object}       The plain object.
+ */
+function toJSON(order) {
+  return {
+    id: order.id,
+    customerName: order.customer.name,
+    currency: order.currency,
+    status: order.status,
+    lines: order.lines.map(function(line) {
+      return {
+        id: line.id,
+        productCode: line.product.code,
+        productName: line.product.name,
+        unitsOrdered: line.unitsOrdered,
+        unitPrice: line.unitPrice
+      };
+    }),
+    createdAt: order.createdAt,
+    updatedAt: order.updatedAt
+  };
+}
+
+/**
+ * Creates or updates an order along with its line items, in a transaction.
+ * @param  {Object}  models  The loaded models.
+ * @param  {Object}  order   The order to update, or null to create one.
+ * @param  {Object}  values  The values to set, with the keys "customerName",
+ *                           "currency", "status" and "lines". Each line
+ *                           has the keys "id", "productCode", "unitsOrdered"
+ *                           and "unitPrice". Lines with an ID update that
+ *                           line, others are added, and existing lines not
+ *                           listed are removed. Keys that aren't set are left
+ *                           unchanged.
+ * @param  {Object}  options The options for saving, such as "changedBy".
+ * @return {Promise}         A promise for the saved order, reloaded.
+ */
+function save(models, order, values, options) {
+  if (!order && values.customerName === undefined) {
+    values = Object.assign({customerName: null}, values);
+  }
+  if (!order && values.lines === undefined) {
+    values = Object.assign({lines: []}, values);
+  }
+  return transact(models, options, function(options) {
+    return saveOrder(models, order, values, options).spread(function(saved) {
+      order = saved;
+      if (values.lines !== undefined) {
+        return saveLines(models, order, values.lines, options);
+      }
+    });
+  }).then(function() {
+    return findOne(models, order.id, {
+      transaction: options && options.transaction
+    });
+  });
+}
+
+/**
+ * Saves a row in the flattened form returned by findRows(). A row with a line
+ * ID updates that line and its order, a row with only an order ID adds a line
+ * to that order, and a row with neither creates an order with a single line.
+ * @param  {Object}  models  The loaded models.
+ * @param  {Object}  row     The row, keyed by field.
+ * @param  {Object}  options The options for saving, such as "changedBy".
+ * @return {Promise}         A promise for true if anything changed.
+ */
+function saveRow(models, row, options) {
+  return transact(models, options, function(options) {
+    var promise;
+    if (row.lineId) {
+      promise = models.OrderLine.findByPk(row.lineId, options)
+        .then(function(line) {
+          if (!line || (row.id && line.orderId != row.id)) {
+            throw notFound('Line not found: ' + row.lineId);
+          }
+          return [line.orderId, line];
+        });
+    } else {
+      promise = Sequelize.Promise.resolve([row.id, null]);
+    }
+    return promise.spread(function(orderId, line) {
+      var promise = orderId ?
+          models.Order.findByPk(orderId, options).then(function(order) {
+            if (!order) {
+              throw notFound('Order not found: ' + orderId);
+            }
+            return order;
+          }) : Sequelize.Promise.resolve(null);
+      return promise.then(function(order) {
+        var values = {
+          customerName: order ? row.customerName : row.customerName || null,
+          currency: row.currency,
+          status: row.status
+        };
+        return saveOrder(models, order, values, options);
+      }).spread(function(order, isChanged) {
+        return saveLine(models, order, line, row, options)
+          .then(function(isLineChanged) {
+            return isChanged || isLineChanged;
+          });
+      });
+    });
+  });
+}
+
+/**
+ * Validates a row in the flattened form returned by findRows(), by saving it
+ * in a transaction that is then rolled back.
+ * @param  {Object}  models The loaded models.
+ * @param  {Object}  row    The row, keyed by field.
+ * @return {Promise}        A promise for the list of error messages.
+ */
+function validateRow(models, row) {
+  var rollback = new Error('Rollback');
+  return models.sequelize.transaction(function(transaction) {
+    // Skip the hooks, so that nothing is recorded or synced.
+    var options = {transaction: transaction, hooks: false};
+    return saveRow(models, row, options).then(function() {
+      throw rollback;
+    });
+  }).then(null, function(err) {
+    if (err === rollback) {
+      return [];
+    }
+    if (err instanceof Sequelize.ValidationError) {
+      return err.errors.map(function(error) {
+        return error.message;
+      });
+    }
+    if (err.status == 404) {
+      return [err.message];
+    }
+    throw err;
+  });
+}
+
+/**
+ * Sets the customer, currency and status of an order and saves it.
+ * @param  {Object}  models  The loaded models.
+ * @param  {Object}  order   The order, or null to create one.
+ * @param  {Object}  values  The values, with the keys "customerName",
+ *                           "currency" and "status".
+ * @param  {Object}  options The options for saving.
+ * @return {Promise}         A promise for the order, and true if it was
+ *                           saved.
+ */
+function saveOrder(models, order, values, options) {
+  order = order || models.Order.build();
+  var promise = findOrCreateCustomer(models, values.customerName, options);
+  return promise.then(function(customer) {
+    if (customer) {
+      order.customerId = customer.id;
+    }
+    if (values.currency !== undefined && values.currency !== null) {
+      order.currency = values.currency;
+    }
+    if (values.status !== undefined && values.status !== null) {
+      order.status = values.status;
+    }
+    if (!order.isNewRecord && order.changed() === false) {
+      return [order, false];
+    }
+    return order.save(options).then(function() {
+      return [order, true];
+    });
+  });
+}
+
+/**
+ * Replaces the line items of an order.
+ * @param  {Object}  models  The loaded models.
+ * @param  {Object}  order   The saved order.
+ * @param  {Array}   lines   The values of the lines.
+ * @param  {Object}  options The options for saving.
+ * @return {Promise}         A promise that resolves once the lines are saved.
+ */
+function saveLines(models, order, lines, options) {
+  if (!Array.isArray(lines) || lines.length == 0) {
+    return Sequelize.Promise.reject(validationError('lines',
+        'An order must have at least one line.'));
+  }
+  return models.OrderLine.findAll(Object.assign({
+    where: {orderId: order.id}
+  }, options)).then(function(existing) {
+    var kept = {};
+    return Sequelize.Promise.each(lines, function(values) {
+      var line = null;
+      if (values.id) {
+        line = existing.filter(function(line) {
+          return line.id == values.id;
+        })[0];
+        if (!line) {
+          throw notFound('Line not found: ' + values.id);
+        }
+        kept[line.id] = true;
+      }
+      return saveLine(models, order, line, values, options);
+    }).then(function() {
+      return Sequelize.Promise.each(existing, function(line) {
+        if (!kept[line.id]) {
+          return line.destroy(options);
+        }
+      });
+    });
+  });
+}
+
+/**
+ * Sets the product, units and price of a line item and saves it. The product
+ * must be in the catalog, and active if it's being added to the order. The
+ * unit price of a new line defaults to the product's list price, converted to
+ * the currency of the order.
+ * @param  {Object}  models  The loaded models.
+ * @param  {Object}  order   The saved order the line belongs to.
+ * @param  {Object}  line    The line, or null to add one.
+ * @param  {Object}  values  The values, with the keys "productCode",
+ *                           "unitsOrdered" and "unitPrice".
+ * @param  {Object}  options The options for saving.
+ * @return {Promise}         A promise for true if the line was saved.
+ */
+function saveLine(models, order, line, values, options) {
+  var productCode = values.productCode;
+  if (!line) {
+    line = models.OrderLine.build({orderId: order.id});
+    productCode = productCode || null;
+  }
+  return findProduct(models, productCode, options).then(function(product) {
+    var unitPrice = values.unitPrice;
+    if (product && product.id != line.productId) {
+      if (!product.active) {
+        throw validationError('productCode', 'Product ' + product.code +
+            ' is no longer available.');
+      }
+      line.productId = product.id;
+    }
+    if (line.isNewRecord && (unitPrice == null || unitPrice === '')) {
+      unitPrice = currencies.convert(product.listPrice,
+          currencies.BASE_CURRENCY, order.currency);
+    }
+    if (unitPrice !== undefined) {
+      line.set('unitPrice', unitPrice);
+    }
+    if (values.unitsOrdered !== undefined) {
+      line.set('unitsOrdered', values.unitsOrdered);
+    }
+    if (!line.isNewRecord && line.changed() === false) {
+      return false;
+    }
+    return line.save(options).then(function() {
+      return true;
+    });
+  });
+}
+
+/**
+ * Builds the query options for the orders matching a filter.
+ * @param  {Object}  models The loaded models.
+ * @param  {Object}  params The filter, with its values trimmed and the empty
+ *                          ones removed. Other keys are ignored.
+ * @return {Promise}        A promise for the options "where" and "include",
+ *                          which includes the order's customer first.
+ *                          Rejected with a 400 error if the filter is invalid.
+ */
+function getFilterQuery(models, params) {
+  var conditions = [];
+  var customer = {model: models.Customer, as: 'customer'};
+  return Sequelize.Promise.try(function() {
+    ['currency', 'status'].forEach(function(field) {
+      if (params[field] !== undefined) {
+        conditions.push({[field]: params[field]});
+      }
+    });
+    if (params.customerName !== undefined) {
+      customer.where = {name: params.customerName};
+    }
+    if (params.from !== undefined) {
+      conditions.push({createdAt: {[Op.gte]: parseDate(params.from, 'from')}});
+    }
+    if (params.to !== undefined) {
+      var end = new Date(parseDate(params.to, 'to').getTime() + MILLIS_PER_DAY);
+      conditions.push({createdAt: {[Op.lt]: end}});
+    }
+    if (params.productCode !== undefined) {
+      return findOrderIdsForProducts(models, {code: params.productCode})
+        .then(function(ids) {
+          conditions.push({id: ids});
+        });
+    }
+  }).then(function() {
+    if (params.q === undefined) {
+      return;
+    }
+    var pattern = '%' + params.q.toLowerCase() + '%';
+    return findOrderIdsForProducts(models, {[Op.or]: [
+      containsText('product.code', pattern),
+      containsText('product.name', pattern)
+    ]}).then(function(ids) {
+      var matches = [
+        containsText('customer.name', pattern),
+        {id: ids}
+      ];
+      if (/^\d+$/.test(params.q)) {
+        matches.push({id: Number(params.q)});
+      }
+      conditions.push({[Op.or]: matches});
+    });
+  }).then(function() {
+    return {
+      where: {[Op.and]: conditions},
+      include: [customer]
+    };
+  });
+}
+
+/**
+ * Copies the values of a query or filter that aren't empty, as trimmed
+ * strings.
+ * @param  {Object} query The query or filter, or null.
+ * @return {Object}       The values.
+ */
+function trimValues(query) {
+  var result = {};
+  Object.keys(query || {}).forEach(function(key) {
+    if (query[key] !== '' && query[key] != null) {
+      var value = String(query[key]).trim();
+      if (value) {
+        result[key] = value;
+      }
+    }
+  });
+  return result;
+}
+
+/**
+ * Finds the IDs of the orders with a line item for a product matching a
+ * condition.
+ * @param  {Object}  models The loaded models.
+ * @param  {Object}  where  The condition on the product.
+ * @return {Promise}        A promise for the IDs.
+ */
+function findOrderIdsForProducts(models, where) {
+  return models.OrderLine.findAll({
+    attributes: ['orderId'],
+    include: [{
+      model: models.Product,
+      as: 'product',
+      attributes: [],
+      where: where
+    }],
+    raw: true
+  }).then(function(lines) {
+    return lines.map(function(line) {
+      return line.orderId;
+    });
+  });
+}
+
+/**
+ * Builds a condition that a column contains a pattern, ignoring case.
+ * @param  {string} column  The column, qualified by its table's alias.
+ * @param  {string} pattern The LIKE pattern, in lower case.
+ * @return {Object}         The condition.
+ */
+function containsText(column, pattern) {
+  return Sequelize.where(Sequelize.fn('lower', Sequelize.col(column)),
+      {[Op.like]: pattern});
+}
+
+/**
+ * Parses the sort parameter of a search.
+ * @param  {Object} models   The loaded models.
+ * @param  {string} sort     The parameter, such as "status,-createdAt".
+ * @param  {Object} customer The include of the order's customer, used to sort
+ *                           by customer name.
+ * @return {Array}           The order option for Sequelize.
+ */
+function parseSort(models, sort, customer) {
+  return sort.split(',').map(function(field) {
+    var direction = 'ASC';
+    if (field.charAt(0) == '-') {
+      direction = 'DESC';
+      field = field.slice(1);
+    }
+    if (SORT_FIELDS.indexOf(field) == -1) {
+      throw badRequest('Invalid sort field: ' + field);
+    }
+    if (field == 'customerName') {
+      return [customer, 'name', direction];
+    }
+    if (field == 'productCode') {
+      return [getFirstProductCode(models), direction];
+    }
+    return [field, direction];
+  });
+}
+
+/**
+ * Builds the subquery for the first product code, in alphabetical order, of
+ * the line items of the orders searched.
+ * @param  {Object} models The loaded models.
+ * @return {Object}        The subquery, as a literal.
+ */
+function getFirstProductCode(models) {
+  var generator = models.sequelize.getQueryInterface().QueryGenerator;
+  function quote(table, column) {
+    return generator.quoteIdentifier(table) + '.' +
+        generator.quoteIdentifier(column);
+  }
+  return Sequelize.literal('(SELECT MIN(' + quote('product', 'code') +
+      ') FROM ' + generator.quoteTable(models.OrderLine.getTableName()) +
+      ' AS ' + generator.quoteIdentifier('line') + ' INNER JOIN ' +
+      generator.quoteTable(models.Product.getTableName()) + ' AS ' +
+      generator.quoteIdentifier('product') + ' ON ' +
+      quote('product', 'id') + ' = ' + quote('line', 'productId') +
+      ' WHERE ' + quote('line', 'orderId') + ' = ' +
+      quote(models.Order.name, 'id') + ')');
+}
+
+/**
+ * Parses a search parameter that must be a positive integer.
+ * @param  {string} value        The value of the parameter.
+ * @param  {number} defaultValue The value to use if the parameter is not set.
+ * @param  {string} name         The name of the parameter.
+ * @return {number}              The parsed value.
+ */
+function parsePositiveInt(value, defaultValue, name) {
+  if (value === undefined) {
+    return defaultValue;
+  }
+  var result = Number(value);
+  if (!(result >= 1) || Math.floor(result) !== result) {
+    throw badRequest('Invalid ' + name + ': ' + value);
+  }
+  return result;
+}
+
+/**
+ * Parses a search parameter that must be a date, as "yyyy-mm-dd".
+ * @param  {string} value The value of the parameter.
+ * @param  {string} name  The name of the parameter.
+ * @return {Date}         The start of the day, in UTC.
+ */
+function parseDate(value, name) {
+  var date = new Date(value + 'T00:00:00Z');
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(date.getTime())) {
+    throw badRequest('Invalid ' + name + ': ' + value);
+  }
+  return date;
+}
+
+/**
+ * Finds a customer by name, creating it if there is none.
+ * @param  {Object}  models  The loaded models.
+ * @param  {string}  name    The name of the customer. If undefined, nothing is
+ *                           found. If null or empty, the name is required.
+ * @param  {Object}  options The options for the query, such as the
+ *                           transaction.
+ * @return {Promise}         A promise for the customer, or null.
+ */
+function findOrCreateCustomer(models, name, options) {
+  if (name === undefined) {
+    return Sequelize.Promise.resolve(null);
+  }
+  name = name === null ? '' : String(name).trim();
+  if (!name) {
+    return Sequelize.Promise.reject(validationError('customerName',
+        'Customer name is required.'));
+  }
+  return models.Customer.findOrCreate(Object.assign({
+    where: {name: name}
+  }, options)).spread(function(customer) {
+    return customer;
+  });
+}
+
+/**
+ * Finds a product in the catalog by code.
+ * @param  {Object}  models  The loaded models.
+ * @param  {string}  code    The code of the product. If undefined, nothing is
+ *                           found. If null or empty, the code is required.
+ * @param  {Object}  options The options for the query, such as the
+ *                           transaction.
+ * @return {Promise}         A promise for the product, or null.
+ */
+function findProduct(models, code, options) {
+  if (code === undefined) {
+    return Sequelize.Promise.resolve(null);
+  }
+  code = code === null ? '' : String(code).trim();
+  if (!code) {
+    return Sequelize.Promise.reject(validationError('productCode',
+        'Product code is required.'));
+  }
+  return models.Product.findOne(Object.assign({
+    where: {code: code}
+  }, options)).then(function(product) {
+    if (!product) {
+      throw validationError('productCode', 'Product not found: ' + code);
+    }
+    return product;
+  });
+}
+
+/**
+ * Runs a function in a transaction, reusing the one in the options if set.
+ * @param  {Object}   models  The loaded models.
+ * @param  {Object}   options The options, which may contain a transaction.
+ * @param  {Function} fn      The function, passed the options with the
+ *                            transaction set.
+ * @return {Promise}          A promise for the result of the function.
+ */
+function transact(models, options, fn) {
+  if (options && options.transaction) {
+    return fn(options);
+  }
+  return models.sequelize.transaction(function(transaction) {
+    return fn(Object.assign({}, options, {transaction: transaction}));
+  });
+}
+
+/**
+ * Creates a validation error for a single field.
+ * @param  {string} field   The name of the field.
+ * @param  {string} message The error message.
+ * @return {Error}          The error.
+ */
+function validationError(field, message) {
+  return new Sequelize.ValidationError(message, [
+    new Sequelize.ValidationErrorItem(message, 'Validation error', field)
+  ]);
+}
+
+/**
+ * Creates an error for a record that doesn't exist.
+ * @param  {string} message The error message.
+ * @return {Error}          The error.
+ */
+function notFound(message) {
+  var err = new Error(message);
+  err.status = 404;
+  return err;
+}
+
+module.exports = {
+  ROW_FIELDS: ROW_FIELDS,
+  FILTER_FIELDS: FILTER_FIELDS,
+  getIncludes: getIncludes,
+  findAll: findAll,
+  findOne: findOne,
+  search: search,
+  checkFilter: checkFilter,
+  describeFilter: describeFilter,
+  findRows: findRows,
+  findRowsInPages: findRowsInPages,
+  toRows: toRows,
+  toJSON: toJSON,
+  save: save,
+  saveRow: saveRow,
+  validateRow: validateRow
+};
@@ -19,7 +19,8 @@
 
 // Bind handlers when the page loads.
 $(function() {
-  $('a.mdl-button').click(function() {
+  // Downloads don't leave the page, so don't show the spinner for them.
+  $('a.mdl-button:not([download])').click(function() {
     setSpinnerActive(true);
   });
 });
@@ -47,19 +48,43 @@ function showMessage(message) {
   });
 }
 
-// Google Sign-in.
+// Order form handlers.
 
-function onSignIn(user) {
-  var profile = user.getBasicProfile();
-  $('#profile .name').text(profile.getName());
-  $('#profile .email').text(profile.getEmail());
-}
+$(function() {
+  $('button[rel="add-line"]').click(function() {
+    var line = $('.order-line').last();
+    var copy = line.clone();
+    copy.find('input').val('');
+    copy.insertAfter(line);
+  });
+  // Fill in the list price of the product chosen, converted from the base
+  // currency to the currency of the order.
+  $('.order-lines').on('change', 'input[name="productCode"]', function() {
+    var code = $(this).val();
+    var option = $('#products option').filter(function() {
+      return this.value == code;
+    });
+    var price = option.data('price');
+    var rate = $('select[name="currency"] option:selected').data('rate') || 1;
+    if (price !== undefined && price !== '') {
+      $(this).closest('.order-line').find('input[name="unitPrice"]')
+        .val((price / rate).toFixed(2));
+    }
+  });
+});
 
 // Spreadsheet control handlers.
 
 $(function() {
   $('button[rel="create"]').click(function() {
-    makeRequest('POST', '/spreadsheets', function(err, spreadsheet) {
+    var data = {
+      layout: $('select[name="layout"]').val(),
+      title: $('input[name="title"]').val(),
+      template: $('select[name="template"]').val(),
+      filter: $('input[name="filter"]:checked').val(),
+      partitionBy: $('select[name="partitionBy"]').val()
+    };
+    makeRequest('POST', '/spreadsheets', data, function(err, spreadsheet) {
       if (err) return showError(err);
       window.location.reload();
     });
@@ -67,25 +92,83 @@ $(function() {
   $('button[rel="sync"]').click(function() {
     var spreadsheetId = $(this).data('spreadsheetid');
     var url = '/spreadsheets/' + spreadsheetId + '/sync';
-    makeRequest('POST', url, function(err) {
+    makeRequest('POST', url, null, function(err, summary) {
+      if (err) return showError(err);
+      showMessage('Sync complete: ' + summary.inserted + ' inserted, ' +
+          summary.updated + ' updated, ' + summary.removed + ' removed.');
+    });
+  });
+  $('button[rel="check"]').click(function() {
+    makeRequest('POST', '/spreadsheets/check', null, function(err) {
+      if (err) return showError(err);
+      window.location.reload();
+    });
+  });
+  $('button[rel="repair"]').click(function() {
+    var spreadsheetId = $(this).data('spreadsheetid');
+    var url = '/spreadsheets/' + spreadsheetId + '/repair';
+    makeRequest('POST', url, null, function(err) {
+      if (err) return showError(err);
+      window.location.reload();
+    });
+  });
+  $('button[rel="unlink"]').click(function() {
+    var spreadsheetId = $(this).data('spreadsheetid');
+    var url = '/spreadsheets/' + spreadsheetId + '/unlink';
+    // Working spreadsheets can also be moved to the trash.
+    if ($(this).is('[data-trashable]')) {
+      if (!window.confirm('Stop syncing orders to this spreadsheet?')) return;
+      if (window.confirm('Also move the spreadsheet to the trash in Drive?')) {
+        url = '/spreadsheets/' + spreadsheetId + '/trash';
+      }
+    }
+    makeRequest('POST', url, null, function(err) {
+      if (err) return showError(err);
+      window.location.reload();
+    });
+  });
+  $('button[rel="rename"]').click(function() {
+    var spreadsheetId = $(this).data('spreadsheetid');
+    var name = window.prompt('Rename the spreadsheet to:', $(this).data('name'));
+    if (!name) return;
+    var url = '/spreadsheets/' + spreadsheetId + '/rename';
+    makeRequest('POST', url, {name: name}, function(err) {
       if (err) return showError(err);
-      showMessage('Sync complete.')
+      window.location.reload();
+    });
+  });
+  $('select[rel="template"]').change(function() {
+    var spreadsheetId = $(this).data('spreadsheetid');
+    var url = '/spreadsheets/' + spreadsheetId + '/template';
+    makeRequest('POST', url, {template: $(this).val()}, function(err) {
+      if (err) return showError(err);
+      showMessage('Report template changed.');
+    });
+  });
+  $('button[rel="pull"]').click(function() {
+    var spreadsheetId = $(this).data('spreadsheetid');
+    var url = '/spreadsheets/' + spreadsheetId + '/pull';
+    makeRequest('POST', url, null, function(err, result) {
+      if (err) return showError(err);
+      if (result.conflicts.length) {
+        var messages = result.conflicts.map(function(conflict) {
+          var location = (conflict.sheet ? conflict.sheet + ', row ' :
+              'Row ') + conflict.row;
+          return location + ': ' + conflict.message;
+        });
+        return showError(new Error(result.conflicts.length +
+            ' row(s) not pulled. ' + messages.join(' ')));
+      }
+      window.location.reload();
     });
   });
 });
 
-function makeRequest(method, url, callback) {
-  var auth = gapi.auth2.getAuthInstance();
-  if (!auth.isSignedIn.get()) {
-    return callback(new Error('Signin required.'));
-  }
-  var accessToken = auth.currentUser.get().getAuthResponse().access_token;
+function makeRequest(method, url, data, callback) {
   setSpinnerActive(true);
   $.ajax(url, {
     method: method,
-    headers: {
-      'Authorization': 'Bearer ' + accessToken
-    },
+    data: data,
     success: function(response) {
       setSpinnerActive(false);
       return callback(null, response);
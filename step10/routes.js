@@ -20,22 +20,143 @@
 'use strict';
 
 var express = require('express');
+var querystring = require('querystring');
+var multer = require('multer');
 var router = express.Router();
 var models = require('./models');
+var layouts = require('./layouts');
+var templates = require('./templates');
+var auth = require('./auth');
+var SheetsHelper = require('./sheets');
+var orders = require('./orders');
+var links = require('./links');
+var errors = require('./errors');
+var syncs = require('./syncs');
+var currencies = require('./currencies');
+var exporter = require('./exporter');
+var importer = require('./importer');
 var Sequelize = require('sequelize');
 
+var badRequest = errors.badRequest;
+
+// The choices for sorting the list of orders, the first being the default.
+var ORDER_SORTS = [
+  {value: '-createdAt', label: 'Newest first'},
+  {value: 'createdAt', label: 'Oldest first'},
+  {value: 'customerName', label: 'Customer'},
+  {value: 'status', label: 'Status'},
+  {value: '-updatedAt', label: 'Recently updated'}
+];
+
+// The number of page links shown either side of the current page.
+var PAGE_LINK_RANGE = 3;
+
+// The number of most recent syncs shown in the history of a spreadsheet.
+var SYNC_HISTORY_LIMIT = 50;
+
+// The responses to the errors of failed requests to the Sheets and Drive APIs,
+// in the order they are checked.
+var API_ERROR_RESPONSES = [
+  {type: errors.AuthExpiredError, status: 401,
+      message: 'Your authorization to access Google Sheets has expired. ' +
+          'Sign in again.'},
+  {type: errors.PermissionDeniedError, status: 403,
+      message: 'You don\'t have permission to access the spreadsheet.'},
+  {type: errors.NotFoundError, status: 404,
+      message: 'The spreadsheet was not found.'},
+  {type: errors.QuotaExceededError, status: 429,
+      message: 'Too many requests were made to Google Sheets. Try again ' +
+          'later.'},
+  {type: errors.ApiError, status: 502,
+      message: 'The request to Google Sheets failed.'}
+];
+
+// The labels of the triggers of syncs.
+var SYNC_TRIGGERS = {
+  MANUAL: 'Manual',
+  AUTO: 'Automatic'
+};
+
 router.get('/', function(req, res, next) {
-  var options = {
-    order: [['createdAt', 'DESC']],
-    raw: true
-  };
+  var history = {model: models.OrderStatusChange, as: 'statusChanges'};
+  var query = req.query;
+  // The filters applied to the list, which new spreadsheets can be limited to.
+  var filter = {};
+  orders.FILTER_FIELDS.forEach(function(key) {
+    if (query[key]) {
+      filter[key] = query[key];
+    }
+  });
   Sequelize.Promise.all([
-    models.Order.findAll(options),
-    models.Spreadsheet.findAll(options)
+    orders.search(models, query, {
+      defaultSort: ORDER_SORTS[0].value,
+      include: orders.getIncludes(models).concat(history),
+      order: [
+        [{model: models.OrderLine, as: 'lines'}, 'id', 'ASC'],
+        [history, 'createdAt', 'ASC']
+      ]
+    }),
+    models.Spreadsheet.findAll({order: [['createdAt', 'DESC']]}),
+    models.Customer.findAll({order: [['name', 'ASC']], raw: true}),
+    models.Product.findAll({order: [['code', 'ASC']], raw: true})
   ]).then(function(results) {
+    var result = results[0];
     res.render('index', {
-      orders: results[0],
-      spreadsheets: results[1]
+      orders: result.orders.map(function(order) {
+        return Object.assign(orders.toJSON(order), {
+          statusChanges: order.statusChanges.map(function(change) {
+            return change.toJSON();
+          })
+        });
+      }),
+      filters: {
+        q: query.q,
+        customerName: query.customerName,
+        from: query.from,
+        to: query.to,
+        products: results[3].map(function(product) {
+          return Object.assign(product, {
+            selected: product.code == query.productCode
+          });
+        }),
+        statuses: models.Order.STATUSES.map(function(status) {
+          return {value: status, selected: status == query.status};
+        }),
+        sorts: ORDER_SORTS.map(function(sort) {
+          return Object.assign({selected: sort.value == query.sort}, sort);
+        })
+      },
+      customers: results[2],
+      pagination: getPagination(req, result),
+      spreadsheets: results[1].map(function(spreadsheet) {
+        var link = links.describe(spreadsheet);
+        var partition = SheetsHelper.PARTITIONS[spreadsheet.partitionBy];
+        return Object.assign(spreadsheet.toJSON(), {
+          link: link,
+          details: [
+            link && link.broken ? link.message : null,
+            orders.describeFilter(spreadsheet.filter),
+            partition ? 'One tab per ' + partition.toLowerCase() : null
+          ].filter(Boolean),
+          templates: templates.list().map(function(template) {
+            return Object.assign({
+              selected: template.name == spreadsheet.template
+            }, template);
+          })
+        });
+      }),
+      partitions: Object.keys(SheetsHelper.PARTITIONS).map(function(field) {
+        return {
+          value: field,
+          label: 'Tab per ' + SheetsHelper.PARTITIONS[field].toLowerCase()
+        };
+      }),
+      currentFilter: Object.keys(filter).length ? {
+        description: orders.describeFilter(filter),
+        query: querystring.stringify(filter)
+      } : null,
+      layouts: layouts.getNames(),
+      templates: templates.list()
     });
   }, function(err) {
     next(err);
@@ -43,18 +164,14 @@ router.get('/', function(req, res, next) {
 });
 
 router.get('/create', function(req, res, next) {
-  res.render('upsert');
+  renderUpsert(res, next, null);
 });
 
 router.get('/edit/:id', function(req, res, next) {
-  models.Order.findByPk(req.params.id).then(function(order) {
-    if (order) {
-      res.render('upsert', {
-        order: order.toJSON()
-      });
-    } else {
-      next(new Error('Order not found: ' + req.params.id));
-    }
+  orders.findOne(models, req.params.id).then(function(order) {
+    renderUpsert(res, next, order);
+  }, function(err) {
+    next(err);
   });
 });
 
@@ -74,62 +191,875 @@ router.get('/delete/:id', function(req, res, next) {
 });
 
 router.post('/upsert', function(req, res, next) {
-  models.Order.upsert(req.body).then(function() {
+  var id = req.body.id;
+  var values = {
+    customerName: req.body.customerName,
+    currency: req.body.currency,
+    status: req.body.status,
+    lines: parseLines(req.body)
+  };
+  var options = {changedBy: getChangedBy(req)};
+  var promise = id ?
+      orders.findOne(models, id) : Sequelize.Promise.resolve(null);
+  promise.then(function(order) {
+    return orders.save(models, order, values, options);
+  }).then(function() {
     res.redirect('/');
   }, function(err) {
     next(err);
   });
 });
 
-// Route for creating spreadsheet.
+// Routes for managing the product catalog.
 
-var SheetsHelper = require('./sheets');
+router.get('/products', function(req, res, next) {
+  models.Product.findAll({order: [['code', 'ASC']], raw: true})
+    .then(function(products) {
+      res.render('products', {
+        products: products
+      });
+    }, function(err) {
+      next(err);
+    });
+});
+
+router.get('/products/create', function(req, res, next) {
+  res.render('product');
+});
+
+router.get('/products/edit/:id', function(req, res, next) {
+  models.Product.findByPk(req.params.id).then(function(product) {
+    if (!product) {
+      return next(new Error('Product not found: ' + req.params.id));
+    }
+    res.render('product', {
+      product: product.toJSON()
+    });
+  }, function(err) {
+    next(err);
+  });
+});
+
+router.post('/products/upsert', function(req, res, next) {
+  var values = {
+    code: req.body.code,
+    name: req.body.name || null,
+    listPrice: req.body.listPrice === '' ? null : req.body.listPrice,
+    // Unchecked checkboxes aren't submitted.
+    active: Boolean(req.body.active)
+  };
+  var promise;
+  if (req.body.id) {
+    promise = models.Product.findByPk(req.body.id).then(function(product) {
+      if (!product) {
+        throw new Error('Product not found: ' + req.body.id);
+      }
+      return product.update(values);
+    });
+  } else {
+    promise = models.Product.create(values);
+  }
+  promise.then(function() {
+    res.redirect('/products');
+  }, function(err) {
+    next(err);
+  });
+});
+
+// Routes for exporting orders to a file.
+
+router.get('/orders/export.csv', function(req, res, next) {
+  var columns;
+  try {
+    columns = layouts.get(req.query.layout);
+  } catch (err) {
+    err.status = 400;
+    return next(err);
+  }
+  exportOrders(res, next, 'orders.csv', function() {
+    return exporter.createCsvWriter(res, columns);
+  });
+});
+
+router.get('/orders/export.xlsx', function(req, res, next) {
+  var columns;
+  var template;
+  try {
+    columns = layouts.get(req.query.layout);
+    template = templates.get(req.query.template);
+    templates.checkColumns(template, columns);
+  } catch (err) {
+    err.status = 400;
+    return next(err);
+  }
+  exportOrders(res, next, 'orders.xlsx', function() {
+    return exporter.createXlsxWriter(res, columns, template);
+  });
+});
+
+/**
+ * Exports the orders to a file, written to the response a page at a time as
+ * they are found. The file is only started once the first page is found, so
+ * that a failure to find it can still be reported.
+ * @param {Object}   res          The response.
+ * @param {Function} next         The next handler.
+ * @param {string}   filename     The name of the file.
+ * @param {Function} createWriter The function that starts writing the file to
+ *                                the response, returning a writer from
+ *                                exporter.js.
+ */
+function exportOrders(res, next, filename, createWriter) {
+  var writer;
+  function start() {
+    if (!writer) {
+      res.attachment(filename);
+      writer = createWriter();
+    }
+    return writer;
+  }
+  orders.findRowsInPages(models, {}, function(rows) {
+    return start().write(rows);
+  }).then(function() {
+    return start().end();
+  }).catch(function(err) {
+    next(err);
+  });
+}
+
+// Routes for importing orders.
+
+var upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {fileSize: 1024 * 1024}
+});
+
+router.get('/import', function(req, res, next) {
+  res.render('import', {
+    layouts: layouts.getNames()
+  });
+});
+
+router.post('/import/csv', uploadFile, function(req, res, next) {
+  if (!req.file) {
+    return next(badRequest('A CSV file is required.'));
+  }
+  var rows;
+  try {
+    var columns = layouts.get(req.body.layout);
+    var values = importer.parseCsv(req.file.buffer.toString('utf8'));
+    rows = importer.parseCsvRows(values, columns);
+  } catch (err) {
+    err.status = 400;
+    return next(err);
+  }
+  renderImportPreview(req, res, next, rows);
+});
+
+router.post('/import/spreadsheet', auth.required, function(req, res, next) {
+  if (!req.body.spreadsheetId || !req.body.range) {
+    return next(badRequest('A spreadsheet ID and range are required.'));
+  }
+  var columns;
+  try {
+    columns = layouts.get(req.body.layout);
+  } catch (err) {
+    err.status = 400;
+    return next(err);
+  }
+  var helper = createHelper(req);
+  helper.readRange(req.body.spreadsheetId, req.body.range, columns,
+      function(err, rows) {
+    // Such as a range that can't be parsed.
+    if (err && err.responseStatus == 400) {
+      return next(badRequest(err.message));
+    }
+    if (err) {
+      return next(err);
+    }
+    renderImportPreview(req, res, next, rows);
+  });
+});
+
+router.post('/import', function(req, res, next) {
+  var uploadId = req.session.importUploadId;
+  importer.loadUpload(uploadId).then(function(rows) {
+    if (!rows) {
+      throw badRequest('Nothing to import.');
+    }
+    var isValid = rows.every(function(row) {
+      return row.errors.length == 0;
+    });
+    if (!isValid) {
+      throw badRequest('Fix the errors before importing.');
+    }
+    return importer.importRows(models, rows, getChangedBy(req));
+  }).finally(function() {
+    // The upload is removed once imported, or if it can't be, in which case
+    // the file must be uploaded again.
+    delete req.session.importUploadId;
+    return importer.removeUpload(uploadId);
+  }).then(function() {
+    res.redirect('/');
+  }, function(err) {
+    next(err);
+  });
+});
+
+/**
+ * Middleware that accepts the upload of a file in the "file" field, and
+ * rejects a file that can't be uploaded, such as one too large, with a 400
+ * error.
+ */
+function uploadFile(req, res, next) {
+  upload.single('file')(req, res, function(err) {
+    if (err instanceof multer.MulterError) {
+      return next(badRequest('The file can\'t be uploaded: ' + err.message +
+          '.'));
+    }
+    next(err);
+  });
+}
+
+/**
+ * Validates the rows to be imported, stores them until they're confirmed, and
+ * renders a preview of them. Only the ID of the upload is kept in the session,
+ * replacing any earlier upload.
+ */
+function renderImportPreview(req, res, next, rows) {
+  importer.validateRows(models, rows).then(function(validated) {
+    rows = validated;
+    return importer.saveUpload(rows);
+  }).then(function(uploadId) {
+    var previousId = req.session.importUploadId;
+    req.session.importUploadId = uploadId;
+    return importer.removeUpload(previousId);
+  }).then(function() {
+    var errorCount = rows.filter(function(row) {
+      return row.errors.length > 0;
+    }).length;
+    res.render('import', {
+      layouts: layouts.getNames(),
+      rows: rows,
+      errorCount: errorCount,
+      canImport: rows.length > 0 && errorCount == 0
+    });
+  }, function(err) {
+    next(err);
+  });
+}
+
+// Route for creating spreadsheet.
 
-router.post('/spreadsheets', function(req, res, next) {
-  var auth = req.get('Authorization');
-  if (!auth) {
-    return next(Error('Authorization required.'));
+router.post('/spreadsheets', auth.required, function(req, res, next) {
+  var helper = createHelper(req);
+  var title = (req.body.title || '').trim() ||
+      'Orders (' + new Date().toLocaleTimeString() + ')';
+  var layout = req.body.layout || layouts.DEFAULT_LAYOUT;
+  var templateName = req.body.template || templates.DEFAULT_TEMPLATE;
+  // The filter can also be given as a query string, as used by the order list.
+  var filter = req.body.filter;
+  if (typeof filter == 'string') {
+    filter = querystring.parse(filter);
   }
-  var accessToken = auth.split(' ')[1];
-  var helper = new SheetsHelper(accessToken);
-  var title = 'Orders (' + new Date().toLocaleTimeString() + ')';
-  helper.createSpreadsheet(title, function(err, spreadsheet) {
+  var partitionBy = req.body.partitionBy || null;
+  var columns;
+  var template;
+  try {
+    columns = layouts.get(layout);
+    template = templates.get(templateName);
+    templates.checkColumns(template, columns);
+    filter = orders.checkFilter(models, filter);
+    if (partitionBy && !SheetsHelper.PARTITIONS[partitionBy]) {
+      throw new Error('Unknown partition field: ' + partitionBy);
+    }
+  } catch (err) {
+    err.status = 400;
+    return next(err);
+  }
+  helper.createSpreadsheet(title, columns, template,
+      function(err, spreadsheet) {
     if (err) {
       return next(err);
     }
     var model = {
       id: spreadsheet.spreadsheetId,
       sheetId: spreadsheet.sheets[0].properties.sheetId,
-      name: spreadsheet.properties.title
+      name: spreadsheet.properties.title,
+      layout: layout,
+      template: templateName,
+      filter: filter,
+      partitionBy: partitionBy
     };
-    models.Spreadsheet.create(model).then(function() {
+    var owner = req.authUser;
+    var values = Object.assign({
+      ownerId: owner ? owner.id : null,
+      derivedSheetsHash: templates.getHash(template, columns)
+    }, model);
+    models.Spreadsheet.create(values).then(function() {
       return res.json(model);
+    }, function(err) {
+      next(err);
     });
   });
 });
 
 // Route for syncing spreadsheet.
 
-router.post('/spreadsheets/:id/sync', function(req, res, next) {
-  var auth = req.get('Authorization');
-  if (!auth) {
-    return next(Error('Authorization required.'));
+router.post('/spreadsheets/:id/sync', auth.required,
+    function(req, res, next) {
+  var helper = createHelper(req);
+  findSpreadsheet(req.params.id).then(function(spreadsheet) {
+    return syncs.run(models, helper, spreadsheet, {user: getChangedBy(req)});
+  }).then(function(syncRun) {
+    res.json({
+      inserted: syncRun.inserted,
+      updated: syncRun.updated,
+      removed: syncRun.removed
+    });
+  }, function(err) {
+    next(err);
+  });
+});
+
+// Route for the history of syncs to a spreadsheet.
+
+router.get('/spreadsheets/:id/history', auth.required,
+    function(req, res, next) {
+  findOwnedSpreadsheet(req).then(function(spreadsheet) {
+    return Sequelize.Promise.all([
+      spreadsheet,
+      spreadsheet.getSyncRuns({
+        order: [['startedAt', 'DESC'], ['id', 'DESC']],
+        limit: SYNC_HISTORY_LIMIT
+      })
+    ]);
+  }).then(function(results) {
+    res.render('history', {
+      spreadsheet: results[0].toJSON(),
+      runs: results[1].map(function(syncRun) {
+        return Object.assign(syncRun.toJSON(), {
+          trigger: SYNC_TRIGGERS[syncRun.trigger],
+          failed: syncRun.status == 'FAILED',
+          seconds: syncRun.duration === null ? null :
+              (syncRun.duration / 1000).toFixed(1)
+        });
+      }),
+      // Older syncs aren't shown.
+      truncated: results[1].length == SYNC_HISTORY_LIMIT,
+      limit: SYNC_HISTORY_LIMIT
+    });
+  }, function(err) {
+    next(err);
+  });
+});
+
+// Routes for checking the links to spreadsheets, which can be deleted or
+// restructured outside of the app, and repairing or removing broken ones.
+
+router.post('/spreadsheets/check', auth.required, function(req, res, next) {
+  var helper = createHelper(req);
+  models.Spreadsheet.findAll({order: [['createdAt', 'DESC']]})
+    .then(function(spreadsheets) {
+      return Sequelize.Promise.mapSeries(spreadsheets, function(spreadsheet) {
+        return links.check(helper, spreadsheet);
+      });
+    })
+    .then(function(spreadsheets) {
+      res.json(spreadsheets.map(function(spreadsheet) {
+        return {
+          id: spreadsheet.id,
+          name: spreadsheet.name,
+          linkStatus: spreadsheet.linkStatus
+        };
+      }));
+    }, function(err) {
+      next(err);
+    });
+});
+
+router.post('/spreadsheets/:id/repair', auth.required,
+    function(req, res, next) {
+  var helper = createHelper(req);
+  findSpreadsheet(req.params.id).then(function(spreadsheet) {
+    var columns = layouts.get(spreadsheet.layout);
+    var template = templates.get(spreadsheet.template);
+    return links.repair(helper, spreadsheet, columns, template);
+  }).then(function(spreadsheet) {
+    res.json({
+      id: spreadsheet.id,
+      sheetId: spreadsheet.sheetId,
+      linkStatus: spreadsheet.linkStatus
+    });
+  }, function(err) {
+    next(err);
+  });
+});
+
+// Routes for managing linked spreadsheets.
+
+router.post('/spreadsheets/:id/rename', auth.required,
+    function(req, res, next) {
+  var helper = createHelper(req);
+  var name = (req.body.name || '').trim();
+  if (!name) {
+    return next(badRequest('A name is required.'));
   }
-  var accessToken = auth.split(' ')[1];
-  var helper = new SheetsHelper(accessToken);
-  Sequelize.Promise.all([
-    models.Spreadsheet.findByPk(req.params.id),
-    models.Order.findAll()
-  ]).then(function(results) {
-    var spreadsheet = results[0];
-    var orders = results[1];
-    helper.sync(spreadsheet.id, spreadsheet.sheetId, orders, function(err) {
+  findOwnedSpreadsheet(req).then(function(spreadsheet) {
+    return new Sequelize.Promise(function(resolve, reject) {
+      helper.renameSpreadsheet(spreadsheet.id, name, function(err) {
+        if (err) {
+          return reject(err);
+        }
+        resolve(spreadsheet.update({name: name}));
+      });
+    });
+  }).then(function(spreadsheet) {
+    res.json({id: spreadsheet.id, name: spreadsheet.name});
+  }, function(err) {
+    next(err);
+  });
+});
+
+// Changes the report template of a spreadsheet, adding the sheets of the new
+// template. Those of the old template are left in place.
+router.post('/spreadsheets/:id/template', auth.required,
+    function(req, res, next) {
+  var helper = createHelper(req);
+  var templateName = req.body.template;
+  findOwnedSpreadsheet(req).then(function(spreadsheet) {
+    return links.ensureLinked(helper, spreadsheet);
+  }).then(function(spreadsheet) {
+    var columns = layouts.get(spreadsheet.layout);
+    var template;
+    try {
+      template = templates.get(templateName);
+      templates.checkColumns(template, columns);
+    } catch (err) {
+      err.status = 400;
+      throw err;
+    }
+    return new Sequelize.Promise(function(resolve, reject) {
+      helper.rebuildDerivedSheets(spreadsheet.id, spreadsheet.sheetId, columns,
+          template, function(err) {
+        if (err) {
+          return reject(err);
+        }
+        resolve(spreadsheet.update({
+          template: templateName,
+          derivedSheetsHash: templates.getHash(template, columns)
+        }));
+      });
+    });
+  }).then(function(spreadsheet) {
+    res.json({id: spreadsheet.id, template: spreadsheet.template});
+  }, function(err) {
+    next(err);
+  });
+});
+
+// Removes the link to a spreadsheet, leaving the spreadsheet itself as it is.
+router.post('/spreadsheets/:id/unlink', auth.required,
+    function(req, res, next) {
+  findOwnedSpreadsheet(req).then(function(spreadsheet) {
+    return spreadsheet.destroy();
+  }).then(function() {
+    res.status(204).end();
+  }, function(err) {
+    next(err);
+  });
+});
+
+// Moves a spreadsheet to the trash in Drive, and removes the link to it.
+router.post('/spreadsheets/:id/trash', auth.required,
+    function(req, res, next) {
+  var helper = createHelper(req);
+  findOwnedSpreadsheet(req).then(function(spreadsheet) {
+    return new Sequelize.Promise(function(resolve, reject) {
+      helper.trashSpreadsheet(spreadsheet.id, function(err) {
+        // A spreadsheet that's already gone can still be unlinked.
+        if (err && !(err instanceof errors.NotFoundError)) {
+          return reject(err);
+        }
+        resolve(spreadsheet.destroy());
+      });
+    });
+  }).then(function() {
+    res.status(204).end();
+  }, function(err) {
+    next(err);
+  });
+});
+
+// Route for pulling changes made in the spreadsheet.
+
+router.post('/spreadsheets/:id/pull', auth.required,
+    function(req, res, next) {
+  var helper = createHelper(req);
+  findSpreadsheet(req.params.id).then(function(spreadsheet) {
+    return links.ensureLinked(helper, spreadsheet);
+  }).then(function(spreadsheet) {
+    var columns = layouts.get(spreadsheet.layout);
+    function onRead(err, rows) {
       if (err) {
         return next(err);
       }
-      return res.json(orders.length);
+      var changedBy = getChangedBy(req);
+      applyRows(spreadsheet, columns, rows, changedBy).then(function(result) {
+        return res.json(result);
+      }, function(err) {
+        next(err);
+      });
+    }
+    if (spreadsheet.partitionBy) {
+      helper.readPartitions(spreadsheet.partitionBy, spreadsheet.id, columns,
+          onRead);
+    } else {
+      helper.readOrders(spreadsheet.id, spreadsheet.sheetId, columns, onRead);
+    }
+  }).catch(function(err) {
+    next(err);
+  });
+});
+
+/**
+ * Applies the rows read from a spreadsheet to the matching line items and
+ * their orders. Only the cells changed in the spreadsheet since it was last
+ * synced or pulled are applied, so that stale cells don't undo changes made to
+ * the orders since. Cells that differ from the orders as they were before the
+ * pull are applied for rows never synced, so that editing the status or
+ * customer in one of an order's rows isn't undone by its other rows. The
+ * orders are compared a page at a time, with the rows of each order applied
+ * once its page is loaded. Rows that can't be applied, including those with
+ * cells changed both in the spreadsheet and in the orders, are reported as
+ * conflicts rather than failing the pull, in the order they were read.
+ * @param  {Spreadsheet} spreadsheet The linked spreadsheet.
+ * @param  {Array}       columns     The specifications of its columns.
+ * @param  {Array}       rows        The rows, as returned by
+ *                                   SheetsHelper.readOrders or
+ *                                   readPartitions.
+ * @param  {string}      changedBy   The email of the user pulling the changes,
+ *                                   if known, recorded in the status history.
+ * @return {Promise}                 A promise for the number of rows updated
+ *                                   and the list of conflicts.
+ */
+function applyRows(spreadsheet, columns, rows, changedBy) {
+  var updated = 0;
+  var conflicts = [];
+  function addConflict(entry, message) {
+    var row = entry.row;
+    var conflict = {
+      row: row.rowIndex + 1,
+      id: row.values.id,
+      message: message
+    };
+    // Rows read from a spreadsheet split into tabs are also located by tab.
+    if (row.sheet) {
+      conflict.sheet = row.sheet;
+    }
+    conflicts.push({index: entry.index, conflict: conflict});
+  }
+  // The rows not yet applied, in the order they were read, by line ID.
+  var entriesByLineId = {};
+  rows.forEach(function(row, i) {
+    var entry = {row: row, index: i};
+    if (!row.values.lineId) {
+      return addConflict(entry, 'Missing line ID.');
+    }
+    entriesByLineId[row.values.lineId] =
+        (entriesByLineId[row.values.lineId] || []).concat(entry);
+  });
+  return orders.findRowsInPages(models, {}, function(current) {
+    var entries = [];
+    current.forEach(function(values) {
+      (entriesByLineId[values.lineId] || []).forEach(function(entry) {
+        entries.push(Object.assign({previous: values}, entry));
+      });
+      delete entriesByLineId[values.lineId];
+    });
+    entries.sort(function(a, b) {
+      return a.index - b.index;
+    });
+    var lineIds = entries.map(function(entry) {
+      return entry.row.values.lineId;
+    });
+    // The rows applied, to record as synced, by line ID.
+    var applied = {};
+    return syncs.findSyncedValues(models, spreadsheet.id, lineIds)
+      .then(function(syncedValues) {
+        return Sequelize.Promise.each(entries, function(entry) {
+          var row = entry.row;
+          var synced = syncedValues[row.values.lineId];
+          var values = {
+            id: row.values.id,
+            lineId: row.values.lineId
+          };
+          var changedFields = [];
+          Object.keys(row.values).forEach(function(field) {
+            var value = row.values[field];
+            if (isSameValue(value, entry.previous[field])) {
+              return;
+            }
+            if (synced && synced[field] !== undefined) {
+              // Unchanged in the spreadsheet, so the order changed since.
+              if (isSameValue(value, synced[field])) {
+                return;
+              }
+              if (!isSameValue(entry.previous[field], synced[field])) {
+                changedFields.push(field);
+              }
+            }
+            values[field] = value;
+          });
+          if (changedFields.length) {
+            return addConflict(entry, 'Changed in the spreadsheet and in ' +
+                'the database since the last sync: ' +
+                changedFields.map(function(field) {
+                  return SheetsHelper.getColumnForField(columns, field).header;
+                }).join(', ') + '.');
+          }
+          return orders.saveRow(models, values, {changedBy: changedBy})
+            .then(function(isChanged) {
+              if (isChanged) {
+                updated++;
+              }
+              applied[row.values.lineId] = row.values;
+            }, function(err) {
+              if (err instanceof Sequelize.ValidationError) {
+                return addConflict(entry, err.errors.map(function(error) {
+                  return error.message;
+                }).join(' '));
+              }
+              if (err.status == 404) {
+                return addConflict(entry, err.message);
+              }
+              throw err;
+            });
+        });
+      }).then(function() {
+        return syncs.recordSyncedRows(models, spreadsheet.id,
+            Object.keys(applied).map(function(lineId) {
+              return applied[lineId];
+            }));
+      });
+  }).then(function() {
+    Object.keys(entriesByLineId).forEach(function(lineId) {
+      entriesByLineId[lineId].forEach(function(entry) {
+        addConflict(entry, 'Line not found: ' + entry.row.values.lineId);
+      });
+    });
+    conflicts.sort(function(a, b) {
+      return a.index - b.index;
+    });
+    return {
+      updated: updated,
+      conflicts: conflicts.map(function(entry) {
+        return entry.conflict;
+      })
+    };
+  });
+}
+
+/**
+ * Determines if a value read from a spreadsheet equals a field's value.
+ * @param  {*}       value    The value read.
+ * @param  {*}       previous The field's value.
+ * @return {Boolean}          True if the values are the same.
+ */
+function isSameValue(value, previous) {
+  if (value instanceof Date || previous instanceof Date) {
+    return new Date(value).getTime() == new Date(previous).getTime();
+  }
+  return String(value == null ? '' : value) ==
+      String(previous == null ? '' : previous);
+}
+
+/**
+ * Renders the form for creating or editing an order, with the existing
+ * customers and active products to pick from.
+ * @param {Object}   res   The response.
+ * @param {Function} next  The next handler.
+ * @param {Object}   order The order to edit, or null to create one.
+ */
+function renderUpsert(res, next, order) {
+  Sequelize.Promise.all([
+    models.Customer.findAll({order: [['name', 'ASC']], raw: true}),
+    models.Product.findAll({
+      where: {active: true},
+      order: [['code', 'ASC']],
+      raw: true
+    })
+  ]).then(function(results) {
+    var data = {
+      customers: results[0],
+      products: results[1],
+      // An empty line, for adding a product.
+      lines: [{}]
+    };
+    var currency = order ? order.currency : currencies.BASE_CURRENCY;
+    data.currencies = currencies.getCodes().map(function(code) {
+      return {
+        code: code,
+        // For converting list prices, which are in the base currency.
+        rate: currencies.getRate(code),
+        selected: code == currency
+      };
+    });
+    if (order) {
+      var statuses = [order.status]
+          .concat(models.Order.getNextStatuses(order.status));
+      data.order = orders.toJSON(order);
+      data.lines = data.order.lines;
+      data.statuses = statuses.map(function(status) {
+        return {
+          value: status,
+          selected: status == order.status
+        };
+      });
+    }
+    res.render('upsert', data);
+  }, function(err) {
+    next(err);
+  });
+}
+
+/**
+ * Creates a Sheets helper for a request that requires authorization. Its
+ * requests count against the quota budget of the signed in user, if their
+ * credentials are used.
+ * @param  {Object}       req The request.
+ * @return {SheetsHelper}     The helper.
+ */
+function createHelper(req) {
+  return new SheetsHelper(req.authClient,
+      req.authUser ? req.authUser.id : null);
+}
+
+/**
+ * Finds a linked spreadsheet.
+ * @param  {string}  id The ID of the spreadsheet.
+ * @return {Promise}    A promise for the spreadsheet. Rejected with a 404
+ *                      error if it isn't linked.
+ */
+function findSpreadsheet(id) {
+  return models.Spreadsheet.findByPk(id).then(function(spreadsheet) {
+    if (!spreadsheet) {
+      var err = new Error('Spreadsheet not found: ' + id);
+      err.status = 404;
+      throw err;
+    }
+    return spreadsheet;
+  });
+}
+
+/**
+ * Finds the linked spreadsheet a request is for, which only its owner can
+ * manage. Spreadsheets without an owner can be managed by anyone authorized.
+ * @param  {Object}  req The request, authorized by auth.required.
+ * @return {Promise}     A promise for the spreadsheet. Rejected with a 404
+ *                       error if it isn't linked, or a 403 error if it is
+ *                       owned by another user.
+ */
+function findOwnedSpreadsheet(req) {
+  return findSpreadsheet(req.params.id).then(function(spreadsheet) {
+    var userId = req.authUser ? req.authUser.id : null;
+    if (spreadsheet.ownerId && spreadsheet.ownerId != userId) {
+      var err = new Error('The spreadsheet belongs to another user.');
+      err.status = 403;
+      throw err;
+    }
+    return spreadsheet;
+  });
+}
+
+/**
+ * Builds the links to the pages of a search, keeping the rest of the query.
+ * @param  {Object} req    The request for the current page.
+ * @param  {Object} result The result of the search, from orders.search().
+ * @return {Object}        The total number of results, the links to the pages
+ *                         around the current one, and to the previous and
+ *                         next pages if there are any.
+ */
+function getPagination(req, result) {
+  var pageCount = Math.ceil(result.total / result.pageSize);
+  var getUrl = function(page) {
+    var query = Object.assign({}, req.query, {page: page});
+    return req.baseUrl + req.path + '?' + querystring.stringify(query);
+  };
+  var pages = [];
+  var first = Math.max(1, result.page - PAGE_LINK_RANGE);
+  var last = Math.min(pageCount, result.page + PAGE_LINK_RANGE);
+  for (var page = first; page <= last; page++) {
+    pages.push({
+      number: page,
+      url: getUrl(page),
+      current: page == result.page
     });
+  }
+  return {
+    total: result.total,
+    pages: pageCount > 1 ? pages : [],
+    previous: result.page > 1 ? getUrl(result.page - 1) : null,
+    next: result.page < pageCount ? getUrl(result.page + 1) : null
+  };
+}
+
+/**
+ * Parses the line items submitted with the order form, where each field of a
+ * line is a separate list. Lines left blank are skipped.
+ * @param  {Object} body The request body.
+ * @return {Array}       The values of the lines.
+ */
+function parseLines(body) {
+  var fields = ['lineId', 'productCode', 'unitsOrdered', 'unitPrice'];
+  var lists = fields.map(function(field) {
+    return [].concat(body[field] === undefined ? [] : body[field]);
   });
+  var lines = [];
+  lists[1].forEach(function(productCode, i) {
+    var values = lists.map(function(list) {
+      return list[i] === undefined ? '' : list[i].trim();
+    });
+    var isBlank = values.every(function(value) {
+      return value === '';
+    });
+    if (isBlank) {
+      return;
+    }
+    lines.push({
+      id: values[0] || undefined,
+      productCode: values[1],
+      unitsOrdered: values[2],
+      unitPrice: values[3]
+    });
+  });
+  return lines;
+}
+
+/**
+ * Gets the user making a request, to record in the status history and the
+ * history of syncs.
+ * @param  {Object} req The request.
+ * @return {string}     The email of the signed in user, or null.
+ */
+function getChangedBy(req) {
+  return req.session.user ? req.session.user.email : null;
+}
+
+// Reports the failed requests to the Sheets and Drive APIs with the matching
+// status, and the API's message as the detail.
+router.use(function(err, req, res, next) {
+  var response = API_ERROR_RESPONSES.find(function(response) {
+    return err instanceof response.type;
+  });
+  if (!response) {
+    return next(err);
+  }
+  if (err.retryAfter) {
+    res.set('Retry-After', String(err.retryAfter));
+  }
+  err.status = response.status;
+  err.message = response.message + ' ' + err.message;
+  next(err);
 });
 
 module.exports = router;
@@ -28,6 +28,8 @@
 var app = require('./app');
 var http = require('http');
 var models = require('./models');
+var migrator = require('./migrator');
+var autoSync = require('./autosync');
 
 /**
  * Get port from environment and store in Express.
@@ -43,15 +45,24 @@ app.set('port', port);
 var server = http.createServer(app);
 
 /**
- * Load the models.
+ * Sync linked spreadsheets when orders change.
  */
-models.sequelize.sync().then(function() {
+
+autoSync(models);
+
+/**
+ * Check that the database is up to date with the models.
+ */
+migrator.checkPending(models.sequelize).then(function() {
   /**
    * Listen on provided port, on all network interfaces.
    */
   server.listen(port);
   server.on('error', onError);
   server.on('listening', onListening);
+}, function(err) {
+  console.error(err.message);
+  process.exit(1);
 });
 
 /**
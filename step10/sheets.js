@@ -18,245 +18,1836 @@
 */
 
 var {google} = require('googleapis');
-var {OAuth2Client} = require('google-auth-library');
+var EventEmitter = require('events');
+var path = require('path');
 var util = require('util');
+var currencies = require('./currencies');
+var errors = require('./errors');
+var config = require(path.join(__dirname, 'config.json'));
 
 /**
  * Create a new Sheets helper.
- * @param {string} accessToken An authorized OAuth2 access token.
+ * @param {AuthClient} auth      An authorized client, either an OAuth2 client
+ *                               for a user or a JWT client for a service
+ *                               account.
+ * @param {string}     quotaUser Optional. The ID of the user whose quota
+ *                               budget the requests count against, defaulting
+ *                               to the service account's.
  * @constructor
+ * @fires SheetsHelper#progress
  */
-var SheetsHelper = function(accessToken) {
-  var auth = new OAuth2Client();
-  auth.credentials = {
-    access_token: accessToken
-  };
+var SheetsHelper = function(auth, quotaUser) {
+  EventEmitter.call(this);
   this.service = google.sheets({version: 'v4', auth: auth});
+  // Used for the operations on the spreadsheet's file, such as trashing it.
+  this.drive = google.drive({version: 'v3', auth: auth});
+  this.quotaUser = quotaUser || SERVICE_ACCOUNT_QUOTA_USER;
+  // The number of requests made to the APIs through this helper, including
+  // retries, recorded with each sync.
+  this.requestCount = 0;
+  wrapRequests(this, this.service.spreadsheets, ['get']);
+  wrapRequests(this, this.service.spreadsheets, ['create', 'batchUpdate'],
+      {idempotent: false});
+  wrapRequests(this, this.service.spreadsheets.values,
+      ['get', 'batchGetByDataFilter']);
+  wrapRequests(this, this.drive.files, ['update']);
+};
+
+util.inherits(SheetsHelper, EventEmitter);
+
+/**
+ * Emitted as the rows of a sync are written, after each batch of requests.
+ * @event SheetsHelper#progress
+ * @type {Object}
+ * @property {number} rows       The number of rows written by the batch.
+ * @property {number} batch      The number of batches sent so far.
+ * @property {number} batchCount The number of batches being sent.
+ */
+
+module.exports = SheetsHelper;
+
+// The quota budget the requests made with the service account count against.
+var SERVICE_ACCOUNT_QUOTA_USER = 'service-account';
+
+// The statuses of responses to requests that may succeed if retried.
+var RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+
+// The codes of network errors after which requests may succeed if retried.
+var RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN'];
+
+// The reasons given for 403 responses when a rate limit is exceeded.
+var RATE_LIMIT_REASONS = ['rateLimitExceeded', 'userRateLimitExceeded'];
+
+// The times of the recent requests counted against each user's quota budget,
+// oldest first.
+var quotaBudgets = {};
+
+/**
+ * Wraps the methods of an API resource, so that the requests made with them
+ * are counted against the quota budget, retried with exponential backoff when
+ * they fail with a transient error, and otherwise fail with one of the errors
+ * in errors.js. The methods must be called with a callback.
+ * @param {SheetsHelper} helper   The helper making the requests.
+ * @param {Object}       resource The API resource, such as
+ *                                service.spreadsheets.
+ * @param {Array}        methods  The names of the methods to wrap.
+ * @param {Object}       options  Optional. The key "idempotent", false if the
+ *                                requests may be applied twice when sent
+ *                                twice, such as a batchUpdate appending rows.
+ *                                Those are only retried when rejected by a
+ *                                rate limit, as other failures may come after
+ *                                the request was applied.
+ */
+function wrapRequests(helper, resource, methods, options) {
+  var idempotent = !options || options.idempotent !== false;
+  methods.forEach(function(method) {
+    var original = resource[method];
+    resource[method] = function(params, callback) {
+      // Retries are made here rather than by the client library, which
+      // ignores Retry-After and doesn't retry POST requests.
+      var send = original.bind(resource, params, {retry: false});
+      sendWithRetries(helper, send, idempotent, callback);
+    };
+  });
+}
+
+/**
+ * Sends a request, retrying it while it fails with a transient error.
+ * @param {SheetsHelper} helper     The helper making the request.
+ * @param {Function}     send       The function sending the request, passed
+ *                                  a callback.
+ * @param {Boolean}      idempotent False if the request is only retried when
+ *                                  rejected by a rate limit.
+ * @param {Function}     callback   The callback function, passed the response.
+ */
+function sendWithRetries(helper, send, idempotent, callback) {
+  var options = config.sheetsApi;
+  var attempt = 0;
+  function trySend() {
+    reserveQuota(helper.quotaUser, function(err) {
+      if (err) {
+        return callback(err);
+      }
+      helper.requestCount++;
+      send(function(err, response) {
+        if (!err) {
+          return callback(null, response);
+        }
+        var retryAfter = getRetryAfter(err);
+        var retryable = idempotent ? isRetryable(err) : isRateLimited(err);
+        if (!retryable || attempt >= options.maxRetries ||
+            retryAfter * 1000 > options.maxRetryDelay) {
+          return callback(toApiError(err, retryAfter));
+        }
+        var delay = retryAfter === null ?
+            getBackoffDelay(attempt, options) : retryAfter * 1000;
+        attempt++;
+        setTimeout(trySend, delay);
+      });
+    });
+  }
+  trySend();
+}
+
+/**
+ * Counts a request against a user's quota budget. If the budget is spent, the
+ * request waits until it is replenished, unless that would take too long.
+ * @param {string}   quotaUser The ID of the user.
+ * @param {Function} callback  The callback function, called once the request
+ *                             can be sent. Passed a QuotaExceededError if it
+ *                             can't.
+ */
+function reserveQuota(quotaUser, callback) {
+  var quota = config.sheetsApi.quota;
+  if (!quota) {
+    return callback(null);
+  }
+  var now = Date.now();
+  var times = quotaBudgets[quotaUser] = (quotaBudgets[quotaUser] || [])
+    .filter(function(time) {
+      return time > now - quota.interval;
+    });
+  if (times.length < quota.requests) {
+    times.push(now);
+    return callback(null);
+  }
+  var wait = times[0] + quota.interval - now;
+  if (wait > quota.maxWait) {
+    return callback(new errors.QuotaExceededError('The quota of ' +
+        quota.requests + ' requests to Google Sheets every ' +
+        quota.interval / 1000 + ' seconds has been used up.', null,
+        Math.ceil(wait / 1000)));
+  }
+  setTimeout(function() {
+    reserveQuota(quotaUser, callback);
+  }, wait);
+}
+
+/**
+ * Gets the time to wait before retrying a request, increasing exponentially
+ * with each attempt, with random jitter so that requests failing together
+ * aren't retried together.
+ * @param  {number} attempt The number of retries already made.
+ * @param  {Object} options The "sheetsApi" options in config.json.
+ * @return {number}         The delay, in milliseconds.
+ */
+function getBackoffDelay(attempt, options) {
+  var delay = Math.min(options.maxRetryDelay,
+      options.initialRetryDelay * Math.pow(2, attempt));
+  return delay / 2 + Math.random() * delay / 2;
+}
+
+/**
+ * Gets the time to wait before retrying a request, if the response says.
+ * @param  {Error}  err The error returned by the client library.
+ * @return {number}     The number of seconds to wait, or null if the response
+ *                      has no valid Retry-After header.
+ */
+function getRetryAfter(err) {
+  var value = err.response && err.response.headers &&
+      err.response.headers['retry-after'];
+  if (!value) {
+    return null;
+  }
+  if (/^\d+$/.test(value)) {
+    return Number(value);
+  }
+  var date = Date.parse(value);
+  return isNaN(date) ? null :
+      Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+/**
+ * Determines if a failed request may succeed if retried.
+ * @param  {Error}   err The error returned by the client library.
+ * @return {Boolean}     True if the request should be retried.
+ */
+function isRetryable(err) {
+  if (!err.response) {
+    return RETRYABLE_CODES.indexOf(err.code) != -1;
+  }
+  return RETRYABLE_STATUSES.indexOf(err.response.status) != -1 ||
+      isRateLimited(err);
+}
+
+/**
+ * Determines if a request failed because a rate limit was exceeded, which the
+ * API reports with either a 429 or a 403 response.
+ * @param  {Error}   err The error returned by the client library.
+ * @return {Boolean}     True if a rate limit was exceeded.
+ */
+function isRateLimited(err) {
+  var status = err.response && err.response.status;
+  var error = getResponseError(err);
+  var reason = error.errors && error.errors[0] && error.errors[0].reason;
+  return status == 429 || (status == 403 &&
+      (RATE_LIMIT_REASONS.indexOf(reason) != -1 ||
+      error.status == 'RESOURCE_EXHAUSTED'));
+}
+
+/**
+ * Converts the error returned by the client library for a failed request to
+ * one of the errors in errors.js.
+ * @param  {Error}    err        The error returned by the client library.
+ * @param  {number}   retryAfter The number of seconds to wait before trying
+ *                               again, from the response, or null.
+ * @return {ApiError}            The error.
+ */
+function toApiError(err, retryAfter) {
+  var status = err.response && err.response.status;
+  var data = err.response && err.response.data;
+  var message = getResponseError(err).message || err.message;
+  // The token endpoint reports refresh tokens that have expired or been
+  // revoked as an "invalid_grant" error.
+  if (status == 401 || (data && data.error == 'invalid_grant')) {
+    return new errors.AuthExpiredError(message, err);
+  }
+  if (isRateLimited(err)) {
+    return new errors.QuotaExceededError(message, err, retryAfter);
+  }
+  if (status == 403) {
+    return new errors.PermissionDeniedError(message, err);
+  }
+  if (status == 404) {
+    return new errors.NotFoundError(message, err);
+  }
+  return new errors.ApiError(message, err);
+}
+
+/**
+ * Gets the error described in the body of a response.
+ * @param  {Error}  err The error returned by the client library.
+ * @return {Object}     The "error" of the body, or an empty object.
+ */
+function getResponseError(err) {
+  var data = err.response && err.response.data;
+  return data && typeof data.error == 'object' ? data.error : {};
+}
+
+/**
+ * Create a spreadsheet with the given name.
+ * @param  {string}   title    The name of the spreadsheet.
+ * @param  {Array}    columns  The specifications of the columns in the data
+ *                             sheet, as returned by layouts.get().
+ * @param  {Object}   template The report template, as returned by
+ *                             templates.get().
+ * @param  {Function} callback The callback function.
+ */
+SheetsHelper.prototype.createSpreadsheet = function(title, columns, template,
+    callback) {
+  var self = this;
+  var request = {
+    resource: {
+      properties: {
+        title: title
+      },
+      sheets: [
+        {
+          properties: {
+            title: 'Data',
+            gridProperties: {
+              columnCount: columns.length,
+              frozenRowCount: 1
+            }
+          }
+        }
+      ].concat(template.sheets.map(buildDerivedSheet))
+    }
+  };
+  self.service.spreadsheets.create(request, function(err, response) {
+    if (err) {
+      return callback(err);
+    }
+    var spreadsheet = response.data;
+    // Add header rows.
+    var dataSheetId = spreadsheet.sheets[0].properties.sheetId;
+    var requests = [
+      buildHeaderRowRequest(dataSheetId, columns),
+    ].concat(buildColumnPropertiesRequests(dataSheetId, columns));
+    // Add the pivot tables and charts of the derived sheets.
+    template.sheets.forEach(function(derived, i) {
+      var sheetId = spreadsheet.sheets[i + 1].properties.sheetId;
+      requests = requests.concat(buildDerivedSheetRequests(dataSheetId,
+          sheetId, derived, columns, true));
+    });
+    var request = {
+      spreadsheetId: spreadsheet.spreadsheetId,
+      resource: {
+        requests: requests
+      }
+    };
+    self.service.spreadsheets.batchUpdate(request, function(err, response) {
+      if (err) {
+        return callback(err);
+      }
+      return callback(null, spreadsheet);
+    });
+
+  });
+};
+
+/**
+ * Rename a spreadsheet.
+ * @param  {string}   spreadsheetId The ID of the spreadsheet.
+ * @param  {string}   title         The new title.
+ * @param  {Function} callback      The callback function.
+ */
+SheetsHelper.prototype.renameSpreadsheet = function(spreadsheetId, title,
+    callback) {
+  var request = {
+    spreadsheetId: spreadsheetId,
+    resource: {
+      requests: [
+        {
+          updateSpreadsheetProperties: {
+            properties: {
+              title: title
+            },
+            fields: 'title'
+          }
+        }
+      ]
+    }
+  };
+  this.service.spreadsheets.batchUpdate(request, function(err) {
+    if (err) {
+      return callback(err);
+    }
+    return callback();
+  });
+};
+
+/**
+ * Move a spreadsheet to the trash in Drive, from where its owner can still
+ * restore it.
+ * @param  {string}   spreadsheetId The ID of the spreadsheet.
+ * @param  {Function} callback      The callback function.
+ */
+SheetsHelper.prototype.trashSpreadsheet = function(spreadsheetId, callback) {
+  var request = {
+    fileId: spreadsheetId,
+    resource: {
+      trashed: true
+    }
+  };
+  this.drive.files.update(request, function(err) {
+    if (err) {
+      return callback(err);
+    }
+    return callback();
+  });
+};
+
+/**
+ * Rebuild the sheets derived from the data sheet by a report template. Missing
+ * sheets are added, and the pivot tables of the others are set up again.
+ * @param  {string}   spreadsheetId The ID of the spreadsheet.
+ * @param  {string}   dataSheetId   The ID of the data sheet.
+ * @param  {Array}    columns       The specifications of the columns in the
+ *                                  data sheet.
+ * @param  {Object}   template      The report template.
+ * @param  {Function} callback      The callback function.
+ */
+SheetsHelper.prototype.rebuildDerivedSheets = function(spreadsheetId,
+    dataSheetId, columns, template, callback) {
+  var self = this;
+  if (template.sheets.length == 0) {
+    return callback();
+  }
+  var request = {
+    spreadsheetId: spreadsheetId,
+    fields: 'sheets.properties(sheetId,title)'
+  };
+  self.service.spreadsheets.get(request, function(err, response) {
+    if (err) {
+      return callback(err);
+    }
+    var sheetIds = {};
+    response.data.sheets.forEach(function(sheet) {
+      sheetIds[sheet.properties.title] = sheet.properties.sheetId;
+    });
+    var missing = template.sheets.filter(function(derived) {
+      return sheetIds[derived.title] === undefined;
+    });
+    addSheets(self.service, spreadsheetId, missing.map(buildDerivedSheet),
+        function(err, added) {
+      if (err) {
+        return callback(err);
+      }
+      var requests = [];
+      template.sheets.forEach(function(derived) {
+        var isNew = missing.indexOf(derived) != -1;
+        var sheetId = isNew ?
+            added[missing.indexOf(derived)] : sheetIds[derived.title];
+        requests = requests.concat(buildDerivedSheetRequests(dataSheetId,
+            sheetId, derived, columns, isNew));
+      });
+      var request = {
+        spreadsheetId: spreadsheetId,
+        resource: {
+          requests: requests
+        }
+      };
+      self.service.spreadsheets.batchUpdate(request, function(err) {
+        if (err) {
+          return callback(err);
+        }
+        return callback();
+      });
+    });
+  });
+};
+
+/**
+ * Checks that a linked spreadsheet and its data sheet still exist, as they
+ * can be deleted, or the spreadsheet unshared, outside of the app.
+ * @param  {string}   spreadsheetId The ID of the spreadsheet.
+ * @param  {string}   dataSheetId   The ID of the data sheet.
+ * @param  {Function} callback      The callback function, passed the status
+ *                                  of the link: "OK", "SPREADSHEET_MISSING",
+ *                                  "NO_ACCESS" or "DATA_SHEET_MISSING".
+ */
+SheetsHelper.prototype.checkSpreadsheet = function(spreadsheetId, dataSheetId,
+    callback) {
+  var request = {
+    spreadsheetId: spreadsheetId,
+    fields: 'sheets.properties(sheetId,title)'
+  };
+  this.service.spreadsheets.get(request, function(err, response) {
+    if (err instanceof errors.NotFoundError) {
+      return callback(null, 'SPREADSHEET_MISSING');
+    }
+    if (err instanceof errors.PermissionDeniedError) {
+      return callback(null, 'NO_ACCESS');
+    }
+    if (err) {
+      return callback(err);
+    }
+    var found = response.data.sheets.some(function(sheet) {
+      return sheet.properties.sheetId == dataSheetId;
+    });
+    return callback(null, found ? 'OK' : 'DATA_SHEET_MISSING');
+  });
+};
+
+/**
+ * Repairs a spreadsheet whose data sheet was deleted, by adding a new data
+ * sheet with the header row, and setting up the derived sheets again so that
+ * their pivot tables read from it. The orders are written by the next sync.
+ * @param  {string}   spreadsheetId The ID of the spreadsheet.
+ * @param  {Array}    columns       The specifications of the columns in the
+ *                                  data sheet.
+ * @param  {Object}   template      The report template.
+ * @param  {Function} callback      The callback function, passed the ID of
+ *                                  the new data sheet.
+ */
+SheetsHelper.prototype.repairSpreadsheet = function(spreadsheetId, columns,
+    template, callback) {
+  var self = this;
+  var request = {
+    spreadsheetId: spreadsheetId,
+    fields: 'sheets.properties(sheetId,title)'
+  };
+  self.service.spreadsheets.get(request, function(err, response) {
+    if (err) {
+      return callback(err);
+    }
+    var titles = response.data.sheets.map(function(sheet) {
+      return sheet.properties.title;
+    });
+    // Another sheet may have been renamed to the data sheet's title.
+    var title = 'Data';
+    for (var i = 2; titles.indexOf(title) != -1; i++) {
+      title = 'Data ' + i;
+    }
+    var sheet = {
+      properties: {
+        title: title,
+        index: 0,
+        gridProperties: {
+          columnCount: columns.length,
+          frozenRowCount: 1
+        }
+      }
+    };
+    addSheets(self.service, spreadsheetId, [sheet], function(err, added) {
+      if (err) {
+        return callback(err);
+      }
+      var dataSheetId = added[0];
+      var request = {
+        spreadsheetId: spreadsheetId,
+        resource: {
+          requests: [
+            buildHeaderRowRequest(dataSheetId, columns)
+          ].concat(buildColumnPropertiesRequests(dataSheetId, columns))
+        }
+      };
+      self.service.spreadsheets.batchUpdate(request, function(err) {
+        if (err) {
+          return callback(err);
+        }
+        self.rebuildDerivedSheets(spreadsheetId, dataSheetId, columns,
+            template, function(err) {
+          if (err) {
+            return callback(err);
+          }
+          return callback(null, dataSheetId);
+        });
+      });
+    });
+  });
+};
+
+// The sheets listing records other than orders, keyed by the name of their
+// records in the data passed to syncReferenceSheets(). The records of the
+// sheets marked appendOnly are never changed once written, so only those with
+// a greater ID than the last one written are added to them.
+var REFERENCE_SHEETS = {
+  products: {
+    title: 'Products',
+    columns: [
+      {field: 'code', header: 'Code', type: 'STRING'},
+      {field: 'name', header: 'Name', type: 'STRING'},
+      // List prices are in the base currency.
+      {field: 'listPrice',
+          header: 'List Price (' + currencies.BASE_CURRENCY + ')',
+          type: 'CURRENCY',
+          numberFormat: currencies.getNumberFormat(currencies.BASE_CURRENCY)},
+      {field: 'active', header: 'Active', type: 'BOOLEAN'}
+    ]
+  },
+  history: {
+    title: 'History',
+    appendOnly: true,
+    columns: [
+      {field: 'orderId', header: 'Order ID', type: 'NUMBER'},
+      {field: 'fromStatus', header: 'From', type: 'STRING'},
+      {field: 'toStatus', header: 'To', type: 'STRING'},
+      {field: 'changedBy', header: 'Changed By', type: 'STRING'},
+      {field: 'createdAt', header: 'Changed At', type: 'DATE_TIME',
+          numberFormat: 'yyyy-mm-dd hh:mm'}
+    ]
+  }
+};
+
+/**
+ * Updates the sheets listing records other than orders, such as the product
+ * catalog and the history of order statuses, adding the sheets if they don't
+ * exist yet. The contents of each sheet are replaced, other than those of the
+ * append-only sheets already written, to which only new records are added.
+ * @param  {string}   spreadsheetId The ID of the spreadsheet.
+ * @param  {Object}   data          The records to list, with the keys
+ *                                  "products" and "history", the latter
+ *                                  ordered by ID. The key "lastIds" can map
+ *                                  the name of an append-only sheet's records
+ *                                  to the ID of the last one written to it.
+ * @param  {Function} callback      The callback function, passed an object
+ *                                  mapping the name of each append-only
+ *                                  sheet's records to the ID of the last one
+ *                                  now in the sheet, or 0 if there are none.
+ */
+SheetsHelper.prototype.syncReferenceSheets = function(spreadsheetId, data,
+    callback) {
+  var names = Object.keys(REFERENCE_SHEETS).filter(function(name) {
+    return data[name];
+  });
+  this.startReferenceSync(spreadsheetId, names, data.lastIds,
+      function(err, sync) {
+    if (err) {
+      return callback(err);
+    }
+    forEachSeries(names, function(name, next) {
+      sync.write(name, data[name], next);
+    }, function(err) {
+      if (err) {
+        return callback(err);
+      }
+      sync.end(callback);
+    });
+  });
+};
+
+/**
+ * Starts a sync of the sheets listing records other than orders that is given
+ * the records a page at a time, as with syncReferenceSheets(). The sheets are
+ * added if missing, and those to be written afresh are cleared and given
+ * their header row before any records are written.
+ * @param  {string}   spreadsheetId The ID of the spreadsheet.
+ * @param  {Array}    names         The names of the records of the sheets to
+ *                                  sync, keys of REFERENCE_SHEETS.
+ * @param  {Object}   lastIds       Optional. Maps the name of an append-only
+ *                                  sheet's records to the ID of the last one
+ *                                  written to it.
+ * @param  {Function} callback      The callback function, passed the sync,
+ *                                  with the key "afterIds", mapping the name
+ *                                  of each append-only sheet's records to the
+ *                                  ID of the last one kept in the sheet, or 0
+ *                                  if it is written afresh, and the methods
+ *                                  write(name, records, callback), which adds
+ *                                  a page of records, ordered by ID for the
+ *                                  append-only sheets, to a sheet, and
+ *                                  end(callback), which passes the callback
+ *                                  the IDs of the last records, as with
+ *                                  syncReferenceSheets().
+ */
+SheetsHelper.prototype.startReferenceSync = function(spreadsheetId, names,
+    lastIds, callback) {
+  var self = this;
+  lastIds = lastIds || {};
+  var request = {
+    spreadsheetId: spreadsheetId,
+    fields: 'sheets.properties(sheetId,title)'
+  };
+  self.service.spreadsheets.get(request, function(err, response) {
+    if (err) {
+      return callback(err);
+    }
+    var sheetIds = {};
+    response.data.sheets.forEach(function(sheet) {
+      sheetIds[sheet.properties.title] = sheet.properties.sheetId;
+    });
+    var missing = names.filter(function(name) {
+      return sheetIds[REFERENCE_SHEETS[name].title] === undefined;
+    });
+    var sheets = missing.map(function(name) {
+      return {
+        properties: {
+          title: REFERENCE_SHEETS[name].title,
+          gridProperties: {
+            frozenRowCount: 1
+          }
+        }
+      };
+    });
+    addSheets(self.service, spreadsheetId, sheets, function(err, added) {
+      if (err) {
+        return callback(err);
+      }
+      missing.forEach(function(name, i) {
+        sheetIds[REFERENCE_SHEETS[name].title] = added[i];
+      });
+      var requests = [];
+      var afterIds = {};
+      names.forEach(function(name) {
+        var sheet = REFERENCE_SHEETS[name];
+        var lastId = lastIds[name];
+        if (!sheet.appendOnly || lastId == null ||
+            missing.indexOf(name) != -1) {
+          requests = requests.concat(buildReplaceSheetRequests(
+              sheetIds[sheet.title], [], sheet.columns));
+          lastId = 0;
+        }
+        if (sheet.appendOnly) {
+          afterIds[name] = lastId;
+        }
+      });
+      sendBatches(self, spreadsheetId, requests, {}, function(err) {
+        if (err) {
+          return callback(err);
+        }
+        var endIds = Object.assign({}, afterIds);
+        return callback(null, {
+          afterIds: afterIds,
+          write: function(name, records, callback) {
+            var sheet = REFERENCE_SHEETS[name];
+            if (sheet.appendOnly) {
+              records = records.filter(function(record) {
+                return record.id > endIds[name];
+              });
+              if (records.length) {
+                endIds[name] = records[records.length - 1].id;
+              }
+            }
+            sendBatches(self, spreadsheetId, buildAppendRowsRequests(
+                sheetIds[sheet.title], records, sheet.columns), {}, callback);
+          },
+          end: function(callback) {
+            return callback(null, endIds);
+          }
+        });
+      });
+    });
+  });
 };
 
-module.exports = SheetsHelper;
+/**
+ * Builds the requests that clear a sheet, then write a header row and a row
+ * for each record.
+ * @param  {string} sheetId The ID of the sheet.
+ * @param  {Array}  records The records.
+ * @param  {Array}  columns The specifications of the columns.
+ * @return {Array}          The requests.
+ */
+function buildReplaceSheetRequests(sheetId, records, columns) {
+  return [
+    {
+      updateCells: {
+        range: {
+          sheetId: sheetId
+        },
+        fields: 'userEnteredValue'
+      }
+    },
+    buildHeaderRowRequest(sheetId, columns)
+  ].concat(buildAppendRowsRequests(sheetId, records, columns));
+}
+
+/**
+ * Builds the requests that add a row for each record after the last row of a
+ * sheet.
+ * @param  {string} sheetId The ID of the sheet.
+ * @param  {Array}  records The records.
+ * @param  {Array}  columns The specifications of the columns.
+ * @return {Array}          The requests.
+ */
+function buildAppendRowsRequests(sheetId, records, columns) {
+  if (records.length == 0) {
+    return [];
+  }
+  return [{
+    appendCells: {
+      sheetId: sheetId,
+      rows: buildRowsForOrders(records, columns),
+      fields: 'userEnteredValue,userEnteredFormat.numberFormat'
+    }
+  }];
+}
+
+/**
+ * Builds the Sheet for a sheet derived from the data sheet.
+ * @param  {Object} derived The template's specification of the sheet.
+ * @return {Object}         The Sheet.
+ */
+function buildDerivedSheet(derived) {
+  return {
+    properties: {
+      title: derived.title,
+      gridProperties: {
+        hideGridlines: true
+      }
+    }
+  };
+}
+
+/**
+ * Adds sheets to a spreadsheet.
+ * @param  {Object}   service       The Sheets API service.
+ * @param  {string}   spreadsheetId The ID of the spreadsheet.
+ * @param  {Array}    sheets        The Sheets to add.
+ * @param  {Function} callback      The callback function, passed the IDs of
+ *                                  the sheets added.
+ */
+function addSheets(service, spreadsheetId, sheets, callback) {
+  if (sheets.length == 0) {
+    return callback(null, []);
+  }
+  var request = {
+    spreadsheetId: spreadsheetId,
+    resource: {
+      requests: sheets.map(function(sheet) {
+        return {
+          addSheet: sheet
+        };
+      })
+    }
+  };
+  service.spreadsheets.batchUpdate(request, function(err, response) {
+    if (err) {
+      return callback(err);
+    }
+    return callback(null, response.data.replies.map(function(reply) {
+      return reply.addSheet.properties.sheetId;
+    }));
+  });
+}
+
+/**
+ * Builds a request that sets the header row.
+ * @param  {string} sheetId The ID of the sheet.
+ * @param  {Array}  columns The specifications of the columns.
+ * @return {Object}         The reqeuest.
+ */
+function buildHeaderRowRequest(sheetId, columns) {
+  var cells = columns.map(function(column) {
+    return {
+      userEnteredValue: {
+        stringValue: column.header
+      },
+      userEnteredFormat: {
+        textFormat: {
+          bold: true
+        }
+      }
+    }
+  });
+  return {
+    updateCells: {
+      start: {
+        sheetId: sheetId,
+        rowIndex: 0,
+        columnIndex: 0
+      },
+      rows: [
+        {
+          values: cells
+        }
+      ],
+      fields: 'userEnteredValue,userEnteredFormat.textFormat.bold'
+    }
+  };
+}
+
+/**
+ * Builds the requests that set the width and visibility of the columns.
+ * @param  {string} sheetId The ID of the sheet.
+ * @param  {Array}  columns The specifications of the columns.
+ * @return {Array}          The requests.
+ */
+function buildColumnPropertiesRequests(sheetId, columns) {
+  var requests = [];
+  columns.forEach(function(column, i) {
+    if (!column.width && !column.hidden) {
+      return;
+    }
+    requests.push({
+      updateDimensionProperties: {
+        range: {
+          sheetId: sheetId,
+          dimension: 'COLUMNS',
+          startIndex: i,
+          endIndex: i + 1
+        },
+        properties: {
+          pixelSize: column.width,
+          hiddenByUser: Boolean(column.hidden)
+        },
+        fields: column.width ? 'pixelSize,hiddenByUser' : 'hiddenByUser'
+      }
+    });
+  });
+  return requests;
+}
+
+/**
+ * Sync the orders to a spreadsheet. Only the rows that differ from the orders
+ * are written, so that formatting applied in the sheet is preserved. If the
+ * header row doesn't match the expected columns the sheet is rewritten. Large
+ * changes are written in several batches, emitting progress events.
+ * @param  {string}   spreadsheetId The ID of the spreadsheet.
+ * @param  {string}   sheetId       The ID of the sheet.
+ * @param  {Array}    orders        The orders, flattened into one row per
+ *                                  line item by orders.findRows().
+ * @param  {Array}    columns       The specifications of the columns.
+ * @param  {Function} callback      The callback function, passed a summary
+ *                                  with the number of rows inserted, updated
+ *                                  and removed.
+ */
+SheetsHelper.prototype.sync = function(spreadsheetId, sheetId, orders, columns,
+    callback) {
+  this.startSync(spreadsheetId, sheetId, columns, function(err, sync) {
+    if (err) {
+      return callback(err);
+    }
+    writeAll(sync, orders, callback);
+  });
+};
+
+/**
+ * Starts a sync of the orders to a spreadsheet that is given the orders a page
+ * at a time, as with sync(). The sheet is read once, then each page is written
+ * as it is given, and the rows of the line items that weren't given are
+ * removed once the sync ends.
+ * @param  {string}   spreadsheetId The ID of the spreadsheet.
+ * @param  {string}   sheetId       The ID of the sheet.
+ * @param  {Array}    columns       The specifications of the columns.
+ * @param  {Function} callback      The callback function, passed the sync, with
+ *                                  the methods write(orders, callback), which
+ *                                  writes a page of orders flattened by
+ *                                  orders.findRowsInPages(), and
+ *                                  end(callback), which passes the callback
+ *                                  the summary, as with sync().
+ */
+SheetsHelper.prototype.startSync = function(spreadsheetId, sheetId, columns,
+    callback) {
+  var self = this;
+  getSheetValues(self.service, spreadsheetId, sheetId, function(err, values) {
+    if (err) {
+      return callback(err);
+    }
+    var rows = parseRows(values, columns);
+    var isIncremental = values.length && isHeaderRow(values[0], columns);
+    var state = isIncremental ? indexRows(rows) : {
+      nextRowIndex: 1,
+      cleared: false,
+      removed: rows.length
+    };
+    var summary = {inserted: 0, updated: 0, removed: 0};
+    // The number of rows in the sheet once resized, kept between the batches
+    // of each page so that the sheet is grown as the rows are written.
+    var rowCounts = {};
+    function send(result, callback) {
+      Object.keys(summary).forEach(function(key) {
+        summary[key] += result.summary[key];
+      });
+      sendBatches(self, spreadsheetId, result.requests, rowCounts, callback);
+    }
+    return callback(null, {
+      write: function(orders, callback) {
+        send(isIncremental ?
+            buildIncrementalSyncRequests(sheetId, state, orders, columns) :
+            buildFullSyncRequests(sheetId, state, orders, columns), callback);
+      },
+      end: function(callback) {
+        var result = isIncremental ?
+            buildRemovedRowsRequests(sheetId, state) :
+            buildFullSyncRequests(sheetId, state, [], columns);
+        send(result, function(err) {
+          if (err) {
+            return callback(err);
+          }
+          return callback(null, summary);
+        });
+      }
+    });
+  });
+};
+
+/**
+ * Writes the orders with a sync started by startSync() or
+ * startSyncPartitions(), then ends it.
+ * @param  {Object}   sync     The sync.
+ * @param  {Array}    orders   The orders, flattened into one row per line item.
+ * @param  {Function} callback The callback function, passed the summary.
+ */
+function writeAll(sync, orders, callback) {
+  sync.write(orders, function(err) {
+    if (err) {
+      return callback(err);
+    }
+    sync.end(callback);
+  });
+}
+
+// The fields orders can be split into tabs by, with the label the titles of
+// their tabs start with.
+var PARTITIONS = {
+  status: 'Status',
+  customerName: 'Customer',
+  productCode: 'Product'
+};
+
+SheetsHelper.PARTITIONS = PARTITIONS;
+SheetsHelper.toValue = toValue;
+SheetsHelper.getColumnForField = getColumnForField;
+
+// The longest title a sheet can have.
+var MAX_TITLE_LENGTH = 100;
+
+/**
+ * Sync the orders to a spreadsheet, split into one tab per value of a field,
+ * such as one per status. Tabs are added and removed as values appear and
+ * disappear, and each is synced as with sync(). The data sheet is then set to
+ * combine the rows of every tab, so that the pivot tables built from it still
+ * cover all the orders.
+ * @param  {string}   partitionField The field to split the orders by, one of
+ *                                   the keys of PARTITIONS.
+ * @param  {string}   spreadsheetId  The ID of the spreadsheet.
+ * @param  {string}   dataSheetId    The ID of the data sheet.
+ * @param  {Array}    orders         The orders, flattened into one row per
+ *                                   line item by orders.findRows().
+ * @param  {Array}    columns        The specifications of the columns.
+ * @param  {Function} callback       The callback function, passed a summary
+ *                                   with the number of rows inserted, updated
+ *                                   and removed across the tabs.
+ */
+SheetsHelper.prototype.syncPartitions = function(partitionField, spreadsheetId,
+    dataSheetId, orders, columns, callback) {
+  this.startSyncPartitions(partitionField, spreadsheetId, dataSheetId, columns,
+      function(err, sync) {
+    if (err) {
+      return callback(err);
+    }
+    writeAll(sync, orders, callback);
+  });
+};
+
+/**
+ * Starts a sync of the orders to the tabs of a spreadsheet that is given the
+ * orders a page at a time, as with syncPartitions(). The tabs are added as
+ * their values appear, and each is synced as with startSync(). The tabs left
+ * without orders are removed, and the data sheet set to combine the others,
+ * once the sync ends.
+ * @param  {string}   partitionField The field to split the orders by, one of
+ *                                   the keys of PARTITIONS.
+ * @param  {string}   spreadsheetId  The ID of the spreadsheet.
+ * @param  {string}   dataSheetId    The ID of the data sheet.
+ * @param  {Array}    columns        The specifications of the columns.
+ * @param  {Function} callback       The callback function, passed the sync,
+ *                                   as with startSync().
+ */
+SheetsHelper.prototype.startSyncPartitions = function(partitionField,
+    spreadsheetId, dataSheetId, columns, callback) {
+  var self = this;
+  getPartitionSheetIds(self.service, spreadsheetId, partitionField,
+      function(err, sheetIds) {
+    if (err) {
+      return callback(err);
+    }
+    // The syncs of the tabs given orders so far, keyed by title.
+    var syncs = {};
+    var orderCount = 0;
+    return callback(null, {
+      write: function(orders, callback) {
+        var partitions = {};
+        orders.forEach(function(order) {
+          var title = getPartitionTitle(partitionField, order[partitionField]);
+          partitions[title] = partitions[title] || [];
+          partitions[title].push(order);
+        });
+        orderCount += orders.length;
+        var titles = Object.keys(partitions).sort();
+        var missing = titles.filter(function(title) {
+          return sheetIds[title] === undefined;
+        });
+        var sheets = missing.map(function(title) {
+          return {
+            properties: {
+              title: title,
+              gridProperties: {
+                columnCount: columns.length,
+                frozenRowCount: 1
+              }
+            }
+          };
+        });
+        addSheets(self.service, spreadsheetId, sheets, function(err, added) {
+          if (err) {
+            return callback(err);
+          }
+          missing.forEach(function(title, i) {
+            sheetIds[title] = added[i];
+          });
+          forEachSeries(titles, function(title, next) {
+            if (syncs[title]) {
+              return syncs[title].write(partitions[title], next);
+            }
+            self.startSync(spreadsheetId, sheetIds[title], columns,
+                function(err, sync) {
+              if (err) {
+                return next(err);
+              }
+              syncs[title] = sync;
+              sync.write(partitions[title], next);
+            });
+          }, callback);
+        });
+      },
+      end: function(callback) {
+        var titles = Object.keys(syncs).sort();
+        var stale = Object.keys(sheetIds).filter(function(title) {
+          return !syncs[title];
+        }).map(function(title) {
+          return sheetIds[title];
+        });
+        var summary = {inserted: 0, updated: 0, removed: 0};
+        forEachSeries(titles, function(title, next) {
+          syncs[title].end(function(err, result) {
+            if (err) {
+              return next(err);
+            }
+            Object.keys(summary).forEach(function(key) {
+              summary[key] += result[key];
+            });
+            next();
+          });
+        }, function(err) {
+          if (err) {
+            return callback(err);
+          }
+          // The rows of the tabs being removed have moved to other tabs, or
+          // their orders are gone.
+          getSheetsValues(self.service, spreadsheetId, stale,
+              function(err, staleValues) {
+            if (err) {
+              return callback(err);
+            }
+            staleValues.forEach(function(values) {
+              summary.removed += parseRows(values, columns).length;
+            });
+            var requests = stale.map(function(sheetId) {
+              return {
+                deleteSheet: {
+                  sheetId: sheetId
+                }
+              };
+            }).concat(buildCombinedSheetRequests(dataSheetId, titles, columns,
+                orderCount));
+            var request = {
+              spreadsheetId: spreadsheetId,
+              resource: {
+                requests: requests
+              }
+            };
+            self.service.spreadsheets.batchUpdate(request, function(err) {
+              if (err) {
+                return callback(err);
+              }
+              return callback(null, summary);
+            });
+          });
+        });
+      }
+    });
+  });
+};
+
+/**
+ * Read the orders currently stored in the tabs of a spreadsheet synced with
+ * syncPartitions().
+ * @param  {string}   partitionField The field the orders are split by.
+ * @param  {string}   spreadsheetId  The ID of the spreadsheet.
+ * @param  {Array}    columns        The specifications of the columns.
+ * @param  {Function} callback       The callback function, passed the list of
+ *                                   rows read, as with readOrders(). Each row
+ *                                   also has the key "sheet" set to the title
+ *                                   of its tab.
+ */
+SheetsHelper.prototype.readPartitions = function(partitionField,
+    spreadsheetId, columns, callback) {
+  var self = this;
+  getPartitionSheetIds(self.service, spreadsheetId, partitionField,
+      function(err, sheetIds) {
+    if (err) {
+      return callback(err);
+    }
+    var titles = Object.keys(sheetIds).sort();
+    getSheetsValues(self.service, spreadsheetId, titles.map(function(title) {
+      return sheetIds[title];
+    }), function(err, sheetValues) {
+      if (err) {
+        return callback(err);
+      }
+      var rows = [];
+      sheetValues.forEach(function(values, i) {
+        parseRows(values, columns).forEach(function(row) {
+          row.sheet = titles[i];
+          rows.push(row);
+        });
+      });
+      return callback(null, rows);
+    });
+  });
+};
+
+/**
+ * Gets the title of the tab holding the orders with a value of the field they
+ * are split by, such as "Status: SHIPPED".
+ * @param  {string} partitionField The field the orders are split by.
+ * @param  {*}      value          The value of the field.
+ * @return {string}                The title.
+ */
+function getPartitionTitle(partitionField, value) {
+  var title = PARTITIONS[partitionField] + ': ' +
+      (value == null || value === '' ? '(none)' : value);
+  return title.slice(0, MAX_TITLE_LENGTH);
+}
+
+/**
+ * Gets the IDs of the tabs a spreadsheet's orders are split into, identified
+ * by the label their titles start with.
+ * @param  {Object}   service        The Sheets API service.
+ * @param  {string}   spreadsheetId  The ID of the spreadsheet.
+ * @param  {string}   partitionField The field the orders are split by.
+ * @param  {Function} callback       The callback function, passed the IDs of
+ *                                   the tabs keyed by title.
+ */
+function getPartitionSheetIds(service, spreadsheetId, partitionField,
+    callback) {
+  var prefix = PARTITIONS[partitionField] + ': ';
+  var request = {
+    spreadsheetId: spreadsheetId,
+    fields: 'sheets.properties(sheetId,title)'
+  };
+  service.spreadsheets.get(request, function(err, response) {
+    if (err) {
+      return callback(err);
+    }
+    var sheetIds = {};
+    response.data.sheets.forEach(function(sheet) {
+      if (sheet.properties.title.indexOf(prefix) == 0) {
+        sheetIds[sheet.properties.title] = sheet.properties.sheetId;
+      }
+    });
+    return callback(null, sheetIds);
+  });
+}
+
+/**
+ * Builds the requests that set the data sheet to combine the rows of the tabs
+ * orders are split into, using a formula, below the header row.
+ * @param  {string} sheetId  The ID of the data sheet.
+ * @param  {Array}  titles   The titles of the tabs.
+ * @param  {Array}  columns  The specifications of the columns.
+ * @param  {number} rowCount The number of rows in the tabs.
+ * @return {Array}           The requests.
+ */
+function buildCombinedSheetRequests(sheetId, titles, columns, rowCount) {
+  var requests = [
+    {
+      updateCells: {
+        range: {
+          sheetId: sheetId
+        },
+        fields: 'userEnteredValue'
+      }
+    },
+    // The formula's results need room to expand into.
+    {
+      updateSheetProperties: {
+        properties: {
+          sheetId: sheetId,
+          gridProperties: {
+            rowCount: Math.max(rowCount, 1) + 1,
+            columnCount: columns.length
+          }
+        },
+        fields: 'gridProperties(rowCount,columnCount)'
+      }
+    },
+    buildHeaderRowRequest(sheetId, columns)
+  ];
+  if (titles.length == 0) {
+    return requests;
+  }
+  var lastColumn = getColumnLetter(columns.length - 1);
+  var ranges = titles.map(function(title) {
+    return util.format("'%s'!A2:%s", title.replace(/'/g, "''"), lastColumn);
+  });
+  // Skip the empty rows at the end of each tab.
+  var keyColumn = getColumnForField(columns, 'lineId');
+  var query = util.format('select * where Col%d is not null',
+      keyColumn.index + 1);
+  requests.push({
+    updateCells: {
+      start: {
+        sheetId: sheetId,
+        rowIndex: 1,
+        columnIndex: 0
+      },
+      rows: [
+        {
+          values: [
+            {
+              userEnteredValue: {
+                formulaValue: util.format('=QUERY({%s}, "%s", 0)',
+                    ranges.join('; '), query)
+              }
+            }
+          ]
+        }
+      ],
+      fields: 'userEnteredValue'
+    }
+  });
+  return requests;
+}
+
+/**
+ * Gets the letter of a column in A1 notation, such as "AB".
+ * @param  {number} index The index of the column.
+ * @return {string}       The letter.
+ */
+function getColumnLetter(index) {
+  var letter = '';
+  for (var n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + (n - 1) % 26) + letter;
+  }
+  return letter;
+}
+
+/**
+ * Calls an asynchronous function for each item of a list, one at a time,
+ * stopping at the first error.
+ * @param  {Array}    items    The items.
+ * @param  {Function} fn       The function, passed an item and a callback to
+ *                             call once it's done.
+ * @param  {Function} callback The callback function, passed the error, if
+ *                             any.
+ */
+function forEachSeries(items, fn, callback) {
+  var i = 0;
+  function next(err) {
+    if (err || i == items.length) {
+      return callback(err);
+    }
+    fn(items[i++], next);
+  }
+  next();
+}
+
+/**
+ * Builds the requests that rewrite the entire sheet with a page of orders. The
+ * requests for the first page also clear the sheet and write the header row,
+ * and each page is written below the one before.
+ * @param  {string} sheetId The ID of the sheet.
+ * @param  {Object} state   The state of the sync, with the keys "cleared",
+ *                          true once the sheet is cleared, "removed", the
+ *                          number of rows it held before, and "nextRowIndex",
+ *                          the index of the next row to write. Updated.
+ * @param  {Array}  orders  The page of orders.
+ * @param  {Array}  columns The specifications of the columns.
+ * @return {Object}         The requests, and a summary of the changes.
+ */
+function buildFullSyncRequests(sheetId, state, orders, columns) {
+  var requests = [];
+  var removed = 0;
+  if (!state.cleared) {
+    // Resize the sheet to the header and at most one row, as it is grown by
+    // sendBatches() as the rows are written.
+    requests.push({
+      updateSheetProperties: {
+        properties: {
+          sheetId: sheetId,
+          gridProperties: {
+            rowCount: Math.min(orders.length, 1) + 1,
+            columnCount: columns.length
+          }
+        },
+        fields: 'gridProperties(rowCount,columnCount)'
+      }
+    });
+    requests.push(buildHeaderRowRequest(sheetId, columns));
+    requests = requests.concat(buildColumnPropertiesRequests(sheetId,
+        columns));
+    state.cleared = true;
+    removed = state.removed;
+  }
+  // Set the cell values.
+  if (orders.length) {
+    requests.push({
+      updateCells: {
+        start: {
+          sheetId: sheetId,
+          rowIndex: state.nextRowIndex,
+          columnIndex: 0
+        },
+        rows: buildRowsForOrders(orders, columns),
+        fields: '*'
+      }
+    });
+    state.nextRowIndex += orders.length;
+  }
+  return {
+    requests: requests,
+    summary: {
+      inserted: orders.length,
+      updated: 0,
+      removed: removed
+    }
+  };
+}
+
+/**
+ * Indexes the rows read from a sheet by line ID, to start an incremental sync.
+ * @param  {Array}  rows The rows currently in the sheet.
+ * @return {Object}      The state of the sync, with the keys "rowsByLineId",
+ *                       the rows not yet matched to a line item, and
+ *                       "removed", the rows repeating the line ID of another.
+ */
+function indexRows(rows) {
+  var rowsByLineId = {};
+  var removed = [];
+  rows.forEach(function(row) {
+    var lineId = row.values.lineId;
+    if (lineId == null || rowsByLineId[lineId]) {
+      removed.push(row);
+      return;
+    }
+    rowsByLineId[lineId] = row;
+  });
+  return {
+    rowsByLineId: rowsByLineId,
+    removed: removed
+  };
+}
+
+/**
+ * Builds the minimal requests needed to bring the sheet in line with a page of
+ * orders. Rows are matched to line items by line ID: changed rows are updated
+ * in place and new line items are appended. The rows left without a matching
+ * line item are deleted once every page is written, by
+ * buildRemovedRowsRequests().
+ * @param  {string} sheetId The ID of the sheet.
+ * @param  {Object} state   The state of the sync, from indexRows(). Updated.
+ * @param  {Array}  orders  The page of orders.
+ * @param  {Array}  columns The specifications of the columns.
+ * @return {Object}         The requests, and a summary of the changes.
+ */
+function buildIncrementalSyncRequests(sheetId, state, orders, columns) {
+  var updated = [];
+  var inserted = [];
+  orders.forEach(function(order) {
+    var row = state.rowsByLineId[order.lineId];
+    if (!row) {
+      inserted.push(order);
+      return;
+    }
+    delete state.rowsByLineId[order.lineId];
+    if (!isRowForOrder(row, order, columns)) {
+      updated.push({rowIndex: row.rowIndex, order: order});
+    }
+  });
+  updated.sort(function(a, b) {
+    return a.rowIndex - b.rowIndex;
+  });
+
+  var requests = [];
+  // Update the changed rows, leaving their formatting intact other than the
+  // number format, which can depend on the row's currency.
+  groupConsecutive(updated).forEach(function(group) {
+    requests.push({
+      updateCells: {
+        start: {
+          sheetId: sheetId,
+          rowIndex: group[0].rowIndex,
+          columnIndex: 0
+        },
+        rows: buildRowsForOrders(group.map(function(update) {
+          return update.order;
+        }), columns),
+        fields: 'userEnteredValue,userEnteredFormat.numberFormat'
+      }
+    });
+  });
+  // Append the new orders, below every row read.
+  if (inserted.length) {
+    requests.push({
+      appendCells: {
+        sheetId: sheetId,
+        rows: buildRowsForOrders(inserted, columns),
+        fields: 'userEnteredValue,userEnteredFormat.numberFormat,dataValidation'
+      }
+    });
+  }
+  return {
+    requests: requests,
+    summary: {
+      inserted: inserted.length,
+      updated: updated.length,
+      removed: 0
+    }
+  };
+}
 
 /**
- * Create a spreadsheet with the given name.
- * @param  {string}   title    The name of the spreadsheet.
- * @param  {Function} callback The callback function.
+ * Builds the requests that delete the rows left without a matching line item
+ * once every page of an incremental sync is written.
+ * @param  {string} sheetId The ID of the sheet.
+ * @param  {Object} state   The state of the sync, from indexRows().
+ * @return {Object}         The requests, and a summary of the changes.
  */
-SheetsHelper.prototype.createSpreadsheet = function(title, callback) {
-  var self = this;
-  var request = {
-    resource: {
-      properties: {
-        title: title
-      },
-      sheets: [
-        {
-          properties: {
-            title: 'Data',
-            gridProperties: {
-              columnCount: 6,
-              frozenRowCount: 1
-            }
-          }
-        },
-        // Add pivot sheet.
-        {
-          properties: {
-            title: 'Pivot',
-            gridProperties: {
-              hideGridlines: true
-            }
-          }
+function buildRemovedRowsRequests(sheetId, state) {
+  var removed = state.removed.concat(Object.keys(state.rowsByLineId)
+    .map(function(lineId) {
+      return state.rowsByLineId[lineId];
+    })).sort(function(a, b) {
+    return a.rowIndex - b.rowIndex;
+  });
+  // Delete the removed rows, bottom up so the indexes remain valid.
+  var requests = groupConsecutive(removed).reverse().map(function(group) {
+    return {
+      deleteDimension: {
+        range: {
+          sheetId: sheetId,
+          dimension: 'ROWS',
+          startIndex: group[0].rowIndex,
+          endIndex: group[group.length - 1].rowIndex + 1
         }
-      ]
+      }
+    };
+  });
+  return {
+    requests: requests,
+    summary: {
+      inserted: 0,
+      updated: 0,
+      removed: removed.length
     }
   };
-  self.service.spreadsheets.create(request, function(err, response) {
-    if (err) {
-      return callback(err);
+}
+
+/**
+ * Determines if a row read from the sheet already holds an order's values.
+ * @param  {Object}  row     The row, as returned by parseRows.
+ * @param  {Object}  order   The order.
+ * @param  {Array}   columns The specifications of the columns.
+ * @return {Boolean}         True if the row is up to date, false otherwise.
+ */
+function isRowForOrder(row, order, columns) {
+  return columns.every(function(column) {
+    var value = toCellValue(row.values[column.field], column);
+    var expected = toCellValue(order[column.field], column);
+    if (typeof value == 'number' && typeof expected == 'number') {
+      // Allow for the rounding of dates to the nearest millisecond.
+      return Math.abs(value - expected) < NUMBER_TOLERANCE;
     }
-    var spreadsheet = response.data;
-    // Add header rows.
-    var dataSheetId = spreadsheet.sheets[0].properties.sheetId;
-    var requests = [
-      buildHeaderRowRequest(dataSheetId),
-    ];
-    // Add pivot table and chart.
-    var pivotSheetId = spreadsheet.sheets[1].properties.sheetId;
-    requests = requests.concat([
-      buildPivotTableRequest(dataSheetId, pivotSheetId),
-      buildFormatPivotTableRequest(pivotSheetId),
-      buildAddChartRequest(pivotSheetId)
-    ]);
+    return String(value == null ? '' : value) ==
+        String(expected == null ? '' : expected);
+  });
+}
+
+/**
+ * Sends batchUpdate requests in batches, so that large syncs stay within the
+ * limits on the size of a request. The rows written by updateCells and
+ * appendCells requests are split between batches as needed, and sheets
+ * resized by an earlier request are grown as the rows are written, rather
+ * than all at once.
+ * @param {SheetsHelper} helper        The helper sending the requests, which
+ *                                     emits a progress event after each batch.
+ * @param {string}       spreadsheetId The ID of the spreadsheet.
+ * @param {Array}        requests      The requests, in the order they apply.
+ * @param {Object}       rowCounts     The number of rows in the sheets resized
+ *                                     by earlier requests, by sheet ID, as
+ *                                     for splitRequests(). Updated.
+ * @param {Function}     callback      The callback function.
+ */
+function sendBatches(helper, spreadsheetId, requests, rowCounts, callback) {
+  var batches = splitRequests(requests, config.sheetsApi.maxCellsPerBatch,
+      rowCounts);
+  var sent = 0;
+  forEachSeries(batches, function(batch, next) {
     var request = {
-      spreadsheetId: spreadsheet.spreadsheetId,
+      spreadsheetId: spreadsheetId,
       resource: {
-        requests: requests
+        requests: batch.requests
       }
     };
-    self.service.spreadsheets.batchUpdate(request, function(err, response) {
+    helper.service.spreadsheets.batchUpdate(request, function(err) {
       if (err) {
-        return callback(err);
+        return next(err);
       }
-      return callback(null, spreadsheet);
+      sent++;
+      helper.emit('progress', {
+        rows: batch.rows,
+        batch: sent,
+        batchCount: batches.length
+      });
+      next();
     });
-
-  });
-};
-
-var COLUMNS = [
-  { field: 'id', header: 'ID' },
-  { field: 'customerName', header: 'Customer Name'},
-  { field: 'productCode', header: 'Product Code' },
-  { field: 'unitsOrdered', header: 'Units Ordered' },
-  { field: 'unitPrice', header: 'Unit Price' },
-  { field: 'status', header: 'Status'}
-];
+  }, callback);
+}
 
 /**
- * Builds a request that sets the header row.
- * @param  {string} sheetId The ID of the sheet.
- * @return {Object}         The reqeuest.
+ * Splits batchUpdate requests into batches writing at most a number of cells,
+ * other than a single row wider than that. Requests other than writes count
+ * as one cell.
+ * @param  {Array}  requests  The requests, in the order they apply.
+ * @param  {number} maxCells  The maximum number of cells in a batch.
+ * @param  {Object} rowCounts The number of rows in the sheets resized by the
+ *                            requests, or by those split before, by sheet ID.
+ *                            Updated.
+ * @return {Array}            The batches, each with the key "requests", and
+ *                            "rows", the number of rows it writes.
  */
-function buildHeaderRowRequest(sheetId) {
-  var cells = COLUMNS.map(function(column) {
-    return {
-      userEnteredValue: {
-        stringValue: column.header
-      },
-      userEnteredFormat: {
-        textFormat: {
-          bold: true
+function splitRequests(requests, maxCells, rowCounts) {
+  var batches = [];
+  var batch = null;
+  function add(requests, cells, rows) {
+    if (!batch || (batch.cells + cells > maxCells && batch.requests.length)) {
+      batch = {requests: [], cells: 0, rows: 0};
+      batches.push(batch);
+    }
+    batch.requests = batch.requests.concat(requests);
+    batch.cells += cells;
+    batch.rows += rows;
+  }
+  requests.forEach(function(request) {
+    var properties = request.updateSheetProperties &&
+        request.updateSheetProperties.properties;
+    if (properties && properties.gridProperties &&
+        properties.gridProperties.rowCount) {
+      rowCounts[properties.sheetId] = properties.gridProperties.rowCount;
+    }
+    var type = request.appendCells ? 'appendCells' :
+        request.updateCells && request.updateCells.start ? 'updateCells' :
+        null;
+    var write = type && request[type];
+    if (!write || !write.rows || !write.rows.length) {
+      return add([request], 1, 0);
+    }
+    var columnCount = Math.max(1, write.rows[0].values.length);
+    var rowsPerRequest = Math.max(1, Math.floor(maxCells / columnCount));
+    for (var i = 0; i < write.rows.length; i += rowsPerRequest) {
+      var piece = {};
+      piece[type] = Object.assign({}, write, {
+        rows: write.rows.slice(i, i + rowsPerRequest)
+      });
+      var pieces = [piece];
+      if (type == 'updateCells') {
+        var start = Object.assign({}, write.start, {
+          rowIndex: write.start.rowIndex + i
+        });
+        piece.updateCells.start = start;
+        var rowCount = rowCounts[start.sheetId];
+        var end = start.rowIndex + piece.updateCells.rows.length;
+        if (rowCount !== undefined && end > rowCount) {
+          pieces.unshift({
+            appendDimension: {
+              sheetId: start.sheetId,
+              dimension: 'ROWS',
+              length: end - rowCount
+            }
+          });
+          rowCounts[start.sheetId] = end;
         }
       }
+      add(pieces, piece[type].rows.length * columnCount,
+          piece[type].rows.length);
     }
   });
-  return {
-    updateCells: {
-      start: {
-        sheetId: sheetId,
-        rowIndex: 0,
-        columnIndex: 0
-      },
-      rows: [
-        {
-          values: cells
-        }
-      ],
-      fields: 'userEnteredValue,userEnteredFormat.textFormat.bold'
+  return batches;
+}
+
+/**
+ * Splits a list of objects sorted by row index into runs of adjacent rows.
+ * @param  {Array} items The objects, each with the key "rowIndex".
+ * @return {Array}       The runs, each an array of objects.
+ */
+function groupConsecutive(items) {
+  return items.reduce(function(groups, item) {
+    var group = groups[groups.length - 1];
+    if (group && group[group.length - 1].rowIndex + 1 == item.rowIndex) {
+      group.push(item);
+    } else {
+      groups.push([item]);
     }
-  };
+    return groups;
+  }, []);
 }
 
 /**
- * Sync the orders to a spreadsheet.
+ * Read the orders currently stored in a sheet.
  * @param  {string}   spreadsheetId The ID of the spreadsheet.
  * @param  {string}   sheetId       The ID of the sheet.
- * @param  {Array}    orders        The list of orders.
- * @param  {Function} callback      The callback function.
+ * @param  {Array}    columns       The specifications of the columns.
+ * @param  {Function} callback      The callback function, passed the list of
+ *                                  rows read. Each row has the key "rowIndex"
+ *                                  set to its index in the sheet, and the key
+ *                                  "values" set to its cells keyed by field.
  */
-SheetsHelper.prototype.sync = function(spreadsheetId, sheetId, orders, callback) {
-  var requests = [];
-  // Resize the sheet.
-  requests.push({
-    updateSheetProperties: {
-      properties: {
-        sheetId: sheetId,
-        gridProperties: {
-          rowCount: orders.length + 1,
-          columnCount: COLUMNS.length
-        }
-      },
-      fields: 'gridProperties(rowCount,columnCount)'
+SheetsHelper.prototype.readOrders = function(spreadsheetId, sheetId, columns,
+    callback) {
+  getSheetValues(this.service, spreadsheetId, sheetId, function(err, values) {
+    if (err) {
+      return callback(err);
     }
+    return callback(null, parseRows(values, columns));
   });
-  // Set the cell values.
-  requests.push({
-    updateCells: {
-      start: {
-        sheetId: sheetId,
-        rowIndex: 1,
-        columnIndex: 0
-      },
-      rows: buildRowsForOrders(orders),
-      fields: '*'
+};
+
+/**
+ * Read orders from a range in any spreadsheet, such as one being imported.
+ * The first row of the range must be a header row.
+ * @param  {string}   spreadsheetId The ID of the spreadsheet.
+ * @param  {string}   range         The range, in A1 notation.
+ * @param  {Array}    columns       The specifications of the columns.
+ * @param  {Function} callback      The callback function, passed the list of
+ *                                  rows read, as with readOrders().
+ */
+SheetsHelper.prototype.readRange = function(spreadsheetId, range, columns,
+    callback) {
+  var request = {
+    spreadsheetId: spreadsheetId,
+    range: range,
+    valueRenderOption: 'UNFORMATTED_VALUE'
+  };
+  this.service.spreadsheets.values.get(request, function(err, response) {
+    if (err) {
+      return callback(err);
+    }
+    return callback(null, parseRows(response.data.values || [], columns));
+  });
+};
+
+/**
+ * Reads the unformatted values of every cell in a sheet.
+ * @param  {Object}   service       The Sheets API service.
+ * @param  {string}   spreadsheetId The ID of the spreadsheet.
+ * @param  {string}   sheetId       The ID of the sheet.
+ * @param  {Function} callback      The callback function, passed the values
+ *                                  as an array of rows.
+ */
+function getSheetValues(service, spreadsheetId, sheetId, callback) {
+  getSheetsValues(service, spreadsheetId, [sheetId], function(err, values) {
+    if (err) {
+      return callback(err);
     }
+    return callback(null, values[0]);
   });
-  // Send the batchUpdate request.
+}
+
+/**
+ * Reads the unformatted values of every cell in several sheets at once.
+ * @param  {Object}   service       The Sheets API service.
+ * @param  {string}   spreadsheetId The ID of the spreadsheet.
+ * @param  {Array}    sheetIds      The IDs of the sheets.
+ * @param  {Function} callback      The callback function, passed the values
+ *                                  of each sheet, in the same order, as an
+ *                                  array of rows.
+ */
+function getSheetsValues(service, spreadsheetId, sheetIds, callback) {
+  if (sheetIds.length == 0) {
+    return callback(null, []);
+  }
   var request = {
     spreadsheetId: spreadsheetId,
     resource: {
-      requests: requests
+      dataFilters: sheetIds.map(function(sheetId) {
+        return {
+          gridRange: {
+            sheetId: sheetId
+          }
+        };
+      }),
+      valueRenderOption: 'UNFORMATTED_VALUE'
     }
   };
-  this.service.spreadsheets.batchUpdate(request, function(err) {
+  service.spreadsheets.values.batchGetByDataFilter(request,
+      function(err, response) {
     if (err) {
       return callback(err);
     }
-    return callback();
+    var valueRanges = response.data.valueRanges || [];
+    return callback(null, sheetIds.map(function(sheetId, i) {
+      var valueRange = valueRanges[i] && valueRanges[i].valueRange;
+      return (valueRange && valueRange.values) || [];
+    }));
   });
-};
+}
+
+/**
+ * Determines if a row of values matches the expected header row.
+ * @param  {Array}   values  The values of the row.
+ * @param  {Array}   columns The specifications of the columns.
+ * @return {Boolean}         True if the row is the header row, false otherwise.
+ */
+function isHeaderRow(values, columns) {
+  return columns.every(function(column, i) {
+    return values[i] == column.header;
+  });
+}
+
+/**
+ * Parses the values read from a sheet into rows keyed by field. The header row
+ * is used to locate each column, so that columns moved by the user are still
+ * read correctly.
+ * @param  {Array} values  The values read, as an array of rows.
+ * @param  {Array} columns The specifications of the columns.
+ * @return {Array}         The parsed rows.
+ */
+function parseRows(values, columns) {
+  if (values.length == 0) {
+    return [];
+  }
+  var headerColumns = values[0].map(function(header) {
+    return getColumnForHeader(columns, header);
+  });
+  var rows = [];
+  values.slice(1).forEach(function(row, i) {
+    var isEmpty = row.every(function(value) {
+      return value === '';
+    });
+    if (isEmpty) {
+      return;
+    }
+    var result = {};
+    headerColumns.forEach(function(column, j) {
+      if (!column) {
+        return;
+      }
+      var value = row[j];
+      result[column.field] = (value === undefined || value === '') ?
+          null : fromCellValue(value, column);
+    });
+    rows.push({
+      rowIndex: i + 1,
+      values: result
+    });
+  });
+  return rows;
+}
 
 /**
  * Builds an array of RowData from the orders provided.
- * @param  {Array} orders The orders.
- * @return {Array}        The RowData.
+ * @param  {Array} orders  The orders.
+ * @param  {Array} columns The specifications of the columns.
+ * @return {Array}         The RowData.
  */
-function buildRowsForOrders(orders) {
+function buildRowsForOrders(orders, columns) {
   return orders.map(function(order) {
-    var cells = COLUMNS.map(function(column) {
-      switch (column.field) {
-        case 'unitsOrdered':
-          return {
-            userEnteredValue: {
-              numberValue: order.unitsOrdered
-            },
-            userEnteredFormat: {
-              numberFormat: {
-                type: 'NUMBER',
-                pattern: '#,##0'
-              }
-            }
-          };
-          break;
-        case 'unitPrice':
-          return {
-            userEnteredValue: {
-              numberValue: order.unitPrice
-            },
-            userEnteredFormat: {
-              numberFormat: {
-                type: 'CURRENCY',
-                pattern: '"$"#,##0.00'
-              }
-            }
-          };
-          break;
-        case 'status':
-          return {
-            userEnteredValue: {
-              stringValue: order.status
-            },
-            dataValidation: {
-              condition: {
-                type: 'ONE_OF_LIST',
-                values: [
-                  { userEnteredValue: 'PENDING' },
-                  { userEnteredValue: 'SHIPPED' },
-                  { userEnteredValue: 'DELIVERED' }
-                ]
-              },
-              strict: true,
-              showCustomUi: true
-            }
-          };
-          break;
-        default:
-          return {
-            userEnteredValue: {
-              stringValue: order[column.field].toString()
-            }
-          };
-      }
+    var cells = columns.map(function(column) {
+      return buildCell(order[column.field], column, order);
     });
     return {
       values: cells
@@ -264,13 +1855,200 @@ function buildRowsForOrders(orders) {
   });
 }
 
+/**
+ * Builds the CellData for a value, formatted and validated as specified by the
+ * column it's in.
+ * @param  {*}      value  The value.
+ * @param  {Object} column The specification of the column.
+ * @param  {Object} record The record the value belongs to, used to look up
+ *                         the currency of a CURRENCY column.
+ * @return {Object}        The CellData.
+ */
+function buildCell(value, column, record) {
+  var cell = {};
+  var numberFormat = getNumberFormat(column, record);
+  value = toCellValue(value, column);
+  if (value == null) {
+    // Leave the cell empty.
+  } else if (column.type == 'STRING') {
+    cell.userEnteredValue = {
+      stringValue: value
+    };
+  } else if (column.type == 'BOOLEAN') {
+    cell.userEnteredValue = {
+      boolValue: value
+    };
+  } else {
+    cell.userEnteredValue = {
+      numberValue: value
+    };
+  }
+  if (column.type != 'STRING' && numberFormat) {
+    cell.userEnteredFormat = {
+      numberFormat: {
+        type: column.type,
+        pattern: numberFormat
+      }
+    };
+  }
+  if (column.validation) {
+    cell.dataValidation = {
+      condition: {
+        type: 'ONE_OF_LIST',
+        values: column.validation.map(function(value) {
+          return { userEnteredValue: value };
+        })
+      },
+      strict: true,
+      showCustomUi: true
+    };
+  }
+  return cell;
+}
+
+// The date Google Sheets counts serial numbers from.
+var SHEETS_EPOCH = Date.UTC(1899, 11, 30);
+var MILLIS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// The difference below which two numbers in a cell are considered equal.
+var NUMBER_TOLERANCE = 1e-7;
+
+
+/**
+ * Gets the number format pattern of a column's value in a record. A column
+ * with a currency field uses the format of the record's currency.
+ * @param  {Object} column The specification of the column.
+ * @param  {Object} record The record.
+ * @return {string}        The number format pattern, if any.
+ */
+function getNumberFormat(column, record) {
+  if (column.currencyField && record && column.numberFormats) {
+    var numberFormat = column.numberFormats[record[column.currencyField]];
+    if (numberFormat) {
+      return numberFormat;
+    }
+  }
+  return column.numberFormat;
+}
+
+/**
+ * Converts a field's value to the type of the given column, as written to a
+ * sheet or an exported file.
+ * @param  {*}      value  The value of the field.
+ * @param  {Object} column The specification of the column.
+ * @return {*}             The value, a Date for a date or time column, or null
+ *                         if there is none.
+ */
+function toValue(value, column) {
+  if (value == null || value === '') {
+    return null;
+  }
+  switch (column.type) {
+    case 'STRING':
+      return value.toString();
+    case 'BOOLEAN':
+      return Boolean(value);
+    case 'DATE':
+    case 'TIME':
+    case 'DATE_TIME':
+      return new Date(value);
+    default:
+      return Number(value);
+  }
+}
+
+/**
+ * Converts a field's value to the value stored in a cell of the given column.
+ * Dates are stored as serial numbers, the number of days since 1899-12-30.
+ * @param  {*}      value  The value of the field.
+ * @param  {Object} column The specification of the column.
+ * @return {*}             The cell value, or null if there is none.
+ */
+function toCellValue(value, column) {
+  value = toValue(value, column);
+  if (value instanceof Date) {
+    return (value.getTime() - SHEETS_EPOCH) / MILLIS_PER_DAY;
+  }
+  return value;
+}
+
+/**
+ * Converts the value of a cell in the given column back to a field's value.
+ * @param  {*}      value  The value of the cell.
+ * @param  {Object} column The specification of the column.
+ * @return {*}             The value of the field.
+ */
+function fromCellValue(value, column) {
+  switch (column.type) {
+    case 'DATE':
+    case 'TIME':
+    case 'DATE_TIME':
+      if (typeof value != 'number') {
+        return value;
+      }
+      return new Date(SHEETS_EPOCH + Math.round(value * MILLIS_PER_DAY));
+    default:
+      return value;
+  }
+}
+
+/**
+ * Builds the requests that set up a sheet derived from the data sheet.
+ * @param  {string}  dataSheetId The ID of the sheet containing the source data.
+ * @param  {string}  sheetId     The ID of the derived sheet.
+ * @param  {Object}  derived     The template's specification of the sheet.
+ * @param  {Array}   columns     The specifications of the source columns.
+ * @param  {Boolean} isNew       True if the sheet was just added, in which case
+ *                               its chart is added too.
+ * @return {Array}               The requests.
+ */
+function buildDerivedSheetRequests(dataSheetId, sheetId, derived, columns,
+    isNew) {
+  var requests = [
+    buildPivotTableRequest(dataSheetId, sheetId, derived.pivot, columns)
+  ].concat(buildFormatPivotTableRequests(sheetId, derived.pivot, columns));
+  if (isNew && derived.chart) {
+    requests.push(buildAddChartRequest(sheetId, derived.pivot, derived.chart));
+  }
+  return requests;
+}
+
 /**
  * Builds a request that sets up a privot table.
  * @param  {string} sourceSheetId The ID of the sheet containing the source data.
  * @param  {string} targetSheetId The ID of the sheet to place the privot table.
+ * @param  {Object} pivot         The template's specification of the table.
+ * @param  {Array}  columns       The specifications of the source columns.
  * @return {Object}               The reqeuest.
  */
-function buildPivotTableRequest(sourceSheetId, targetSheetId) {
+function buildPivotTableRequest(sourceSheetId, targetSheetId, pivot, columns) {
+  var group = {
+    sourceColumnOffset: getColumnForField(columns, pivot.rowField).index,
+    showTotals: false,
+    sortOrder: 'ASCENDING'
+  };
+  if (pivot.sortByValue != null) {
+    group.sortOrder = 'DESCENDING';
+    group.valueBucket = { valuesIndex: pivot.sortByValue };
+  }
+  var values = pivot.values.map(function(value) {
+    if (value.multiply) {
+      // Multiply the fields using a formula that references their headers.
+      var headers = value.multiply.map(function(field) {
+        return util.format("'%s'", getColumnForField(columns, field).header);
+      });
+      return {
+        summarizeFunction: value.summarizeFunction,
+        name: value.name,
+        formula: '=' + headers.join(' * ')
+      };
+    }
+    return {
+      summarizeFunction: value.summarizeFunction,
+      name: value.name,
+      sourceColumnOffset: getColumnForField(columns, value.field).index
+    };
+  });
   return {
     updateCells: {
       start: { sheetId: targetSheetId, rowIndex: 0, columnIndex: 0 },
@@ -283,28 +2061,10 @@ function buildPivotTableRequest(sourceSheetId, targetSheetId) {
                   sheetId: sourceSheetId,
                   startRowIndex: 0,
                   startColumnIndex: 0,
-                  endColumnIndex: COLUMNS.length
+                  endColumnIndex: columns.length
                 },
-                rows: [
-                  {
-                    sourceColumnOffset: getColumnForField('productCode').index,
-                    showTotals: false,
-                    sortOrder: 'ASCENDING'
-                  }
-                ],
-                values: [
-                  {
-                    summarizeFunction: 'SUM',
-                    sourceColumnOffset: getColumnForField('unitsOrdered').index
-                  },
-                  {
-                    summarizeFunction: 'SUM',
-                    name: 'Revenue',
-                    formula: util.format("='%s' * '%s'",
-                        getColumnForField('unitsOrdered').header,
-                        getColumnForField('unitPrice').header)
-                  }
-                ]
+                rows: [group],
+                values: values
               }
             }
           ]
@@ -316,65 +2076,92 @@ function buildPivotTableRequest(sourceSheetId, targetSheetId) {
 }
 
 /**
- * Builds the request to format the values in the pivot table.
+ * Builds the requests to format the values in the pivot table, using the same
+ * format as the columns they're based on.
  * @param  {string} sheetId The ID of the sheet containing the pivot table.
- * @return {Object}         The reqeuest.
+ * @param  {Object} pivot   The template's specification of the table.
+ * @param  {Array}  columns The specifications of the source columns.
+ * @return {Array}          The reqeuests.
  */
-function buildFormatPivotTableRequest(sheetId) {
-  return {
-    repeatCell: {
-      range: { sheetId: sheetId, startRowIndex: 1, startColumnIndex: 2 },
-      cell: {
-        userEnteredFormat: {
-          numberFormat: { type: 'CURRENCY', pattern: '"$"#,##0.00' }
-        }
-      },
-      fields: 'userEnteredFormat.numberFormat'
+function buildFormatPivotTableRequests(sheetId, pivot, columns) {
+  var requests = [];
+  pivot.values.forEach(function(value, i) {
+    if (!value.formatField) {
+      return;
     }
-  };
+    var column = getColumnForField(columns, value.formatField);
+    // The first column of the pivot table holds the row values.
+    var columnIndex = i + 1;
+    requests.push({
+      repeatCell: {
+        range: {
+          sheetId: sheetId,
+          startRowIndex: 1,
+          startColumnIndex: columnIndex,
+          endColumnIndex: columnIndex + 1
+        },
+        cell: {
+          userEnteredFormat: {
+            numberFormat: { type: column.type, pattern: column.numberFormat }
+          }
+        },
+        fields: 'userEnteredFormat.numberFormat'
+      }
+    });
+  });
+  return requests;
 }
 
 /**
  * Builds the request to add a chart to the pivor table.
  * @param  {string} sheetId The ID of the sheet containing the pivot table.
+ * @param  {Object} pivot   The template's specification of the table.
+ * @param  {Object} chart   The template's specification of the chart.
  * @return {Object}         The reqeuest.
  */
-function buildAddChartRequest(sheetId) {
+function buildAddChartRequest(sheetId, pivot, chart) {
+  // Show an item for each row in the pivot table.
+  var domain = { sourceRange: { sources: [{
+    sheetId: sheetId,
+    startRowIndex: 0,
+    startColumnIndex: 0,
+    endColumnIndex: 1
+  }]}};
+  // Set the item's size based on the charted value.
+  var series = { sourceRange: { sources: [{
+    sheetId: sheetId,
+    startRowIndex: 0,
+    startColumnIndex: chart.valueIndex + 1,
+    endColumnIndex: chart.valueIndex + 2
+  }]}};
+  var spec = {
+    title: chart.title
+  };
+  if (chart.chartType == 'PIE') {
+    spec.pieChart = {
+      legendPosition: 'RIGHT_LEGEND',
+      domain: domain,
+      series: series
+    };
+  } else {
+    spec.basicChart = {
+      chartType: chart.chartType,
+      legendPosition: 'RIGHT_LEGEND',
+      domains: [{ domain: domain }],
+      series: [{ series: series }]
+    };
+  }
   return {
     addChart: {
       chart: {
-        spec: {
-          title: 'Revenue per Product',
-          basicChart: {
-            chartType: 'BAR',
-            legendPosition: 'RIGHT_LEGEND',
-            domains: [
-              // Show a bar for each product code in the pivot table.
-              {
-                domain: { sourceRange: { sources: [{
-                  sheetId: sheetId,
-                  startRowIndex: 0,
-                  startColumnIndex: 0,
-                  endColumnIndex: 1
-                }]}}
-              }
-            ],
-            series: [
-              // Set that bar's length based on the total revenue.
-              {
-                series: { sourceRange: { sources: [{
-                  sheetId: sheetId,
-                  startRowIndex: 0,
-                  startColumnIndex: 2,
-                  endColumnIndex: 3
-                }]}}
-              }
-            ]
-          }
-        },
+        spec: spec,
         position: {
           overlayPosition: {
-            anchorCell: { sheetId: sheetId, rowIndex: 0, columnIndex: 3 },
+            anchorCell: {
+              sheetId: sheetId,
+              rowIndex: 0,
+              columnIndex: pivot.values.length + 1
+            },
             widthPixels: 600,
             heightPixels: 400
           }
@@ -386,16 +2173,30 @@ function buildAddChartRequest(sheetId) {
 
 /**
  * Gets a column specification object by the name of field it contains.
- * @param  {string} field The name of the field to lookup.
- * @return {Object}       The specification of the field, with the key "index"
- *                        added, and set to the column's index.
+ * @param  {Array}  columns The specifications of the columns.
+ * @param  {string} field   The name of the field to lookup.
+ * @return {Object}         A copy of the specification of the field, with the
+ *                          key "index" added, and set to the column's index.
+ *                          Null if no column contains the field.
  */
-function getColumnForField(field) {
-  return COLUMNS.reduce(function(result, column, i) {
+function getColumnForField(columns, field) {
+  return columns.reduce(function(result, column, i) {
     if (column.field == field) {
-      column.index = i;
-      return column;
+      return Object.assign({index: i}, column);
     }
     return result;
-  });
+  }, null);
+}
+
+/**
+ * Gets a column specification object by its header.
+ * @param  {Array}  columns The specifications of the columns.
+ * @param  {string} header  The header of the column to lookup.
+ * @return {Object}         The specification of the column, or null if there
+ *                          is no column with that header.
+ */
+function getColumnForHeader(columns, header) {
+  return columns.filter(function(column) {
+    return column.header == header;
+  })[0] || null;
 }
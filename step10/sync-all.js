@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+
+/*
+  Copyright 2016 Google, Inc.
+
+  Licensed to the Apache Software Foundation (ASF) under one or more contributor
+  license agreements. See the NOTICE file distributed with this work for
+  additional information regarding copyright ownership. The ASF licenses this
+  file to you under the Apache License, Version 2.0 (the "License"); you may not
+  use this file except in compliance with the License. You may obtain a copy of
+  the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+  WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+  License for the specific language governing permissions and limitations under
+  the License.
+*/
+
+'use strict';
+
+/**
+ * Syncs the orders to every linked spreadsheet and exits, for use in scheduled
+ * jobs such as a nightly cron. Spreadsheets without an owner are synced using
+ * the service account configured in config.json. Exits with a non-zero status
+ * if any spreadsheet failed to sync.
+ */
+
+var models = require('./models');
+var migrator = require('./migrator');
+var autoSync = require('./autosync');
+
+migrator.checkPending(models.sequelize)
+  .then(function() {
+    return autoSync.syncAll(models);
+  })
+  .then(function(failures) {
+    return models.sequelize.close().then(function() {
+      if (failures.length) {
+        console.error(failures.length + ' of the spreadsheets failed to sync.');
+        process.exit(1);
+      }
+    });
+  })
+  .catch(function(err) {
+    console.error(err.stack);
+    process.exit(1);
+  });
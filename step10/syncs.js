@@ -0,0 +1,376 @@
+/*
+  Copyright 2016 Google, Inc.
+
+  Licensed to the Apache Software Foundation (ASF) under one or more contributor
+  license agreements. See the NOTICE file distributed with this work for
+  additional information regarding copyright ownership. The ASF licenses this
+  file to you under the Apache License, Version 2.0 (the "License"); you may not
+  use this file except in compliance with the License. You may obtain a copy of
+  the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+  WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+  License for the specific language governing permissions and limitations under
+  the License.
+*/
+
+'use strict';
+
+var Sequelize = require('sequelize');
+var layouts = require('./layouts');
+var templates = require('./templates');
+var orders = require('./orders');
+var links = require('./links');
+
+// The number of records loaded at a time when writing the reference sheets.
+var REFERENCE_PAGE_SIZE = 500;
+
+var Op = Sequelize.Op;
+
+/**
+ * Syncs the orders to a linked spreadsheet and its reference sheets, and
+ * records the run. The derived sheets are rebuilt if their template or the
+ * columns have changed since they were last built.
+ * @param  {Object}       models      The loaded models.
+ * @param  {SheetsHelper} helper      The Sheets helper to sync with.
+ * @param  {Spreadsheet}  spreadsheet The linked spreadsheet.
+ * @param  {Object}       options     Optional. The key "trigger", one of
+ *                                    SyncRun.TRIGGERS, defaulting to MANUAL,
+ *                                    and "user", the email of the user syncing.
+ * @return {Promise}                  A promise for the SyncRun. Rejected with
+ *                                    the error if the sync failed, once the
+ *                                    failure is recorded.
+ */
+function run(models, helper, spreadsheet, options) {
+  options = options || {};
+  var requestCount = helper.requestCount;
+  return models.SyncRun.create({
+    spreadsheetId: spreadsheet.id,
+    trigger: options.trigger || 'MANUAL',
+    user: options.user || null,
+    startedAt: new Date()
+  }).then(function(syncRun) {
+    var onProgress = recordProgress(syncRun);
+    // Broken links are recorded, and fail the sync.
+    return links.ensureLinked(helper, spreadsheet).then(function() {
+      return syncRun.update({rowCount: 0, rowsWritten: 0});
+    }).then(function() {
+      return syncRows(models, helper, spreadsheet, onProgress);
+    }).then(function(summary) {
+      return onProgress.saved().then(function() {
+        return finish(syncRun, helper, requestCount, Object.assign({
+          status: 'SUCCEEDED'
+        }, summary));
+      }).then(function() {
+        return spreadsheet.update({lastSyncedAt: syncRun.finishedAt});
+      }).then(function() {
+        return syncRun;
+      });
+    }, function(err) {
+      return onProgress.saved().then(function() {
+        return finish(syncRun, helper, requestCount, {
+          status: 'FAILED',
+          error: err.message
+        });
+      }).then(function() {
+        throw err;
+      });
+    });
+  });
+}
+
+/**
+ * Writes the rows of the orders to a spreadsheet a page at a time, as they are
+ * found, then rebuilds its derived sheets if needed and updates its reference
+ * sheets. The number of rows found is recorded as each page is.
+ * @param  {Object}       models      The loaded models.
+ * @param  {SheetsHelper} helper      The Sheets helper to sync with.
+ * @param  {Spreadsheet}  spreadsheet The linked spreadsheet.
+ * @param  {Function}     onProgress  The listener for the helper's progress
+ *                                    events while the rows are written, from
+ *                                    recordProgress().
+ * @return {Promise}                  A promise for the summary of the rows
+ *                                    inserted, updated and removed.
+ */
+function syncRows(models, helper, spreadsheet, onProgress) {
+  var columns = layouts.get(spreadsheet.layout);
+  var start = spreadsheet.partitionBy ?
+      helper.startSyncPartitions.bind(helper, spreadsheet.partitionBy) :
+      helper.startSync.bind(helper);
+  helper.on('progress', onProgress);
+  return new Sequelize.Promise(function(resolve, reject) {
+    start(spreadsheet.id, spreadsheet.sheetId, columns, function(err, sync) {
+      if (err) {
+        return reject(err);
+      }
+      resolve(sync);
+    });
+  }).then(function(sync) {
+    return orders.findRowsInPages(models, {
+      filter: spreadsheet.filter
+    }, function(rows) {
+      onProgress.found(rows.length);
+      return new Sequelize.Promise(function(resolve, reject) {
+        sync.write(rows, function(err) {
+          if (err) {
+            return reject(err);
+          }
+          resolve();
+        });
+      }).then(function() {
+        return recordSyncedRows(models, spreadsheet.id, rows);
+      });
+    }).then(function() {
+      return new Sequelize.Promise(function(resolve, reject) {
+        sync.end(function(err, summary) {
+          if (err) {
+            return reject(err);
+          }
+          resolve(summary);
+        });
+      });
+    });
+  }).finally(function() {
+    helper.removeListener('progress', onProgress);
+  }).then(function(summary) {
+    return rebuildDerivedSheets(helper, spreadsheet).then(function() {
+      return syncReferenceSheets(models, helper, spreadsheet);
+    }).then(function() {
+      return summary;
+    });
+  });
+}
+
+/**
+ * Rebuilds the derived sheets of a spreadsheet, unless they were last built
+ * from the same template and columns.
+ * @param  {SheetsHelper} helper      The Sheets helper to sync with.
+ * @param  {Spreadsheet}  spreadsheet The linked spreadsheet.
+ * @return {Promise}                  A promise that resolves once the sheets
+ *                                    are up to date.
+ */
+function rebuildDerivedSheets(helper, spreadsheet) {
+  var columns = layouts.get(spreadsheet.layout);
+  var template = templates.get(spreadsheet.template);
+  var hash = templates.getHash(template, columns);
+  if (spreadsheet.derivedSheetsHash == hash) {
+    return Sequelize.Promise.resolve();
+  }
+  return new Sequelize.Promise(function(resolve, reject) {
+    helper.rebuildDerivedSheets(spreadsheet.id, spreadsheet.sheetId, columns,
+        template, function(err) {
+      if (err) {
+        return reject(err);
+      }
+      resolve(spreadsheet.update({derivedSheetsHash: hash}));
+    });
+  });
+}
+
+/**
+ * Writes the products and the changes of order status to the reference sheets
+ * of a spreadsheet, a page at a time. Only the changes of status made since
+ * the last sync are loaded and added to its History sheet, unless the sheet is
+ * written afresh.
+ * @param  {Object}       models      The loaded models.
+ * @param  {SheetsHelper} helper      The Sheets helper to sync with.
+ * @param  {Spreadsheet}  spreadsheet The linked spreadsheet.
+ * @return {Promise}                  A promise that resolves once the sheets
+ *                                    are written.
+ */
+function syncReferenceSheets(models, helper, spreadsheet) {
+  return new Sequelize.Promise(function(resolve, reject) {
+    helper.startReferenceSync(spreadsheet.id, ['products', 'history'], {
+      history: spreadsheet.historySyncedId
+    }, function(err, sync) {
+      if (err) {
+        return reject(err);
+      }
+      resolve(sync);
+    });
+  }).then(function(sync) {
+    function write(name) {
+      return function(records) {
+        return new Sequelize.Promise(function(resolve, reject) {
+          sync.write(name, records, function(err) {
+            if (err) {
+              return reject(err);
+            }
+            resolve();
+          });
+        });
+      };
+    }
+    return findInPages(models.Product, 'code', null, write('products'))
+      .then(function() {
+        return findInPages(models.OrderStatusChange, 'id',
+            sync.afterIds.history, write('history'));
+      }).then(function() {
+        return new Sequelize.Promise(function(resolve, reject) {
+          sync.end(function(err, lastIds) {
+            if (err) {
+              return reject(err);
+            }
+            resolve(lastIds);
+          });
+        });
+      });
+  }).then(function(lastIds) {
+    return spreadsheet.update({historySyncedId: lastIds.history});
+  });
+}
+
+/**
+ * Loads the records of a model a page at a time, ordered by a unique field.
+ * @param  {Object}   Model  The model.
+ * @param  {string}   field  The unique field to order the records by.
+ * @param  {*}        after  The value of the field the records must come
+ *                           after, or null for all of them.
+ * @param  {Function} onPage The function called with the records of each page
+ *                           in turn. It can return a promise to wait for
+ *                           before loading the next page.
+ * @return {Promise}         A promise that resolves once every page is
+ *                           loaded.
+ */
+function findInPages(Model, field, after, onPage) {
+  return Model.findAll({
+    where: after == null ? {} : {[field]: {[Op.gt]: after}},
+    order: [[field, 'ASC']],
+    limit: REFERENCE_PAGE_SIZE
+  }).then(function(records) {
+    if (records.length == 0) {
+      return;
+    }
+    return Sequelize.Promise.resolve(onPage(records)).then(function() {
+      if (records.length == REFERENCE_PAGE_SIZE) {
+        return findInPages(Model, field, records[records.length - 1][field],
+            onPage);
+      }
+    });
+  });
+}
+
+/**
+ * Finds the values the rows of a spreadsheet had when it was last synced or
+ * pulled.
+ * @param  {Object} models        The loaded models.
+ * @param  {string} spreadsheetId The ID of the spreadsheet.
+ * @param  {Array}  lineIds       The IDs of the line items of the rows.
+ * @return {Promise}              A promise for the values of each row, by
+ *                                line ID. Rows never synced are left out.
+ */
+function findSyncedValues(models, spreadsheetId, lineIds) {
+  return models.SyncedRow.findAll({
+    where: {spreadsheetId: spreadsheetId, lineId: lineIds}
+  }).then(function(syncedRows) {
+    return syncedRows.reduce(function(result, syncedRow) {
+      result[syncedRow.lineId] = syncedRow.rowValues;
+      return result;
+    }, {});
+  });
+}
+
+/**
+ * Records the values of rows as they now are in a spreadsheet, once they are
+ * synced or pulled. Only the rows whose values have changed are rewritten.
+ * @param  {Object} models        The loaded models.
+ * @param  {string} spreadsheetId The ID of the spreadsheet.
+ * @param  {Array}  rows          The values of the rows, with their line IDs.
+ * @return {Promise}              A promise that resolves once the rows are
+ *                                recorded.
+ */
+function recordSyncedRows(models, spreadsheetId, rows) {
+  var lineIds = rows.map(function(row) {
+    return row.lineId;
+  });
+  return findSyncedValues(models, spreadsheetId, lineIds)
+    .then(function(syncedValues) {
+      var changed = rows.filter(function(row) {
+        var previous = syncedValues[row.lineId];
+        return !previous || JSON.stringify(previous) != JSON.stringify(row);
+      });
+      if (changed.length == 0) {
+        return;
+      }
+      return models.SyncedRow.destroy({
+        where: {
+          spreadsheetId: spreadsheetId,
+          lineId: changed.map(function(row) {
+            return row.lineId;
+          })
+        }
+      }).then(function() {
+        return models.SyncedRow.bulkCreate(changed.map(function(row) {
+          return {
+            spreadsheetId: spreadsheetId,
+            lineId: row.lineId,
+            rowValues: row
+          };
+        }));
+      });
+    });
+}
+
+/**
+ * Creates a listener for the progress events of a Sheets helper, which records
+ * the number of rows written so far. The updates are saved one at a time, in
+ * order, and a failure to save one is only logged.
+ * @param  {SyncRun}  syncRun The run.
+ * @return {Function}         The listener. Its found() method records the
+ *                            number of rows found in a page, as they are
+ *                            found a page at a time, and its saved() method
+ *                            returns a promise that resolves once the updates
+ *                            so far are saved.
+ */
+function recordProgress(syncRun) {
+  var rowCount = 0;
+  var rowsWritten = 0;
+  var saving = Sequelize.Promise.resolve();
+  function save(values) {
+    saving = saving.then(function() {
+      return syncRun.update(values);
+    }).catch(function(err) {
+      console.error('Failed to record the progress of sync ' + syncRun.id +
+          ': ' + err.message);
+    });
+  }
+  var listener = function(progress) {
+    rowsWritten += progress.rows;
+    save({rowsWritten: rowsWritten});
+  };
+  listener.found = function(rows) {
+    rowCount += rows;
+    save({rowCount: rowCount});
+  };
+  listener.saved = function() {
+    return saving;
+  };
+  return listener;
+}
+
+/**
+ * Records the end of a sync.
+ * @param  {SyncRun}      syncRun      The run.
+ * @param  {SheetsHelper} helper       The Sheets helper synced with.
+ * @param  {number}       requestCount The helper's request count when the run
+ *                                     started.
+ * @param  {Object}       values       The outcome of the run.
+ * @return {Promise}                   A promise for the run, updated.
+ */
+function finish(syncRun, helper, requestCount, values) {
+  var finishedAt = new Date();
+  return syncRun.update(Object.assign({
+    finishedAt: finishedAt,
+    duration: finishedAt - syncRun.startedAt,
+    requestCount: helper.requestCount - requestCount
+  }, values));
+}
+
+module.exports = {
+  run: run,
+  findSyncedValues: findSyncedValues,
+  recordSyncedRows: recordSyncedRows
+};
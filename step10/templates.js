@@ -0,0 +1,187 @@
+/*
+  Copyright 2016 Google, Inc.
+
+  Licensed to the Apache Software Foundation (ASF) under one or more contributor
+  license agreements. See the NOTICE file distributed with this work for
+  additional information regarding copyright ownership. The ASF licenses this
+  file to you under the Apache License, Version 2.0 (the "License"); you may not
+  use this file except in compliance with the License. You may obtain a copy of
+  the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+  WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+  License for the specific language governing permissions and limitations under
+  the License.
+*/
+
+'use strict';
+
+var crypto = require('crypto');
+
+var DEFAULT_TEMPLATE = 'revenueByProduct';
+
+/**
+ * The report templates a spreadsheet can be created from. Each template lists
+ * the sheets derived from the data sheet, where each sheet has:
+ *   title: The title of the sheet.
+ *   pivot: The pivot table placed on the sheet, with the keys:
+ *     rowField:    The field whose values form the rows of the table.
+ *     sortByValue: The index of the value to sort the rows by, descending.
+ *                  The rows are sorted by their own values if not set.
+ *     values:      The values summarized for each row, each with the keys:
+ *       field:             The field summarized.
+ *       multiply:          Instead of a field, the fields whose product is
+ *                          summarized.
+ *       name:              The name of the value, required with "multiply".
+ *       summarizeFunction: The function used to summarize the value.
+ *       formatField:       The field whose number format the value uses.
+ *   chart: The chart of the pivot table placed on the sheet, with the keys:
+ *     title:      The title of the chart.
+ *     chartType:  BAR, COLUMN or PIE.
+ *     valueIndex: The index of the value charted.
+ */
+var TEMPLATES = {
+  revenueByProduct: {
+    label: 'Revenue by product',
+    sheets: [
+      {
+        title: 'Pivot',
+        pivot: {
+          rowField: 'productName',
+          values: [
+            {field: 'unitsOrdered', summarizeFunction: 'SUM'},
+            {
+              name: 'Revenue',
+              multiply: ['unitsOrdered', 'baseUnitPrice'],
+              summarizeFunction: 'SUM',
+              formatField: 'baseUnitPrice'
+            }
+          ]
+        },
+        chart: {title: 'Revenue per Product', chartType: 'BAR', valueIndex: 1}
+      }
+    ]
+  },
+  ordersByCustomer: {
+    label: 'Orders by customer',
+    sheets: [
+      {
+        title: 'Customers',
+        pivot: {
+          rowField: 'customerName',
+          sortByValue: 0,
+          values: [
+            {field: 'id', name: 'Orders', summarizeFunction: 'COUNTUNIQUE'},
+            {
+              name: 'Revenue',
+              multiply: ['unitsOrdered', 'baseUnitPrice'],
+              summarizeFunction: 'SUM',
+              formatField: 'baseUnitPrice'
+            }
+          ]
+        },
+        chart: {title: 'Orders per Customer', chartType: 'COLUMN',
+            valueIndex: 0}
+      }
+    ]
+  },
+  statusFunnel: {
+    label: 'Status funnel',
+    sheets: [
+      {
+        title: 'Status',
+        pivot: {
+          rowField: 'status',
+          sortByValue: 0,
+          values: [
+            {field: 'id', name: 'Orders', summarizeFunction: 'COUNTUNIQUE'},
+            {field: 'unitsOrdered', summarizeFunction: 'SUM'}
+          ]
+        },
+        chart: {title: 'Orders per Status', chartType: 'PIE', valueIndex: 0}
+      }
+    ]
+  },
+  raw: {
+    label: 'Raw export only',
+    sheets: []
+  }
+};
+
+/**
+ * Gets the names and labels of the templates, for display.
+ * @return {Array} The templates, each with the keys "name" and "label".
+ */
+function list() {
+  return Object.keys(TEMPLATES).map(function(name) {
+    return {
+      name: name,
+      label: TEMPLATES[name].label
+    };
+  });
+}
+
+/**
+ * Gets a template by name.
+ * @param  {string} name The name of the template, defaults to
+ *                       "revenueByProduct".
+ * @return {Object}      The template.
+ */
+function getTemplate(name) {
+  name = name || DEFAULT_TEMPLATE;
+  var template = TEMPLATES[name];
+  if (!template) {
+    throw new Error('Template not found: ' + name);
+  }
+  return template;
+}
+
+/**
+ * Checks that a layout has every column a template's pivot tables need.
+ * @param  {Object} template The template.
+ * @param  {Array}  columns  The specifications of the columns, as returned by
+ *                           layouts.get().
+ * @throws {Error}           If a column is missing.
+ */
+function checkColumns(template, columns) {
+  var fields = columns.map(function(column) {
+    return column.field;
+  });
+  template.sheets.forEach(function(sheet) {
+    var pivot = sheet.pivot;
+    var required = [pivot.rowField];
+    pivot.values.forEach(function(value) {
+      required = required.concat(value.multiply || [value.field]);
+    });
+    required.forEach(function(field) {
+      if (fields.indexOf(field) == -1) {
+        throw new Error('The sheet ' + sheet.title + ' requires a column ' +
+            'for the field ' + field + '.');
+      }
+    });
+  });
+}
+
+/**
+ * Gets a hash of a template and the columns of the data sheet it's applied
+ * to, which changes whenever the sheets derived from them would.
+ * @param  {Object} template The template.
+ * @param  {Array}  columns  The specifications of the columns.
+ * @return {string}          The hash.
+ */
+function getHash(template, columns) {
+  return crypto.createHash('sha1')
+    .update(JSON.stringify({sheets: template.sheets, columns: columns}))
+    .digest('hex');
+}
+
+module.exports = {
+  DEFAULT_TEMPLATE: DEFAULT_TEMPLATE,
+  list: list,
+  get: getTemplate,
+  checkColumns: checkColumns,
+  getHash: getHash
+};
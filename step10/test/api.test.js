@@ -0,0 +1,305 @@
+/*
+  Copyright 2016 Google, Inc.
+
+  Licensed to the Apache Software Foundation (ASF) under one or more contributor
+  license agreements. See the NOTICE file distributed with this work for
+  additional information regarding copyright ownership. The ASF licenses this
+  file to you under the Apache License, Version 2.0 (the "License"); you may not
+  use this file except in compliance with the License. You may obtain a copy of
+  the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+  WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+  License for the specific language governing permissions and limitations under
+  the License.
+*/
+
+'use strict';
+
+var assert = require('assert');
+var request = require('supertest');
+var helpers = require('./helpers');
+var app = require('../app');
+var config = require('../config.json');
+var models = require('../models');
+
+describe('api', function() {
+  beforeEach(function() {
+    return helpers.createProduct();
+  });
+
+  describe('GET /api/orders', function() {
+    it('searches the orders', function() {
+      return helpers.createOrder().then(function() {
+        return helpers.createOrder({customerName: 'Bob'});
+      }).then(function() {
+        return request(app).get('/api/orders')
+          .query({q: 'bo', sort: '-id'})
+          .expect(200);
+      }).then(function(res) {
+        assert.equal(res.body.total, 1);
+        assert.equal(res.body.orders[0].customerName, 'Bob');
+        assert.equal(res.body.pageSize, 20);
+      });
+    });
+
+    it('sorts the orders by the first product code of their line items',
+        function() {
+      return helpers.createProduct({code: 'BAR-100'}).then(function() {
+        return helpers.createProduct({code: 'QUX-100'});
+      }).then(function() {
+        return helpers.createOrder({customerName: 'Alice', lines: [
+          {productCode: 'QUX-100', unitsOrdered: 1}
+        ]});
+      }).then(function() {
+        return helpers.createOrder({customerName: 'Bob', lines: [
+          {productCode: 'FOO-100', unitsOrdered: 1},
+          {productCode: 'BAR-100', unitsOrdered: 1}
+        ]});
+      }).then(function() {
+        return helpers.createOrder({customerName: 'Carol'});
+      }).then(function() {
+        return request(app).get('/api/orders')
+          .query({sort: 'productCode,id'})
+          .expect(200);
+      }).then(function(res) {
+        assert.deepEqual(res.body.orders.map(function(order) {
+          return order.customerName;
+        }), ['Bob', 'Carol', 'Alice']);
+        return request(app).get('/api/orders')
+          .query({sort: '-productCode'})
+          .expect(200);
+      }).then(function(res) {
+        assert.deepEqual(res.body.orders.map(function(order) {
+          return order.customerName;
+        }), ['Alice', 'Carol', 'Bob']);
+      });
+    });
+
+    it('pages through the orders', function() {
+      return helpers.createOrder().then(function() {
+        return helpers.createOrder({customerName: 'Bob'});
+      }).then(function() {
+        return request(app).get('/api/orders')
+          .query({page: '2', pageSize: '1'})
+          .expect(200);
+      }).then(function(res) {
+        assert.equal(res.body.total, 2);
+        assert.deepEqual(res.body.orders.map(function(order) {
+          return order.customerName;
+        }), ['Bob']);
+        return request(app).get('/api/orders')
+          .query({pageSize: '1000'})
+          .expect(200);
+      }).then(function(res) {
+        assert.equal(res.body.pageSize, 100);
+      });
+    });
+
+    it('rejects a page or page size that isn\'t a positive integer',
+        function() {
+      var queries = [{page: '0'}, {page: '1.5'}, {page: 'two'},
+          {pageSize: '-1'}];
+      return queries.reduce(function(promise, query) {
+        return promise.then(function() {
+          return request(app).get('/api/orders')
+            .query(query)
+            .expect(400)
+            .expect('Content-Type', /json/);
+        });
+      }, Promise.resolve()).then(function(res) {
+        assert.equal(res.body.message, 'Invalid pageSize: -1');
+      });
+    });
+  });
+
+  describe('GET /api/orders/:id', function() {
+    it('returns the order', function() {
+      return helpers.createOrder().then(function() {
+        return request(app).get('/api/orders/1').expect(200);
+      }).then(function(res) {
+        assert.equal(res.body.customerName, 'Alice');
+        assert.equal(res.body.lines[0].productCode, 'FOO-100');
+      });
+    });
+
+    it('returns 404 for a missing order', function() {
+      return request(app).get('/api/orders/99')
+        .expect(404)
+        .then(function(res) {
+          assert.equal(res.body.message, 'Order not found: 99');
+        });
+    });
+  });
+
+  describe('POST /api/orders', function() {
+    it('creates an order', function() {
+      return request(app).post('/api/orders')
+        .send({
+          customerName: 'Bob',
+          currency: 'EUR',
+          lines: [{productCode: 'FOO-100', unitsOrdered: 2, unitPrice: 8}]
+        })
+        .expect(201)
+        .expect('Location', '/api/orders/1')
+        .then(function(res) {
+          assert.equal(res.body.customerName, 'Bob');
+          assert.equal(res.body.status, 'PENDING');
+          assert.equal(res.body.lines[0].unitPrice, 8);
+        });
+    });
+
+    it('ignores the fields that can\'t be written', function() {
+      return request(app).post('/api/orders')
+        .send({
+          id: 42,
+          customerName: 'Bob',
+          lines: [{productCode: 'FOO-100', unitsOrdered: 1, productName: 'X'}]
+        })
+        .expect(201)
+        .then(function(res) {
+          assert.equal(res.body.id, 1);
+          assert.equal(res.body.lines[0].productName, 'Foo');
+        });
+    });
+
+    it('rejects malformed JSON', function() {
+      return request(app).post('/api/orders')
+        .type('json')
+        .send('{"customerName": ')
+        .expect(400)
+        .expect('Content-Type', /json/);
+    });
+
+    it('reports validation errors by field', function() {
+      return request(app).post('/api/orders')
+        .send({
+          customerName: 'Bob',
+          currency: 'XYZ',
+          lines: [{productCode: 'FOO-100', unitsOrdered: 1}]
+        })
+        .expect(422)
+        .then(function(res) {
+          assert.equal(res.body.message, 'Validation failed.');
+          assert.equal(res.body.errors[0].field, 'currency');
+          return models.Order.count();
+        })
+        .then(function(count) {
+          assert.equal(count, 0);
+        });
+    });
+
+    it('requires at least one unit of each line item', function() {
+      return request(app).post('/api/orders')
+        .send({
+          customerName: 'Bob',
+          lines: [{productCode: 'FOO-100', unitsOrdered: 0}]
+        })
+        .expect(422)
+        .then(function(res) {
+          assert.deepEqual(res.body.errors, [{
+            field: 'unitsOrdered',
+            message: 'Units ordered must be a positive integer.'
+          }]);
+        });
+    });
+  });
+
+  describe('PUT /api/orders/:id', function() {
+    it('replaces the order, resetting the fields not provided', function() {
+      return helpers.createOrder({currency: 'EUR', status: 'SHIPPED'})
+        .then(function() {
+          return request(app).put('/api/orders/1')
+            .send({
+              customerName: 'Bob',
+              lines: [{productCode: 'FOO-100', unitsOrdered: 3, unitPrice: 4}]
+            })
+            .expect(200);
+        }).then(function(res) {
+          assert.equal(res.body.customerName, 'Bob');
+          assert.equal(res.body.currency, 'USD');
+          // The status is kept, as it can only move forward.
+          assert.equal(res.body.status, 'SHIPPED');
+          assert.equal(res.body.lines.length, 1);
+          assert.equal(res.body.lines[0].unitsOrdered, 3);
+        });
+    });
+
+    it('returns 404 for a missing order', function() {
+      return request(app).put('/api/orders/99')
+        .send({customerName: 'Bob', lines: []})
+        .expect(404);
+    });
+  });
+
+  describe('PATCH /api/orders/:id', function() {
+    it('updates only the fields provided', function() {
+      return helpers.createOrder({currency: 'EUR'}).then(function() {
+        return request(app).patch('/api/orders/1')
+          .send({status: 'SHIPPED'})
+          .expect(200);
+      }).then(function(res) {
+        assert.equal(res.body.status, 'SHIPPED');
+        assert.equal(res.body.customerName, 'Alice');
+        assert.equal(res.body.currency, 'EUR');
+        assert.equal(res.body.lines[0].unitsOrdered, 5);
+      });
+    });
+
+    it('rejects a status the order can\'t move to', function() {
+      return helpers.createOrder().then(function() {
+        return request(app).patch('/api/orders/1')
+          .send({status: 'DELIVERED'})
+          .expect(422);
+      }).then(function(res) {
+        assert.equal(res.body.errors[0].field, 'status');
+      });
+    });
+
+    it('returns 404 for a missing order', function() {
+      return request(app).patch('/api/orders/99')
+        .send({status: 'SHIPPED'})
+        .expect(404);
+    });
+  });
+
+  describe('DELETE /api/orders/:id', function() {
+    it('deletes the order', function() {
+      return helpers.createOrder().then(function() {
+        return request(app).delete('/api/orders/1').expect(204);
+      }).then(function() {
+        return models.Order.count();
+      }).then(function(count) {
+        assert.equal(count, 0);
+      });
+    });
+
+    it('returns 404 for a missing order', function() {
+      return request(app).delete('/api/orders/99').expect(404);
+    });
+  });
+
+  it('returns 404 for an unknown endpoint', function() {
+    return request(app).get('/api/nope')
+      .expect(404)
+      .expect('Content-Type', /json/);
+  });
+
+  it('requires authorization', function() {
+    var keyFile = config.serviceAccount.keyFile;
+    config.serviceAccount.keyFile = null;
+    return request(app).get('/api/orders')
+      .expect(401)
+      .expect('Content-Type', /json/)
+      .then(function(res) {
+        config.serviceAccount.keyFile = keyFile;
+        assert.equal(res.body.message, 'Authorization required.');
+      }, function(err) {
+        config.serviceAccount.keyFile = keyFile;
+        throw err;
+      });
+  });
+});
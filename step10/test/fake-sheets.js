@@ -0,0 +1,429 @@
+/*
+  Copyright 2016 Google, Inc.
+
+  Licensed to the Apache Software Foundation (ASF) under one or more contributor
+  license agreements. See the NOTICE file distributed with this work for
+  additional information regarding copyright ownership. The ASF licenses this
+  file to you under the Apache License, Version 2.0 (the "License"); you may not
+  use this file except in compliance with the License. You may obtain a copy of
+  the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+  WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+  License for the specific language governing permissions and limitations under
+  the License.
+*/
+
+'use strict';
+
+var http = require('http');
+var url = require('url');
+
+/**
+ * A local stand-in for the Sheets API, for tests. It emulates creating
+ * spreadsheets, reading their sheets and values, and the batchUpdate requests
+ * that add sheets or write cells, as well as trashing their files through the
+ * Drive API, and records every request made to it. Failures can be queued to
+ * test how errors are handled.
+ * @constructor
+ */
+var FakeSheets = function() {
+  this.server = http.createServer(this.handle.bind(this));
+  this.url = null;
+  this.reset();
+};
+
+module.exports = FakeSheets;
+
+/**
+ * Starts listening on a free port.
+ * @return {Promise} A promise that resolves once the server is listening.
+ */
+FakeSheets.prototype.start = function() {
+  var self = this;
+  return new Promise(function(resolve) {
+    self.server.listen(0, '127.0.0.1', function() {
+      self.url = 'http://127.0.0.1:' + self.server.address().port;
+      resolve();
+    });
+  });
+};
+
+/**
+ * Stops listening.
+ * @return {Promise} A promise that resolves once the server is closed.
+ */
+FakeSheets.prototype.stop = function() {
+  var self = this;
+  return new Promise(function(resolve) {
+    self.server.close(resolve);
+  });
+};
+
+/**
+ * Forgets every spreadsheet and recorded request.
+ */
+FakeSheets.prototype.reset = function() {
+  this.spreadsheets = {};
+  this.requests = [];
+  this.failures = [];
+  this.nextId = 1;
+};
+
+/**
+ * Queues a failure, returned in response to the next request instead of
+ * handling it.
+ * @param {number} status  The status of the response.
+ * @param {Object} options Optional. The key "reason", the reason given in the
+ *                         error, and "retryAfter", the value of the
+ *                         Retry-After header.
+ */
+FakeSheets.prototype.fail = function(status, options) {
+  options = options || {};
+  this.failures.push({
+    status: status,
+    headers: options.retryAfter === undefined ? {} :
+        {'Retry-After': String(options.retryAfter)},
+    body: {error: {
+      code: status,
+      message: 'Fake failure ' + status + '.',
+      errors: options.reason ? [{reason: options.reason}] : undefined
+    }}
+  });
+};
+
+/**
+ * Adds a spreadsheet, as if it had been created outside of the app.
+ * @param  {string} spreadsheetId The ID of the spreadsheet.
+ * @param  {Array}  titles        The titles of its sheets, whose IDs are
+ *                                their indexes.
+ * @return {Object}               The spreadsheet.
+ */
+FakeSheets.prototype.addSpreadsheet = function(spreadsheetId, titles) {
+  var spreadsheet = {
+    spreadsheetId: spreadsheetId,
+    properties: {title: spreadsheetId},
+    sheets: [],
+    values: {},
+    nextSheetId: 0
+  };
+  titles.forEach(function(title) {
+    addSheet(spreadsheet, {title: title});
+  });
+  this.spreadsheets[spreadsheetId] = spreadsheet;
+  return spreadsheet;
+};
+
+/**
+ * Gets the values of a sheet.
+ * @param  {string} spreadsheetId The ID of the spreadsheet.
+ * @param  {string} title         The title of the sheet.
+ * @return {Array}                The values, as an array of rows.
+ */
+FakeSheets.prototype.getValues = function(spreadsheetId, title) {
+  var spreadsheet = this.spreadsheets[spreadsheetId];
+  return spreadsheet.values[getSheet(spreadsheet, title).properties.sheetId];
+};
+
+/**
+ * Sets the values of a sheet, as if they had been edited by a user.
+ * @param {string} spreadsheetId The ID of the spreadsheet.
+ * @param {string} title         The title of the sheet.
+ * @param {Array}  values        The values, as an array of rows.
+ */
+FakeSheets.prototype.setValues = function(spreadsheetId, title, values) {
+  var spreadsheet = this.spreadsheets[spreadsheetId];
+  spreadsheet.values[getSheet(spreadsheet, title).properties.sheetId] = values;
+};
+
+/**
+ * Gets the requests sent in batchUpdate calls, in order.
+ * @param  {string} type The type of request to return, such as "addSheet",
+ *                       or all requests if not set.
+ * @return {Array}       The requests.
+ */
+FakeSheets.prototype.getBatchRequests = function(type) {
+  return this.requests.filter(function(request) {
+    return /:batchUpdate$/.test(request.path);
+  }).reduce(function(requests, request) {
+    return requests.concat(request.body.requests);
+  }, []).filter(function(request) {
+    return !type || request[type];
+  });
+};
+
+/**
+ * Handles a request to the server.
+ * @param {IncomingMessage} req The request.
+ * @param {ServerResponse}  res The response.
+ */
+FakeSheets.prototype.handle = function(req, res) {
+  var self = this;
+  var body = '';
+  req.on('data', function(chunk) {
+    body += chunk;
+  });
+  req.on('end', function() {
+    var parsed = url.parse(req.url, true);
+    var request = {
+      method: req.method,
+      path: decodeURIComponent(parsed.pathname),
+      query: parsed.query,
+      body: body ? JSON.parse(body) : null
+    };
+    self.requests.push(request);
+    var result = self.failures.shift();
+    try {
+      result = result || self.route(request);
+    } catch (err) {
+      result = {status: err.status || 500, body: {
+        error: {code: err.status || 500, message: err.message}
+      }};
+    }
+    res.writeHead(result.status || 200, Object.assign({
+      'Content-Type': 'application/json'
+    }, result.headers));
+    res.end(JSON.stringify(result.body));
+  });
+};
+
+/**
+ * Emulates the Sheets API method matching a request.
+ * @param  {Object} request The request, with the keys "method", "path",
+ *                          "query" and "body".
+ * @return {Object}         The response, with the keys "status" and "body".
+ */
+FakeSheets.prototype.route = function(request) {
+  var file = /^\/drive\/v3\/files\/([^/]+)$/.exec(request.path);
+  if (file && request.method == 'PATCH') {
+    return {body: this.updateFile(file[1], request.body)};
+  }
+  var match = /^\/v4\/spreadsheets(?:\/([^/:]+))?(.*)$/.exec(request.path);
+  if (!match) {
+    throw httpError(404, 'Unknown method: ' + request.path);
+  }
+  if (!match[1] && request.method == 'POST') {
+    return {body: this.create(request.body)};
+  }
+  var spreadsheet = this.spreadsheets[match[1]];
+  if (!spreadsheet) {
+    throw httpError(404, 'Requested entity was not found.');
+  }
+  var method = request.method + ' ' + match[2].replace(/^\/values\/.*/,
+      '/values/');
+  switch (method) {
+    case 'GET ':
+      return {body: toResource(spreadsheet)};
+    case 'POST :batchUpdate':
+      return {body: {
+        spreadsheetId: spreadsheet.spreadsheetId,
+        replies: request.body.requests.map(function(update) {
+          return applyRequest(spreadsheet, update);
+        })
+      }};
+    case 'POST /values:batchGetByDataFilter':
+      return {body: {
+        spreadsheetId: spreadsheet.spreadsheetId,
+        valueRanges: request.body.dataFilters.map(function(filter) {
+          var sheetId = filter.gridRange.sheetId;
+          return {valueRange: {values: spreadsheet.values[sheetId] || []}};
+        })
+      }};
+    case 'GET /values/':
+      var title = match[2].slice('/values/'.length).split('!')[0];
+      var sheet = getSheet(spreadsheet, title) || spreadsheet.sheets[0];
+      return {body: {values: spreadsheet.values[sheet.properties.sheetId]}};
+    default:
+      throw httpError(404, 'Unknown method: ' + request.path);
+  }
+};
+
+/**
+ * Emulates spreadsheets.create.
+ * @param  {Object} resource The Spreadsheet to create.
+ * @return {Object}          The created Spreadsheet.
+ */
+FakeSheets.prototype.create = function(resource) {
+  var spreadsheetId = 'fake-spreadsheet-' + this.nextId++;
+  var spreadsheet = this.addSpreadsheet(spreadsheetId, []);
+  spreadsheet.properties = Object.assign({}, resource.properties);
+  (resource.sheets || [{properties: {title: 'Sheet1'}}])
+    .forEach(function(sheet) {
+      addSheet(spreadsheet, sheet.properties);
+    });
+  return toResource(spreadsheet);
+};
+
+/**
+ * Emulates files.update in the Drive API, which can only trash spreadsheets.
+ * @param  {string} fileId   The ID of the spreadsheet.
+ * @param  {Object} resource The changes to the File.
+ * @return {Object}          The File.
+ */
+FakeSheets.prototype.updateFile = function(fileId, resource) {
+  var spreadsheet = this.spreadsheets[fileId];
+  if (!spreadsheet) {
+    throw httpError(404, 'File not found: ' + fileId);
+  }
+  if (resource.trashed !== undefined) {
+    spreadsheet.trashed = resource.trashed;
+  }
+  return {id: fileId, trashed: Boolean(spreadsheet.trashed)};
+};
+
+/**
+ * Converts a spreadsheet to the Spreadsheet resource returned by the API.
+ * @param  {Object} spreadsheet The spreadsheet.
+ * @return {Object}             The Spreadsheet.
+ */
+function toResource(spreadsheet) {
+  return {
+    spreadsheetId: spreadsheet.spreadsheetId,
+    properties: spreadsheet.properties,
+    sheets: spreadsheet.sheets,
+    spreadsheetUrl: 'https://docs.google.com/spreadsheets/d/' +
+        spreadsheet.spreadsheetId + '/edit'
+  };
+}
+
+/**
+ * Adds a sheet to a spreadsheet.
+ * @param  {Object} spreadsheet The spreadsheet.
+ * @param  {Object} properties  The properties of the sheet.
+ * @return {Object}             The properties of the added sheet.
+ */
+function addSheet(spreadsheet, properties) {
+  properties = Object.assign({}, properties);
+  if (properties.sheetId === undefined) {
+    properties.sheetId = spreadsheet.nextSheetId++;
+  }
+  spreadsheet.sheets.push({properties: properties});
+  spreadsheet.values[properties.sheetId] = [];
+  return properties;
+}
+
+/**
+ * Finds a sheet by title.
+ * @param  {Object} spreadsheet The spreadsheet.
+ * @param  {string} title       The title of the sheet.
+ * @return {Object}             The sheet, or undefined if there is none.
+ */
+function getSheet(spreadsheet, title) {
+  return spreadsheet.sheets.filter(function(sheet) {
+    return sheet.properties.title == title;
+  })[0];
+}
+
+/**
+ * Applies a request sent in a batchUpdate. Only the requests that rename the
+ * spreadsheet, add, resize or delete sheets or change the values of cells are
+ * emulated; others are just recorded.
+ * @param  {Object} spreadsheet The spreadsheet.
+ * @param  {Object} update      The Request.
+ * @return {Object}             The Response.
+ */
+function applyRequest(spreadsheet, update) {
+  var values;
+  if (update.addSheet) {
+    return {addSheet: {
+      properties: addSheet(spreadsheet, update.addSheet.properties)
+    }};
+  }
+  if (update.updateSpreadsheetProperties) {
+    Object.assign(spreadsheet.properties,
+        update.updateSpreadsheetProperties.properties);
+  }
+  if (update.deleteSheet) {
+    spreadsheet.sheets = spreadsheet.sheets.filter(function(sheet) {
+      return sheet.properties.sheetId != update.deleteSheet.sheetId;
+    });
+    delete spreadsheet.values[update.deleteSheet.sheetId];
+  }
+  if (update.appendCells) {
+    values = spreadsheet.values[update.appendCells.sheetId];
+    update.appendCells.rows.forEach(function(row) {
+      values.push(toValues(row));
+    });
+  } else if (update.updateCells && update.updateCells.start) {
+    var start = update.updateCells.start;
+    values = spreadsheet.values[start.sheetId];
+    update.updateCells.rows.forEach(function(row, i) {
+      values[start.rowIndex + i] = toValues(row);
+    });
+  } else if (update.updateCells && update.updateCells.range) {
+    // Clearing the values of a whole sheet.
+    spreadsheet.values[update.updateCells.range.sheetId] = [];
+  } else if (update.updateSheetProperties) {
+    // Resizing a sheet drops the rows beyond its new size.
+    var properties = update.updateSheetProperties.properties;
+    var rowCount = properties.gridProperties &&
+        properties.gridProperties.rowCount;
+    if (rowCount) {
+      spreadsheet.values[properties.sheetId].splice(rowCount);
+      getGridProperties(spreadsheet, properties.sheetId).rowCount = rowCount;
+    }
+  } else if (update.appendDimension &&
+      update.appendDimension.dimension == 'ROWS') {
+    var gridProperties = getGridProperties(spreadsheet,
+        update.appendDimension.sheetId);
+    gridProperties.rowCount += update.appendDimension.length;
+  } else if (update.deleteDimension &&
+      update.deleteDimension.range.dimension == 'ROWS') {
+    var range = update.deleteDimension.range;
+    spreadsheet.values[range.sheetId].splice(range.startIndex,
+        range.endIndex - range.startIndex);
+  }
+  return {};
+}
+
+/**
+ * Gets the unformatted values of a RowData. Formulas aren't evaluated, and
+ * their text is used as the value.
+ * @param  {Object} row The RowData.
+ * @return {Array}      The values.
+ */
+function toValues(row) {
+  return (row.values || []).map(function(cell) {
+    var value = cell.userEnteredValue || {};
+    if (value.numberValue !== undefined) {
+      return value.numberValue;
+    }
+    if (value.boolValue !== undefined) {
+      return value.boolValue;
+    }
+    if (value.formulaValue !== undefined) {
+      return value.formulaValue;
+    }
+    return value.stringValue !== undefined ? value.stringValue : '';
+  });
+}
+
+/**
+ * Gets the grid properties of a sheet, which only track the number of rows
+ * once the sheet is resized.
+ * @param  {Object} spreadsheet The spreadsheet.
+ * @param  {number} sheetId     The ID of the sheet.
+ * @return {Object}             The GridProperties.
+ */
+function getGridProperties(spreadsheet, sheetId) {
+  var sheet = spreadsheet.sheets.find(function(sheet) {
+    return sheet.properties.sheetId == sheetId;
+  });
+  sheet.properties.gridProperties = sheet.properties.gridProperties || {};
+  return sheet.properties.gridProperties;
+}
+
+/**
+ * Creates an error with an HTTP status.
+ * @param  {number} status  The status.
+ * @param  {string} message The error message.
+ * @return {Error}          The error.
+ */
+function httpError(status, message) {
+  var err = new Error(message);
+  err.status = status;
+  return err;
+}
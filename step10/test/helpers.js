@@ -0,0 +1,117 @@
+/*
+  Copyright 2016 Google, Inc.
+
+  Licensed to the Apache Software Foundation (ASF) under one or more contributor
+  license agreements. See the NOTICE file distributed with this work for
+  additional information regarding copyright ownership. The ASF licenses this
+  file to you under the Apache License, Version 2.0 (the "License"); you may not
+  use this file except in compliance with the License. You may obtain a copy of
+  the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+  WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+  License for the specific language governing permissions and limitations under
+  the License.
+*/
+
+'use strict';
+
+/**
+ * Shared setup for the tests, loaded before every test file. The app is run
+ * against an in-memory SQLite database, migrated afresh before each test, and
+ * is authorized as a service account whose Sheets API requests are sent to a
+ * FakeSheets server rather than to Google.
+ */
+
+process.env.NODE_ENV = 'test';
+
+var gaxios = require('gaxios');
+var {JWT} = require('google-auth-library');
+var config = require('../config.json');
+var models = require('../models');
+var migrator = require('../migrator');
+var orders = require('../orders');
+var FakeSheets = require('./fake-sheets');
+
+// The root URLs of the Sheets and Drive APIs.
+var ROOT_URL = /^https:\/\/(sheets|www)\.googleapis\.com/;
+
+var fakeSheets = new FakeSheets();
+
+// The key file is never read, as no access token is requested. The tests
+// aren't signed in, so they use the service account.
+config.serviceAccount.keyFile = 'test/service-account.json';
+config.serviceAccount.allowAnonymous = true;
+// Retry failed requests without waiting, and don't limit the requests made to
+// the fake API.
+config.sheetsApi.initialRetryDelay = 1;
+config.sheetsApi.quota = null;
+JWT.prototype.request = function(options) {
+  return gaxios.request(Object.assign({}, options, {
+    url: options.url.replace(ROOT_URL, fakeSheets.url)
+  }));
+};
+
+before(function() {
+  return fakeSheets.start();
+});
+
+beforeEach(function() {
+  fakeSheets.reset();
+  return resetDatabase();
+});
+
+after(function() {
+  return fakeSheets.stop().then(function() {
+    return models.sequelize.close();
+  });
+});
+
+/**
+ * Drops every table and applies the migrations again.
+ * @return {Promise} A promise that resolves once the database is empty.
+ */
+function resetDatabase() {
+  return models.sequelize.getQueryInterface().dropAllTables()
+    .then(function() {
+      return migrator.up(models.sequelize);
+    });
+}
+
+/**
+ * Adds a product to the catalog.
+ * @param  {Object}  values The values of the product, defaulting to an active
+ *                          product with the code "FOO-100".
+ * @return {Promise}        A promise for the product.
+ */
+function createProduct(values) {
+  return models.Product.create(Object.assign({
+    code: 'FOO-100',
+    name: 'Foo',
+    listPrice: 10
+  }, values));
+}
+
+/**
+ * Creates an order.
+ * @param  {Object}  values The values of the order, as passed to orders.save,
+ *                          defaulting to a single line of 5 units of the
+ *                          product "FOO-100".
+ * @return {Promise}        A promise for the order, loaded with its customer
+ *                          and line items.
+ */
+function createOrder(values) {
+  return orders.save(models, null, Object.assign({
+    customerName: 'Alice',
+    lines: [{productCode: 'FOO-100', unitsOrdered: 5}]
+  }, values));
+}
+
+module.exports = {
+  fakeSheets: fakeSheets,
+  createProduct: createProduct,
+  createOrder: createOrder
+};
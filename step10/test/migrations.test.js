@@ -0,0 +1,223 @@
+/*
+  Copyright 2016 Google, Inc.
+
+  Licensed to the Apache Software Foundation (ASF) under one or more contributor
+  license agreements. See the NOTICE file distributed with this work for
+  additional information regarding copyright ownership. The ASF licenses this
+  file to you under the Apache License, Version 2.0 (the "License"); you may not
+  use this file except in compliance with the License. You may obtain a copy of
+  the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+  WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+  License for the specific language governing permissions and limitations under
+  the License.
+*/
+
+'use strict';
+
+var assert = require('assert');
+var Sequelize = require('sequelize');
+var models = require('../models');
+var migrator = require('../migrator');
+var orders = require('../orders');
+
+var queryInterface = models.sequelize.getQueryInterface();
+
+// The schema of the database the app shipped with, as created by
+// sequelize.sync() before migrations were introduced.
+var BASELINE_SCHEMA = [
+  'CREATE TABLE `Orders` (`id` INTEGER PRIMARY KEY AUTOINCREMENT, ' +
+      '`customerName` VARCHAR(255) NOT NULL, ' +
+      '`productCode` VARCHAR(255) NOT NULL, ' +
+      '`unitsOrdered` INTEGER NOT NULL, `unitPrice` FLOAT NOT NULL, ' +
+      '`status` VARCHAR(255) NOT NULL DEFAULT \'PENDING\', ' +
+      '`createdAt` DATETIME NOT NULL, `updatedAt` DATETIME NOT NULL)',
+  'CREATE TABLE `Spreadsheets` (`id` VARCHAR(255) NOT NULL PRIMARY KEY, ' +
+      '`sheetId` INTEGER NOT NULL, `name` VARCHAR(255) NOT NULL, ' +
+      '`createdAt` DATETIME NOT NULL, `updatedAt` DATETIME NOT NULL)'
+];
+
+describe('migrations', function() {
+  /**
+   * Empties the database and creates the baseline schema, with two orders of
+   * the same customer and a linked spreadsheet.
+   * @return {Promise} A promise that resolves once created.
+   */
+  function createBaseline() {
+    var now = new Date();
+    return queryInterface.dropAllTables().then(function() {
+      return Sequelize.Promise.each(BASELINE_SCHEMA, function(sql) {
+        return models.sequelize.query(sql);
+      });
+    }).then(function() {
+      return queryInterface.bulkInsert('Orders', [
+        {id: 1, customerName: 'Alice', productCode: 'FOO-100',
+            unitsOrdered: 5, unitPrice: 9, status: 'SHIPPED', createdAt: now,
+            updatedAt: now},
+        {id: 2, customerName: 'Alice', productCode: 'BAR-200',
+            unitsOrdered: 1, unitPrice: 20, status: 'PENDING', createdAt: now,
+            updatedAt: now}
+      ]);
+    }).then(function() {
+      return queryInterface.bulkInsert('Spreadsheets', [
+        {id: 'ss', sheetId: 0, name: 'Mine', createdAt: now, updatedAt: now}
+      ]);
+    });
+  }
+
+  /**
+   * Empties the database and applies the migrations before the given one.
+   * @param  {string}  name The name of the migration.
+   * @return {Promise}      A promise that resolves once migrated.
+   */
+  function migrateBefore(name) {
+    return queryInterface.dropAllTables().then(function() {
+      return migrator.getPending(models.sequelize);
+    }).then(function(pending) {
+      var index = pending.indexOf(name);
+      assert.ok(index > 0);
+      return migrator.up(models.sequelize, pending[index - 1]);
+    });
+  }
+
+  describe('upgrading the baseline database', function() {
+    beforeEach(function() {
+      return createBaseline().then(function() {
+        return migrator.up(models.sequelize);
+      });
+    });
+
+    it('adds the columns of every model', function() {
+      var names = Object.keys(models).filter(function(name) {
+        return models[name].rawAttributes;
+      });
+      return Sequelize.Promise.each(names, function(name) {
+        var model = models[name];
+        return queryInterface.describeTable(model.getTableName())
+          .then(function(fields) {
+            Object.keys(model.rawAttributes).forEach(function(key) {
+              var attribute = model.rawAttributes[key];
+              if (!(attribute.type instanceof Sequelize.VIRTUAL)) {
+                assert.ok(fields[attribute.field],
+                    name + ' is missing ' + attribute.field);
+              }
+            });
+          });
+      }).then(function() {
+        return models.Spreadsheet.findAll();
+      }).then(function(spreadsheets) {
+        assert.deepEqual(spreadsheets.map(function(spreadsheet) {
+          return [spreadsheet.id, spreadsheet.ownerId, spreadsheet.layout,
+              spreadsheet.template];
+        }), [['ss', null, 'default', 'revenueByProduct']]);
+      });
+    });
+
+    it('moves the order columns into customers, products and line items',
+        function() {
+      return orders.findAll(models, {order: [['id', 'ASC']]})
+        .then(function(found) {
+          assert.deepEqual(found.map(orders.toJSON).map(function(order) {
+            return [order.id, order.customerName, order.currency,
+                order.status, order.lines[0].productCode,
+                order.lines[0].unitsOrdered, order.lines[0].unitPrice];
+          }), [
+            [1, 'Alice', 'USD', 'SHIPPED', 'FOO-100', 5, 9],
+            [2, 'Alice', 'USD', 'PENDING', 'BAR-200', 1, 20]
+          ]);
+          return Promise.all([
+            models.Customer.count(),
+            models.Product.count({where: {active: true}})
+          ]);
+        }).then(function(counts) {
+          assert.deepEqual(counts, [1, 2]);
+          // The orders still reference their customers.
+          return models.Customer.destroy({where: {}});
+        }).then(function() {
+          return Promise.all([models.Order.count(), models.OrderLine.count()]);
+        }).then(function(counts) {
+          assert.deepEqual(counts, [0, 0]);
+        });
+    });
+  });
+
+  describe('remove-spreadsheet-access-token', function() {
+    it('removes the tokens without losing the sync history', function() {
+      var now = new Date();
+      // Databases created once spreadsheets were synced automatically also
+      // stored an access token with each.
+      return createBaseline().then(function() {
+        return queryInterface.addColumn('Spreadsheets', 'accessToken', {
+          type: Sequelize.STRING
+        });
+      }).then(function() {
+        return queryInterface.bulkUpdate('Spreadsheets',
+            {accessToken: 'secret'}, {id: 'ss'});
+      }).then(function() {
+        return migrator.up(models.sequelize,
+            '20261019000500-add-sync-run-progress.js');
+      }).then(function() {
+        return queryInterface.bulkInsert('Users', [
+          {id: 'u1', email: 'alice@example.com', createdAt: now,
+              updatedAt: now}
+        ]);
+      }).then(function() {
+        return queryInterface.bulkUpdate('Spreadsheets', {ownerId: 'u1'},
+            {id: 'ss'});
+      }).then(function() {
+        return queryInterface.bulkInsert('SyncRuns', [
+          {spreadsheetId: 'ss', trigger: 'MANUAL', startedAt: now,
+              createdAt: now, updatedAt: now}
+        ]);
+      }).then(function() {
+        return migrator.up(models.sequelize);
+      }).then(function() {
+        return queryInterface.describeTable('Spreadsheets');
+      }).then(function(fields) {
+        assert.strictEqual(fields.accessToken, undefined);
+        return Promise.all([
+          models.Spreadsheet.count(),
+          models.SyncRun.count()
+        ]);
+      }).then(function(counts) {
+        assert.deepEqual(counts, [1, 1]);
+        // The spreadsheets still reference their owners.
+        return models.User.destroy({where: {id: 'u1'}});
+      }).then(function() {
+        return models.Spreadsheet.findByPk('ss');
+      }).then(function(spreadsheet) {
+        assert.strictEqual(spreadsheet.ownerId, null);
+      });
+    });
+
+    it('leaves databases without the tokens as they are', function() {
+      return migrateBefore('20261019000600-remove-spreadsheet-access-token.js')
+        .then(function() {
+          return migrator.up(models.sequelize);
+        }).then(function() {
+          return queryInterface.describeTable('Spreadsheets');
+        }).then(function(fields) {
+          assert.ok(fields.lastSyncedAt);
+          assert.strictEqual(fields.accessToken, undefined);
+        });
+    });
+  });
+
+  describe('split-order-columns', function() {
+    it('leaves databases with line items as they are', function() {
+      return migrateBefore('20261019000700-split-order-columns.js')
+        .then(function() {
+          return migrator.up(models.sequelize);
+        }).then(function() {
+          return queryInterface.describeTable('Orders');
+        }).then(function(fields) {
+          assert.ok(fields.customerId);
+          assert.strictEqual(fields.customerName, undefined);
+        });
+    });
+  });
+});
@@ -0,0 +1,1209 @@
+/*
+  Copyright 2016 Google, Inc.
+
+  Licensed to the Apache Software Foundation (ASF) under one or more contributor
+  license agreements. See the NOTICE file distributed with this work for
+  additional information regarding copyright ownership. The ASF licenses this
+  file to you under the Apache License, Version 2.0 (the "License"); you may not
+  use this file except in compliance with the License. You may obtain a copy of
+  the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+  WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+  License for the specific language governing permissions and limitations under
+  the License.
+*/
+
+'use strict';
+
+var assert = require('assert');
+var crypto = require('crypto');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var ExcelJS = require('exceljs');
+var request = require('supertest');
+var Sequelize = require('sequelize');
+var helpers = require('./helpers');
+var app = require('../app');
+var config = require('../config.json');
+var layouts = require('../layouts');
+var templates = require('../templates');
+var models = require('../models');
+
+var fakeSheets = helpers.fakeSheets;
+
+describe('routes', function() {
+  beforeEach(function() {
+    return helpers.createProduct();
+  });
+
+  /**
+   * Gets the values of a row in the default layout, keyed by header.
+   */
+  function toValues(row) {
+    return layouts.get().map(function(column) {
+      var value = row[column.header];
+      return value === undefined ? '' : value;
+    });
+  }
+
+  describe('GET /', function() {
+    it('lists the orders and spreadsheets', function() {
+      return helpers.createOrder().then(function() {
+        return models.Spreadsheet.create({id: 'ss', sheetId: 0, name: 'Mine'});
+      }).then(function() {
+        return request(app).get('/').expect(200);
+      }).then(function(res) {
+        assert.ok(res.text.indexOf('Order #1') != -1);
+        assert.ok(res.text.indexOf('Alice') != -1);
+        assert.ok(res.text.indexOf('Mine') != -1);
+      });
+    });
+
+    /**
+     * Creates an order for each customer, in order.
+     */
+    function createOrders(names) {
+      return names.reduce(function(promise, name) {
+        return promise.then(function() {
+          return helpers.createOrder({customerName: name});
+        });
+      }, Promise.resolve());
+    }
+
+    it('filters the orders by customer, product and status', function() {
+      return helpers.createProduct({code: 'BAR-200', name: 'Bar'})
+        .then(function() {
+          return createOrders(['Alice', 'Bob']);
+        })
+        .then(function() {
+          return helpers.createOrder({
+            customerName: 'Alice',
+            status: 'SHIPPED',
+            lines: [{productCode: 'BAR-200', unitsOrdered: 1}]
+          });
+        })
+        .then(function() {
+          return request(app).get('/')
+            .query({customerName: 'Alice', productCode: 'FOO-100'})
+            .expect(200);
+        })
+        .then(function(res) {
+          assert.ok(res.text.indexOf('Order #1') != -1);
+          assert.equal(res.text.indexOf('Order #2'), -1);
+          assert.equal(res.text.indexOf('Order #3'), -1);
+          assert.ok(res.text.indexOf('Only sync orders matching ' +
+              'Customer: Alice, Product: FOO-100') != -1);
+          return request(app).get('/').query({status: 'SHIPPED'}).expect(200);
+        })
+        .then(function(res) {
+          assert.equal(res.text.indexOf('Order #1'), -1);
+          assert.ok(res.text.indexOf('Order #3') != -1);
+          assert.ok(res.text.indexOf('<option value="SHIPPED" selected>') != -1);
+        });
+    });
+
+    it('searches customer names and products', function() {
+      return helpers.createProduct({code: 'BAR-200', name: 'Widget'})
+        .then(function() {
+          return createOrders(['Alice', 'Bob']);
+        })
+        .then(function() {
+          return helpers.createOrder({
+            customerName: 'Carol',
+            lines: [{productCode: 'BAR-200', unitsOrdered: 1}]
+          });
+        })
+        .then(function() {
+          return request(app).get('/').query({q: 'BOB'}).expect(200);
+        })
+        .then(function(res) {
+          assert.deepEqual(res.text.match(/Order #\d+/g), ['Order #2']);
+          return request(app).get('/').query({q: 'widg'}).expect(200);
+        })
+        .then(function(res) {
+          assert.deepEqual(res.text.match(/Order #\d+/g), ['Order #3']);
+          return request(app).get('/').query({q: 'nobody'}).expect(200);
+        })
+        .then(function(res) {
+          assert.ok(res.text.indexOf('No orders found.') != -1);
+        });
+    });
+
+    it('filters the orders by date range', function() {
+      return createOrders(['Alice', 'Bob', 'Carol']).then(function() {
+        // Sequelize doesn't let createdAt be updated through the model.
+        return Promise.all([
+          ['2026-01-01T12:00:00Z', 1],
+          ['2026-02-15T23:59:00Z', 2],
+          ['2026-03-01T00:00:00Z', 3]
+        ].map(function(update) {
+          return models.sequelize.query(
+              'UPDATE Orders SET createdAt = ? WHERE id = ?',
+              {replacements: [new Date(update[0]), update[1]]});
+        }));
+      }).then(function() {
+        return request(app).get('/')
+          .query({from: '2026-02-01', to: '2026-02-15'})
+          .expect(200);
+      }).then(function(res) {
+        assert.deepEqual(res.text.match(/Order #\d+/g), ['Order #2']);
+      });
+    });
+
+    it('sorts and paginates the orders', function() {
+      return createOrders(['Carol', 'Alice', 'Bob']).then(function() {
+        return request(app).get('/')
+          .query({sort: 'customerName', pageSize: 2})
+          .expect(200);
+      }).then(function(res) {
+        assert.deepEqual(res.text.match(/Order #\d+/g),
+            ['Order #2', 'Order #3']);
+        assert.ok(res.text.indexOf('3 orders') != -1);
+        var next = res.text.match(/href="([^"]*)"\s+rel="next"/)[1];
+        next = next.replace(/&#x3D;/g, '=').replace(/&amp;/g, '&');
+        return request(app).get(next).expect(200);
+      }).then(function(res) {
+        assert.deepEqual(res.text.match(/Order #\d+/g), ['Order #1']);
+        assert.equal(res.text.indexOf('rel="next"'), -1);
+        assert.ok(res.text.indexOf('rel="prev"') != -1);
+      });
+    });
+
+    it('rejects an invalid query', function() {
+      return request(app).get('/').query({sort: 'password'}).expect(400)
+        .then(function() {
+          return request(app).get('/').query({from: 'yesterday'}).expect(400);
+        });
+    });
+  });
+
+  describe('GET /create', function() {
+    it('renders an empty form with the active products', function() {
+      return helpers.createProduct({code: 'OLD-1', active: false})
+        .then(function() {
+          return request(app).get('/create').expect(200);
+        })
+        .then(function(res) {
+          assert.ok(res.text.indexOf('value="FOO-100"') != -1);
+          assert.equal(res.text.indexOf('value="OLD-1"'), -1);
+        });
+    });
+  });
+
+  describe('GET /edit/:id', function() {
+    it('renders the order with its next statuses', function() {
+      return helpers.createOrder().then(function() {
+        return request(app).get('/edit/1').expect(200);
+      }).then(function(res) {
+        assert.ok(res.text.indexOf('value="Alice"') != -1);
+        assert.ok(res.text.indexOf('<option value="SHIPPED"') != -1);
+        assert.equal(res.text.indexOf('<option value="DELIVERED"'), -1);
+      });
+    });
+
+    it('returns 404 for a missing order', function() {
+      return request(app).get('/edit/99').expect(404);
+    });
+  });
+
+  describe('GET /delete/:id', function() {
+    it('deletes the order', function() {
+      return helpers.createOrder().then(function() {
+        return request(app).get('/delete/1').expect(302);
+      }).then(function() {
+        return models.Order.count();
+      }).then(function(count) {
+        assert.equal(count, 0);
+      });
+    });
+  });
+
+  describe('POST /upsert', function() {
+    it('creates an order', function() {
+      return request(app).post('/upsert')
+        .type('form')
+        .send('customerName=Bob&currency=GBP&lineId=&productCode=FOO-100' +
+            '&unitsOrdered=3&unitPrice=')
+        .expect(302)
+        .then(function() {
+          return models.OrderLine.findOne();
+        })
+        .then(function(line) {
+          assert.equal(line.unitsOrdered, 3);
+          // The list price, converted from USD.
+          assert.equal(line.unitPrice, 7.87);
+        });
+    });
+
+    it('updates an order and records who changed its status', function() {
+      return helpers.createOrder().then(function() {
+        return request(app).post('/upsert')
+          .type('form')
+          .send('id=1&customerName=Alice&currency=USD&status=SHIPPED' +
+              '&lineId=1&productCode=FOO-100&unitsOrdered=7&unitPrice=10')
+          .expect(302);
+      }).then(function() {
+        return models.Order.findByPk(1, {include: ['lines', 'statusChanges']});
+      }).then(function(order) {
+        assert.equal(order.status, 'SHIPPED');
+        assert.equal(order.lines[0].unitsOrdered, 7);
+        assert.equal(order.statusChanges.length, 2);
+      });
+    });
+
+    it('rejects a status the order can\'t move to', function() {
+      return helpers.createOrder().then(function() {
+        return request(app).post('/upsert')
+          .type('form')
+          .send('id=1&customerName=Alice&status=DELIVERED' +
+              '&lineId=1&productCode=FOO-100&unitsOrdered=5&unitPrice=10')
+          .expect(500);
+      }).then(function(res) {
+        assert.ok(res.text.indexOf('can&#x27;t change from PENDING') != -1);
+      });
+    });
+  });
+
+  describe('product catalog', function() {
+    it('lists the products', function() {
+      return request(app).get('/products').expect(200).then(function(res) {
+        assert.ok(res.text.indexOf('FOO-100') != -1);
+      });
+    });
+
+    it('renders the form for a new product', function() {
+      return request(app).get('/products/create').expect(200);
+    });
+
+    it('renders the form for an existing product', function() {
+      return request(app).get('/products/edit/1').expect(200)
+        .then(function(res) {
+          assert.ok(res.text.indexOf('value="FOO-100"') != -1);
+        });
+    });
+
+    it('creates a product', function() {
+      return request(app).post('/products/upsert')
+        .type('form')
+        .send('code=BAR-1&name=Bar&listPrice=&active=on')
+        .expect(302)
+        .then(function() {
+          return models.Product.findOne({where: {code: 'BAR-1'}});
+        })
+        .then(function(product) {
+          assert.equal(product.active, true);
+          assert.strictEqual(product.listPrice, null);
+        });
+    });
+
+    it('deactivates a product', function() {
+      return request(app).post('/products/upsert')
+        .type('form')
+        .send('id=1&code=FOO-100&name=Foo&listPrice=12')
+        .expect(302)
+        .then(function() {
+          return models.Product.findByPk(1);
+        })
+        .then(function(product) {
+          assert.equal(product.active, false);
+          assert.equal(product.listPrice, 12);
+        });
+    });
+  });
+
+  describe('export', function() {
+    beforeEach(function() {
+      return helpers.createOrder();
+    });
+
+    it('exports the orders as CSV', function() {
+      return request(app).get('/orders/export.csv?layout=default')
+        .expect(200)
+        .expect('Content-Type', /text\/csv/)
+        .then(function(res) {
+          var lines = res.text.trim().split(/\r?\n/);
+          assert.equal(lines.length, 2);
+          assert.equal(lines[0].split(',')[0], 'ID');
+        });
+    });
+
+    it('keeps text from being opened as a formula', function() {
+      return helpers.createOrder({customerName: '=1+2'}).then(function() {
+        return helpers.createOrder({customerName: '@SUM(A1)'});
+      }).then(function() {
+        return request(app).get('/orders/export.csv').expect(200);
+      }).then(function(res) {
+        var lines = res.text.trim().split(/\r?\n/);
+        var column = lines[0].split(',').indexOf('Customer Name');
+        assert.deepEqual(lines.slice(1).map(function(line) {
+          return line.split(',')[column];
+        }), ['Alice', '\'=1+2', '\'@SUM(A1)']);
+      });
+    });
+
+    it('rejects an unknown layout', function() {
+      return request(app).get('/orders/export.csv?layout=nope').expect(400);
+    });
+
+    it('exports the orders as XLSX', function() {
+      return helpers.createOrder({customerName: 'Bob'}).then(function() {
+        return helpers.createOrder();
+      }).then(function() {
+        return request(app).get('/orders/export.xlsx?template=ordersByCustomer')
+          .expect(200)
+          .expect('Content-Disposition', /orders\.xlsx/)
+          .responseType('blob');
+      }).then(function(res) {
+        var workbook = new ExcelJS.Workbook();
+        return workbook.xlsx.load(res.body);
+      }).then(function(workbook) {
+        var data = workbook.getWorksheet('Data');
+        assert.equal(data.rowCount, 4);
+        var fields = layouts.get().map(function(column) {
+          return column.field;
+        });
+        assert.deepEqual(data.getColumn(fields.indexOf('customerName') + 1)
+          .values.slice(2), ['Alice', 'Bob', 'Alice']);
+        var status = data.getCell(4, fields.indexOf('status') + 1);
+        assert.deepEqual(status.dataValidation.formulae,
+            ['"' + models.Order.STATUSES.join(',') + '"']);
+        var customers = workbook.getWorksheet('Customers');
+        assert.deepEqual(customers.getColumn(1).values.slice(2),
+            ['Alice', 'Bob']);
+        assert.deepEqual(customers.getColumn(2).values.slice(2), [2, 1]);
+      });
+    });
+
+    it('rejects an unknown template', function() {
+      return request(app).get('/orders/export.xlsx?template=nope')
+        .expect(400);
+    });
+  });
+
+  describe('import', function() {
+    var csv = 'Customer Name,Product Code,Units Ordered,Unit Price\n' +
+        'Carol,FOO-100,2,9.5\n';
+
+    it('renders the import form', function() {
+      return request(app).get('/import').expect(200);
+    });
+
+    it('previews a CSV file and imports it once confirmed', function() {
+      var agent = request.agent(app);
+      return agent.post('/import/csv')
+        .attach('file', Buffer.from(csv), 'orders.csv')
+        .expect(200)
+        .then(function(res) {
+          assert.ok(res.text.indexOf('Carol') != -1);
+          return models.Order.count();
+        })
+        .then(function(count) {
+          assert.equal(count, 0);
+          return agent.post('/import').expect(302);
+        })
+        .then(function() {
+          return models.OrderLine.findOne();
+        })
+        .then(function(line) {
+          assert.equal(line.unitPrice, 9.5);
+          // The upload is removed once imported.
+          return agent.post('/import').expect(400);
+        });
+    });
+
+    it('refuses to import rows with errors', function() {
+      var agent = request.agent(app);
+      return agent.post('/import/csv')
+        .attach('file', Buffer.from(csv.replace('FOO-100', 'NOPE')),
+            'orders.csv')
+        .expect(200)
+        .then(function(res) {
+          assert.ok(res.text.indexOf('Product not found: NOPE') != -1);
+          return agent.post('/import').expect(400);
+        })
+        .then(function(res) {
+          assert.ok(res.text.indexOf('Fix the errors before importing.') != -1);
+          // The upload is removed once it fails to import.
+          return agent.post('/import').expect(400);
+        })
+        .then(function(res) {
+          assert.ok(res.text.indexOf('Nothing to import.') != -1);
+        });
+    });
+
+    it('requires a file', function() {
+      return request(app).post('/import/csv').expect(400);
+    });
+
+    it('rejects files that can\'t be parsed or uploaded', function() {
+      return request(app).post('/import/csv')
+        .attach('file', Buffer.from(csv + '"Dave,FOO-100\n'), 'orders.csv')
+        .expect(400)
+        .then(function(res) {
+          assert.ok(res.text.indexOf('Line 3 of the CSV file has a quoted ' +
+              'value that is never closed.') != -1);
+          return request(app).post('/import/csv')
+            .attach('file', Buffer.alloc(1024 * 1024 + 1), 'orders.csv')
+            .expect(400);
+        })
+        .then(function(res) {
+          assert.ok(res.text.indexOf('File too large') != -1);
+        });
+    });
+
+    it('removes the uploads that were never confirmed after a day',
+        function() {
+      var dir = path.join(os.tmpdir(), 'orders-imports');
+      var old = path.join(dir, crypto.randomBytes(16).toString('hex') +
+          '.json');
+      var agent = request.agent(app);
+      return agent.post('/import/csv')
+        .attach('file', Buffer.from(csv), 'orders.csv')
+        .expect(200)
+        .then(function() {
+          fs.writeFileSync(old, '[]');
+          var time = new Date(Date.now() - 25 * 60 * 60 * 1000);
+          fs.utimesSync(old, time, time);
+          return agent.post('/import/csv')
+            .attach('file', Buffer.from(csv), 'orders.csv')
+            .expect(200);
+        })
+        .then(function() {
+          assert.ok(!fs.existsSync(old));
+          return agent.post('/import').expect(302);
+        });
+    });
+
+    it('requires something to import', function() {
+      return request(app).post('/import').expect(400);
+    });
+
+    it('previews a range of a spreadsheet', function() {
+      fakeSheets.addSpreadsheet('other', ['Orders']);
+      fakeSheets.setValues('other', 'Orders', [
+        ['Customer Name', 'Product Code', 'Units Ordered'],
+        ['Dave', 'FOO-100', 4]
+      ]);
+      return request(app).post('/import/spreadsheet')
+        .type('form')
+        .send('spreadsheetId=other&range=Orders!A1:C10')
+        .expect(200)
+        .then(function(res) {
+          assert.ok(res.text.indexOf('Dave') != -1);
+          var read = fakeSheets.requests[0];
+          assert.equal(read.path,
+              '/v4/spreadsheets/other/values/Orders!A1:C10');
+          assert.equal(read.query.valueRenderOption, 'UNFORMATTED_VALUE');
+        });
+    });
+
+    it('rejects a range that can\'t be read', function() {
+      fakeSheets.addSpreadsheet('other', ['Orders']);
+      fakeSheets.fail(400);
+      return request(app).post('/import/spreadsheet')
+        .type('form')
+        .send('spreadsheetId=other&range=Nope!!')
+        .expect(400)
+        .then(function(res) {
+          assert.ok(res.text.indexOf('Fake failure 400.') != -1);
+        });
+    });
+  });
+
+  describe('POST /spreadsheets', function() {
+    it('creates a linked spreadsheet', function() {
+      return request(app).post('/spreadsheets')
+        .set('X-Requested-With', 'XMLHttpRequest')
+        .send({layout: 'detailed', template: 'ordersByCustomer'})
+        .expect(200)
+        .then(function(res) {
+          assert.equal(res.body.id, 'fake-spreadsheet-1');
+          assert.equal(res.body.sheetId, 0);
+          return models.Spreadsheet.findByPk(res.body.id);
+        })
+        .then(function(spreadsheet) {
+          assert.equal(spreadsheet.layout, 'detailed');
+          assert.equal(spreadsheet.template, 'ordersByCustomer');
+          assert.strictEqual(spreadsheet.ownerId, null);
+          assert.strictEqual(spreadsheet.filter, null);
+        });
+    });
+
+    it('uses the title chosen', function() {
+      return request(app).post('/spreadsheets')
+        .set('X-Requested-With', 'XMLHttpRequest')
+        .send({title: ' Q3 orders '})
+        .expect(200)
+        .then(function(res) {
+          assert.equal(res.body.name, 'Q3 orders');
+          var create = fakeSheets.requests[0];
+          assert.deepEqual(create.body.properties, {title: 'Q3 orders'});
+        });
+    });
+
+    it('saves the filter of the orders to sync', function() {
+      return request(app).post('/spreadsheets')
+        .set('X-Requested-With', 'XMLHttpRequest')
+        .type('form')
+        .send({filter: 'status=SHIPPED&customerName=Alice+Smith&q='})
+        .expect(200)
+        .then(function(res) {
+          assert.deepEqual(res.body.filter,
+              {status: 'SHIPPED', customerName: 'Alice Smith'});
+          return models.Spreadsheet.findByPk(res.body.id);
+        })
+        .then(function(spreadsheet) {
+          assert.deepEqual(spreadsheet.filter,
+              {status: 'SHIPPED', customerName: 'Alice Smith'});
+        });
+    });
+
+    it('saves the field to split the orders into tabs by', function() {
+      return request(app).post('/spreadsheets')
+        .set('X-Requested-With', 'XMLHttpRequest')
+        .send({partitionBy: 'customerName'})
+        .expect(200)
+        .then(function(res) {
+          return models.Spreadsheet.findByPk(res.body.id);
+        })
+        .then(function(spreadsheet) {
+          assert.equal(spreadsheet.partitionBy, 'customerName');
+          return request(app).post('/spreadsheets')
+            .set('X-Requested-With', 'XMLHttpRequest')
+            .send({partitionBy: 'region'})
+            .expect(400);
+        });
+    });
+
+    it('rejects an invalid filter', function() {
+      return request(app).post('/spreadsheets')
+        .set('X-Requested-With', 'XMLHttpRequest')
+        .send({filter: {status: 'LOST'}})
+        .expect(400)
+        .then(function(res) {
+          assert.equal(res.body.message, 'Invalid status: LOST');
+          return request(app).post('/spreadsheets')
+            .set('X-Requested-With', 'XMLHttpRequest')
+            .send({filter: {region: 'EMEA'}})
+            .expect(400);
+        });
+    });
+
+    it('reports failed requests to Google Sheets', function() {
+      fakeSheets.fail(429, {retryAfter: 3600});
+      return request(app).post('/spreadsheets')
+        .set('X-Requested-With', 'XMLHttpRequest')
+        .expect(429)
+        .expect('Retry-After', '3600')
+        .then(function(res) {
+          assert.deepEqual(res.body, {
+            message: 'Too many requests were made to Google Sheets. Try ' +
+                'again later. Fake failure 429.',
+            status: 429
+          });
+          // The failed request, with its credentials, isn't sent.
+          assert.equal(res.text.indexOf('Bearer'), -1);
+          fakeSheets.fail(401);
+          return request(app).post('/spreadsheets')
+            .set('X-Requested-With', 'XMLHttpRequest')
+            .expect(401);
+        })
+        .then(function(res) {
+          assert.ok(/has expired\. Sign in again\./.test(res.body.message));
+          return models.Spreadsheet.count();
+        })
+        .then(function(count) {
+          assert.equal(count, 0);
+        });
+    });
+
+    it('rejects an unknown layout', function() {
+      return request(app).post('/spreadsheets')
+        .set('X-Requested-With', 'XMLHttpRequest')
+        .send({layout: 'nope'})
+        .expect(400);
+    });
+
+    it('requires authorization', function() {
+      var keyFile = config.serviceAccount.keyFile;
+      config.serviceAccount.keyFile = null;
+      return request(app).post('/spreadsheets')
+        .set('X-Requested-With', 'XMLHttpRequest')
+        .expect(401)
+        .then(function() {
+          config.serviceAccount.keyFile = keyFile;
+        }, function(err) {
+          config.serviceAccount.keyFile = keyFile;
+          throw err;
+        });
+    });
+
+    it('only uses the service account for anonymous users if allowed',
+        function() {
+      config.serviceAccount.allowAnonymous = false;
+      return request(app).post('/spreadsheets')
+        .set('X-Requested-With', 'XMLHttpRequest')
+        .expect(401)
+        .then(function() {
+          config.serviceAccount.allowAnonymous = true;
+          assert.deepEqual(Object.keys(fakeSheets.spreadsheets), []);
+        }, function(err) {
+          config.serviceAccount.allowAnonymous = true;
+          throw err;
+        });
+    });
+  });
+
+  describe('linked spreadsheets', function() {
+    beforeEach(function() {
+      fakeSheets.addSpreadsheet('ss', ['Data', 'Pivot']);
+      return models.Spreadsheet.create({id: 'ss', sheetId: 0, name: 'Mine'})
+        .then(function() {
+          return helpers.createOrder();
+        });
+    });
+
+    it('syncs the orders and reference sheets', function() {
+      return request(app).post('/spreadsheets/ss/sync')
+        .set('X-Requested-With', 'XMLHttpRequest')
+        .expect(200)
+        .then(function(res) {
+          assert.deepEqual(res.body, {inserted: 1, updated: 0, removed: 0});
+          assert.equal(fakeSheets.getValues('ss', 'Data').length, 2);
+          assert.equal(fakeSheets.getValues('ss', 'Products').length, 2);
+          assert.equal(fakeSheets.getValues('ss', 'History').length, 2);
+          return models.Spreadsheet.findByPk('ss');
+        })
+        .then(function(spreadsheet) {
+          assert.equal(spreadsheet.historySyncedId, 1);
+        });
+    });
+
+    it('loads only the changes of status made since the last sync',
+        function() {
+      var findAll = models.OrderStatusChange.findAll;
+      var queries = [];
+      function sync() {
+        return request(app).post('/spreadsheets/ss/sync')
+          .set('X-Requested-With', 'XMLHttpRequest')
+          .expect(200);
+      }
+      return sync().then(function() {
+        return models.Order.update({status: 'SHIPPED'},
+            {where: {id: 1}, individualHooks: true});
+      }).then(function() {
+        models.OrderStatusChange.findAll = function(options) {
+          queries.push(options);
+          return findAll.apply(this, arguments);
+        };
+        return sync();
+      }).finally(function() {
+        models.OrderStatusChange.findAll = findAll;
+      }).then(function() {
+        assert.deepEqual(queries.map(function(options) {
+          return options.where.id[Sequelize.Op.gt];
+        }), [1]);
+        assert.equal(fakeSheets.getValues('ss', 'History').length, 3);
+        return models.Spreadsheet.findByPk('ss');
+      }).then(function(spreadsheet) {
+        assert.equal(spreadsheet.historySyncedId, 2);
+      });
+    });
+
+    it('only rebuilds the derived sheets when their template changes',
+        function() {
+      function countPivotTables() {
+        return fakeSheets.getBatchRequests('updateCells').filter(
+            function(request) {
+          var rows = request.updateCells.rows;
+          return rows && rows[0].values[0].pivotTable;
+        }).length;
+      }
+      function sync() {
+        return request(app).post('/spreadsheets/ss/sync')
+          .set('X-Requested-With', 'XMLHttpRequest')
+          .expect(200);
+      }
+      return sync().then(sync).then(function() {
+        assert.equal(countPivotTables(), 1);
+        return request(app).post('/spreadsheets/ss/template')
+          .set('X-Requested-With', 'XMLHttpRequest')
+          .send({template: 'ordersByCustomer'})
+          .expect(200);
+      }).then(function() {
+        assert.equal(countPivotTables(), 2);
+        return sync();
+      }).then(function() {
+        assert.equal(countPivotTables(), 2);
+      });
+    });
+
+    it('syncs only the orders matching the spreadsheet\'s filter', function() {
+      return helpers.createOrder({customerName: 'Bob', status: 'SHIPPED'})
+        .then(function() {
+          return models.Spreadsheet.update({filter: {status: 'SHIPPED'}},
+              {where: {id: 'ss'}});
+        })
+        .then(function() {
+          return request(app).post('/spreadsheets/ss/sync')
+            .set('X-Requested-With', 'XMLHttpRequest')
+            .expect(200);
+        })
+        .then(function(res) {
+          assert.deepEqual(res.body, {inserted: 1, updated: 0, removed: 0});
+          var values = fakeSheets.getValues('ss', 'Data');
+          assert.equal(values.length, 2);
+          assert.equal(values[1][0], 2);
+          return request(app).get('/').expect(200);
+        })
+        .then(function(res) {
+          assert.ok(res.text.indexOf('Status: SHIPPED') != -1);
+        });
+    });
+
+    it('records each sync in the spreadsheet\'s history', function() {
+      return request(app).post('/spreadsheets/ss/sync')
+        .set('X-Requested-With', 'XMLHttpRequest')
+        .expect(200)
+        .then(function() {
+          return models.SyncRun.findAll({where: {spreadsheetId: 'ss'}});
+        })
+        .then(function(syncRuns) {
+          assert.equal(syncRuns.length, 1);
+          var syncRun = syncRuns[0];
+          assert.equal(syncRun.status, 'SUCCEEDED');
+          assert.equal(syncRun.trigger, 'MANUAL');
+          assert.equal(syncRun.rowCount, 1);
+          assert.equal(syncRun.inserted, 1);
+          assert.equal(syncRun.removed, 0);
+          // The header row is written too, as the sheet was empty.
+          assert.equal(syncRun.rowsWritten, 2);
+          assert.ok(syncRun.requestCount > 0);
+          assert.ok(syncRun.finishedAt >= syncRun.startedAt);
+          assert.equal(syncRun.duration,
+              syncRun.finishedAt - syncRun.startedAt);
+          return models.Spreadsheet.findByPk('ss');
+        })
+        .then(function(spreadsheet) {
+          assert.ok(spreadsheet.lastSyncedAt);
+          return request(app).get('/').expect(200);
+        })
+        .then(function(res) {
+          assert.ok(res.text.indexOf('Last synced') != -1);
+          assert.ok(res.text.indexOf('/spreadsheets/ss/history') != -1);
+          return request(app).get('/spreadsheets/ss/history').expect(200);
+        })
+        .then(function(res) {
+          assert.ok(res.text.indexOf('Syncs to Mine') != -1);
+          assert.ok(res.text.indexOf('SUCCEEDED') != -1);
+          assert.ok(res.text.indexOf('Manual') != -1);
+        });
+    });
+
+    it('records failed syncs', function() {
+      fakeSheets.spreadsheets.ss.sheets.shift();
+      return request(app).post('/spreadsheets/ss/sync')
+        .set('X-Requested-With', 'XMLHttpRequest')
+        .expect(409)
+        .then(function() {
+          return models.SyncRun.findAll({where: {spreadsheetId: 'ss'}});
+        })
+        .then(function(syncRuns) {
+          assert.equal(syncRuns.length, 1);
+          assert.equal(syncRuns[0].status, 'FAILED');
+          assert.ok(/The data sheet was deleted/.test(syncRuns[0].error));
+          assert.equal(syncRuns[0].rowCount, null);
+          return models.Spreadsheet.findByPk('ss');
+        })
+        .then(function(spreadsheet) {
+          assert.equal(spreadsheet.lastSyncedAt, null);
+          return request(app).get('/spreadsheets/ss/history').expect(200);
+        })
+        .then(function(res) {
+          assert.ok(res.text.indexOf('sync-history__run--failed') != -1);
+          assert.ok(res.text.indexOf('The data sheet was deleted') != -1);
+        });
+    });
+
+    it('shows an empty history', function() {
+      return request(app).get('/spreadsheets/ss/history')
+        .expect(200)
+        .then(function(res) {
+          assert.ok(res.text.indexOf('haven\'t been synced') != -1);
+          return request(app).get('/spreadsheets/nope/history').expect(404);
+        });
+    });
+
+    it('requires authorization to show the history', function() {
+      var keyFile = config.serviceAccount.keyFile;
+      config.serviceAccount.keyFile = null;
+      return request(app).get('/spreadsheets/ss/history')
+        .expect(401)
+        .then(function() {
+          config.serviceAccount.keyFile = keyFile;
+        }, function(err) {
+          config.serviceAccount.keyFile = keyFile;
+          throw err;
+        });
+    });
+
+    it('returns 404 for a spreadsheet that isn\'t linked', function() {
+      return request(app).post('/spreadsheets/nope/sync')
+        .set('X-Requested-With', 'XMLHttpRequest')
+        .expect(404);
+    });
+
+    it('refuses to sync a spreadsheet whose data sheet is gone', function() {
+      fakeSheets.spreadsheets.ss.sheets.shift();
+      return request(app).post('/spreadsheets/ss/sync')
+        .set('X-Requested-With', 'XMLHttpRequest')
+        .expect(409)
+        .then(function(res) {
+          assert.equal(res.body.message, 'The link to spreadsheet "Mine" is ' +
+              'broken: The data sheet was deleted. Repair it first.');
+          assert.deepEqual(fakeSheets.getBatchRequests(), []);
+          return models.Spreadsheet.findByPk('ss');
+        })
+        .then(function(spreadsheet) {
+          assert.equal(spreadsheet.linkStatus, 'DATA_SHEET_MISSING');
+          assert.ok(spreadsheet.linkCheckedAt);
+        });
+    });
+
+    it('checks the links to every spreadsheet', function() {
+      return models.Spreadsheet.create({id: 'gone', sheetId: 0, name: 'Gone'})
+        .then(function() {
+          return request(app).post('/spreadsheets/check')
+            .set('X-Requested-With', 'XMLHttpRequest')
+            .expect(200);
+        })
+        .then(function(res) {
+          var statuses = {};
+          res.body.forEach(function(spreadsheet) {
+            statuses[spreadsheet.id] = spreadsheet.linkStatus;
+          });
+          assert.deepEqual(statuses, {ss: 'OK', gone: 'SPREADSHEET_MISSING'});
+          return request(app).get('/').expect(200);
+        })
+        .then(function(res) {
+          assert.ok(res.text.indexOf(
+              'The spreadsheet was deleted or can&#x27;t be found.') != -1);
+          assert.ok(res.text.indexOf('rel="unlink" data-spreadsheetid="gone"') !=
+              -1);
+          assert.equal(res.text.indexOf('rel="repair"'), -1);
+          assert.ok(res.text.indexOf('rel="sync" data-spreadsheetid="ss"') !=
+              -1);
+          assert.equal(res.text.indexOf('rel="sync" data-spreadsheetid="gone"'),
+              -1);
+        });
+    });
+
+    it('repairs a spreadsheet whose data sheet is gone', function() {
+      fakeSheets.spreadsheets.ss.sheets.shift();
+      return request(app).post('/spreadsheets/ss/repair')
+        .set('X-Requested-With', 'XMLHttpRequest')
+        .expect(200)
+        .then(function(res) {
+          assert.deepEqual(res.body, {id: 'ss', sheetId: 2, linkStatus: 'OK'});
+          assert.equal(fakeSheets.getValues('ss', 'Data')[0][0],
+              layouts.get()[0].header);
+          var pivot = fakeSheets.getBatchRequests('updateCells').filter(
+              function(update) {
+            return update.updateCells.start &&
+                update.updateCells.start.sheetId == 1;
+          })[0];
+          assert.equal(pivot.updateCells.rows[0].values[0].pivotTable.source
+              .sheetId, 2);
+          return request(app).post('/spreadsheets/ss/sync')
+            .set('X-Requested-With', 'XMLHttpRequest')
+            .expect(200);
+        })
+        .then(function(res) {
+          assert.deepEqual(res.body, {inserted: 1, updated: 0, removed: 0});
+        });
+    });
+
+    it('can\'t repair a spreadsheet that is gone', function() {
+      delete fakeSheets.spreadsheets.ss;
+      return request(app).post('/spreadsheets/ss/repair')
+        .set('X-Requested-With', 'XMLHttpRequest')
+        .expect(409);
+    });
+
+    it('renames a spreadsheet in Drive', function() {
+      return request(app).post('/spreadsheets/ss/rename')
+        .set('X-Requested-With', 'XMLHttpRequest')
+        .send({name: 'Renamed'})
+        .expect(200)
+        .then(function(res) {
+          assert.deepEqual(res.body, {id: 'ss', name: 'Renamed'});
+          assert.equal(fakeSheets.spreadsheets.ss.properties.title, 'Renamed');
+          return models.Spreadsheet.findByPk('ss');
+        })
+        .then(function(spreadsheet) {
+          assert.equal(spreadsheet.name, 'Renamed');
+          return request(app).post('/spreadsheets/ss/rename')
+            .set('X-Requested-With', 'XMLHttpRequest')
+            .send({name: ' '})
+            .expect(400);
+        });
+    });
+
+    it('changes the report template of a spreadsheet', function() {
+      return request(app).post('/spreadsheets/ss/template')
+        .set('X-Requested-With', 'XMLHttpRequest')
+        .send({template: 'ordersByCustomer'})
+        .expect(200)
+        .then(function() {
+          var titles = fakeSheets.spreadsheets.ss.sheets.map(function(sheet) {
+            return sheet.properties.title;
+          });
+          var template = templates.get('ordersByCustomer');
+          template.sheets.forEach(function(derived) {
+            assert.ok(titles.indexOf(derived.title) != -1);
+          });
+          return models.Spreadsheet.findByPk('ss');
+        })
+        .then(function(spreadsheet) {
+          assert.equal(spreadsheet.template, 'ordersByCustomer');
+          return request(app).post('/spreadsheets/ss/template')
+            .set('X-Requested-With', 'XMLHttpRequest')
+            .send({template: 'nope'})
+            .expect(400);
+        });
+    });
+
+    it('moves a spreadsheet to the trash and unlinks it', function() {
+      return request(app).post('/spreadsheets/ss/trash')
+        .set('X-Requested-With', 'XMLHttpRequest')
+        .expect(204)
+        .then(function() {
+          assert.strictEqual(fakeSheets.spreadsheets.ss.trashed, true);
+          return models.Spreadsheet.count();
+        })
+        .then(function(count) {
+          assert.equal(count, 0);
+        });
+    });
+
+    it('unlinks a spreadsheet', function() {
+      return request(app).post('/spreadsheets/ss/unlink')
+        .set('X-Requested-With', 'XMLHttpRequest')
+        .expect(204)
+        .then(function() {
+          return models.Spreadsheet.count();
+        })
+        .then(function(count) {
+          assert.equal(count, 0);
+          assert.ok(fakeSheets.spreadsheets.ss);
+        });
+    });
+
+    it('requires authorization to unlink a spreadsheet', function() {
+      var keyFile = config.serviceAccount.keyFile;
+      config.serviceAccount.keyFile = null;
+      return request(app).post('/spreadsheets/ss/unlink')
+        .set('X-Requested-With', 'XMLHttpRequest')
+        .expect(401)
+        .then(function() {
+          config.serviceAccount.keyFile = keyFile;
+          return models.Spreadsheet.count();
+        }, function(err) {
+          config.serviceAccount.keyFile = keyFile;
+          throw err;
+        })
+        .then(function(count) {
+          assert.equal(count, 1);
+        });
+    });
+
+    it('only lets the owner of a spreadsheet manage it', function() {
+      function post(action, data) {
+        return request(app).post('/spreadsheets/ss/' + action)
+          .set('X-Requested-With', 'XMLHttpRequest')
+          .send(data)
+          .expect(403);
+      }
+      return models.User.create({id: 'u1', email: 'owner@example.com'})
+        .then(function() {
+          return models.Spreadsheet.update({ownerId: 'u1'},
+              {where: {id: 'ss'}});
+        })
+        .then(function() {
+          return post('rename', {name: 'Renamed'});
+        })
+        .then(function(res) {
+          assert.equal(res.body.message,
+              'The spreadsheet belongs to another user.');
+          return post('template', {template: 'ordersByCustomer'});
+        })
+        .then(function() {
+          return post('unlink');
+        })
+        .then(function() {
+          return post('trash');
+        })
+        .then(function() {
+          return request(app).get('/spreadsheets/ss/history').expect(403);
+        })
+        .then(function() {
+          assert.ok(!fakeSheets.spreadsheets.ss.trashed);
+          return models.Spreadsheet.findByPk('ss');
+        })
+        .then(function(spreadsheet) {
+          assert.equal(spreadsheet.name, 'Mine');
+          assert.equal(spreadsheet.template, 'revenueByProduct');
+        });
+    });
+
+    it('syncs and pulls a spreadsheet split into tabs', function() {
+      return helpers.createOrder({customerName: 'Bob'}).then(function() {
+        return models.Spreadsheet.update({partitionBy: 'customerName'},
+            {where: {id: 'ss'}});
+      }).then(function() {
+        return request(app).post('/spreadsheets/ss/sync')
+          .set('X-Requested-With', 'XMLHttpRequest')
+          .expect(200);
+      }).then(function(res) {
+        assert.deepEqual(res.body, {inserted: 2, updated: 0, removed: 0});
+        var values = fakeSheets.getValues('ss', 'Customer: Bob');
+        values[1][layouts.get().map(function(column) {
+          return column.field;
+        }).indexOf('lineId')] = 99;
+        return request(app).post('/spreadsheets/ss/pull')
+          .set('X-Requested-With', 'XMLHttpRequest')
+          .expect(200);
+      }).then(function(res) {
+        assert.deepEqual(res.body.conflicts, [{
+          row: 2,
+          id: 2,
+          message: 'Line not found: 99',
+          sheet: 'Customer: Bob'
+        }]);
+      });
+    });
+
+    it('pulls the changes made in the spreadsheet', function() {
+      fakeSheets.setValues('ss', 'Data', [
+        layouts.get().map(function(column) {
+          return column.header;
+        }),
+        toValues({
+          'ID': 1,
+          'Line ID': 1,
+          'Customer Name': 'Alice',
+          'Product Code': 'FOO-100',
+          'Units Ordered': 8,
+          'Currency': 'USD',
+          'Unit Price': 10,
+          'Status': 'SHIPPED'
+        }),
+        toValues({'ID': 1, 'Line ID': 99, 'Status': 'SHIPPED'})
+      ]);
+      return request(app).post('/spreadsheets/ss/pull')
+        .set('X-Requested-With', 'XMLHttpRequest')
+        .expect(200)
+        .then(function(res) {
+          assert.deepEqual(res.body, {
+            updated: 1,
+            conflicts: [{row: 3, id: 1, message: 'Line not found: 99'}]
+          });
+          return models.Order.findByPk(1, {include: ['lines']});
+        })
+        .then(function(order) {
+          assert.equal(order.status, 'SHIPPED');
+          assert.equal(order.lines[0].unitsOrdered, 8);
+        });
+    });
+
+    it('keeps the changes made to the orders since the last sync',
+        function() {
+      var fields = layouts.get().map(function(column) {
+        return column.field;
+      });
+      return request(app).post('/spreadsheets/ss/sync')
+        .set('X-Requested-With', 'XMLHttpRequest')
+        .expect(200)
+        .then(function() {
+          fakeSheets.getValues('ss', 'Data')[1][fields.indexOf('status')] =
+              'SHIPPED';
+          return models.OrderLine.update({unitsOrdered: 12}, {where: {id: 1}});
+        })
+        .then(function() {
+          return request(app).post('/spreadsheets/ss/pull')
+            .set('X-Requested-With', 'XMLHttpRequest')
+            .expect(200);
+        })
+        .then(function(res) {
+          assert.deepEqual(res.body, {updated: 1, conflicts: []});
+          return models.Order.findByPk(1, {include: ['lines']});
+        })
+        .then(function(order) {
+          assert.equal(order.status, 'SHIPPED');
+          assert.equal(order.lines[0].unitsOrdered, 12);
+        });
+    });
+
+    it('reports cells changed in the spreadsheet and in the orders',
+        function() {
+      var fields = layouts.get().map(function(column) {
+        return column.field;
+      });
+      return request(app).post('/spreadsheets/ss/sync')
+        .set('X-Requested-With', 'XMLHttpRequest')
+        .expect(200)
+        .then(function() {
+          var values = fakeSheets.getValues('ss', 'Data');
+          values[1][fields.indexOf('unitsOrdered')] = 8;
+          values[1][fields.indexOf('status')] = 'SHIPPED';
+          return models.OrderLine.update({unitsOrdered: 12}, {where: {id: 1}});
+        })
+        .then(function() {
+          return request(app).post('/spreadsheets/ss/pull')
+            .set('X-Requested-With', 'XMLHttpRequest')
+            .expect(200);
+        })
+        .then(function(res) {
+          assert.deepEqual(res.body, {
+            updated: 0,
+            conflicts: [{
+              row: 2,
+              id: 1,
+              message: 'Changed in the spreadsheet and in the database ' +
+                  'since the last sync: Units Ordered.'
+            }]
+          });
+          return models.Order.findByPk(1, {include: ['lines']});
+        })
+        .then(function(order) {
+          assert.equal(order.status, 'PENDING');
+          assert.equal(order.lines[0].unitsOrdered, 12);
+        });
+    });
+
+    it('reports the conflicts in the order the rows were read', function() {
+      fakeSheets.setValues('ss', 'Data', [
+        layouts.get().map(function(column) {
+          return column.header;
+        }),
+        toValues({'ID': 1, 'Line ID': 99, 'Status': 'SHIPPED'}),
+        toValues({'ID': 1, 'Line ID': 1, 'Status': 'DELIVERED'}),
+        toValues({'ID': 1, 'Status': 'SHIPPED'})
+      ]);
+      return request(app).post('/spreadsheets/ss/pull')
+        .set('X-Requested-With', 'XMLHttpRequest')
+        .expect(200)
+        .then(function(res) {
+          assert.deepEqual(res.body.conflicts.map(function(conflict) {
+            return conflict.row;
+          }), [2, 3, 4]);
+          assert.equal(res.body.conflicts[2].message, 'Missing line ID.');
+        });
+    });
+  });
+});
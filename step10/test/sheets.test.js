@@ -0,0 +1,897 @@
+/*
+  Copyright 2016 Google, Inc.
+
+  Licensed to the Apache Software Foundation (ASF) under one or more contributor
+  license agreements. See the NOTICE file distributed with this work for
+  additional information regarding copyright ownership. The ASF licenses this
+  file to you under the Apache License, Version 2.0 (the "License"); you may not
+  use this file except in compliance with the License. You may obtain a copy of
+  the License at
+
+  http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+  WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+  License for the specific language governing permissions and limitations under
+  the License.
+*/
+
+'use strict';
+
+var assert = require('assert');
+var util = require('util');
+var helpers = require('./helpers');
+var auth = require('../auth');
+var config = require('../config.json');
+var currencies = require('../currencies');
+var errors = require('../errors');
+var layouts = require('../layouts');
+var models = require('../models');
+var orders = require('../orders');
+var templates = require('../templates');
+var SheetsHelper = require('../sheets');
+
+var fakeSheets = helpers.fakeSheets;
+
+describe('SheetsHelper', function() {
+  var helper;
+  var columns;
+
+  beforeEach(function() {
+    helper = new SheetsHelper(auth.getServiceAccountClient());
+    helper.createSpreadsheet = util.promisify(helper.createSpreadsheet);
+    helper.sync = util.promisify(helper.sync);
+    helper.readOrders = util.promisify(helper.readOrders);
+    helper.syncPartitions = util.promisify(helper.syncPartitions);
+    helper.readPartitions = util.promisify(helper.readPartitions);
+    helper.checkSpreadsheet = util.promisify(helper.checkSpreadsheet);
+    helper.repairSpreadsheet = util.promisify(helper.repairSpreadsheet);
+    helper.rebuildDerivedSheets = util.promisify(helper.rebuildDerivedSheets);
+    helper.syncReferenceSheets = util.promisify(helper.syncReferenceSheets);
+    columns = layouts.get('default');
+    return helpers.createProduct();
+  });
+
+  /**
+   * Gets the index of the column holding a field.
+   */
+  function indexOf(field) {
+    return columns.map(function(column) {
+      return column.field;
+    }).indexOf(field);
+  }
+
+  /**
+   * Syncs the orders to a new spreadsheet with a data sheet.
+   */
+  function syncToNewSpreadsheet() {
+    fakeSheets.addSpreadsheet('ss', ['Data']);
+    return orders.findRows(models).then(function(rows) {
+      return helper.sync('ss', 0, rows, columns);
+    });
+  }
+
+  describe('createSpreadsheet', function() {
+    var template;
+
+    beforeEach(function() {
+      template = templates.get('revenueByProduct');
+      return helper.createSpreadsheet('Orders', columns, template);
+    });
+
+    it('creates the data sheet and a sheet for each derived sheet', function() {
+      var create = fakeSheets.requests[0];
+      assert.equal(create.path, '/v4/spreadsheets');
+      assert.deepEqual(create.body.properties, {title: 'Orders'});
+      assert.deepEqual(create.body.sheets.map(function(sheet) {
+        return sheet.properties.title;
+      }), ['Data', 'Pivot']);
+      assert.deepEqual(create.body.sheets[0].properties.gridProperties, {
+        columnCount: columns.length,
+        frozenRowCount: 1
+      });
+    });
+
+    it('writes a bold header row', function() {
+      var header = fakeSheets.getBatchRequests('updateCells')[0];
+      assert.deepEqual(header, {
+        updateCells: {
+          start: {sheetId: 0, rowIndex: 0, columnIndex: 0},
+          rows: [{
+            values: columns.map(function(column) {
+              return {
+                userEnteredValue: {stringValue: column.header},
+                userEnteredFormat: {textFormat: {bold: true}}
+              };
+            })
+          }],
+          fields: 'userEnteredValue,userEnteredFormat.textFormat.bold'
+        }
+      });
+    });
+
+    it('hides the hidden columns', function() {
+      var requests = fakeSheets.getBatchRequests('updateDimensionProperties');
+      assert.deepEqual(requests, [{
+        updateDimensionProperties: {
+          range: {
+            sheetId: 0,
+            dimension: 'COLUMNS',
+            startIndex: indexOf('lineId'),
+            endIndex: indexOf('lineId') + 1
+          },
+          properties: {hiddenByUser: true},
+          fields: 'hiddenByUser'
+        }
+      }]);
+    });
+
+    it('adds a pivot table of the data sheet', function() {
+      var pivot = fakeSheets.getBatchRequests('updateCells')[1].updateCells;
+      assert.deepEqual(pivot.start, {sheetId: 1, rowIndex: 0, columnIndex: 0});
+      assert.deepEqual(pivot.rows[0].values[0].pivotTable, {
+        source: {
+          sheetId: 0,
+          startRowIndex: 0,
+          startColumnIndex: 0,
+          endColumnIndex: columns.length
+        },
+        rows: [{
+          sourceColumnOffset: indexOf('productName'),
+          showTotals: false,
+          sortOrder: 'ASCENDING'
+        }],
+        values: [
+          {
+            summarizeFunction: 'SUM',
+            sourceColumnOffset: indexOf('unitsOrdered')
+          },
+          {
+            summarizeFunction: 'SUM',
+            name: 'Revenue',
+            formula: '=\'Units Ordered\' * \'Unit Price (USD)\''
+          }
+        ]
+      });
+    });
+
+    it('formats the revenue like the base unit price', function() {
+      var format = fakeSheets.getBatchRequests('repeatCell')[0].repeatCell;
+      assert.deepEqual(format.range, {
+        sheetId: 1,
+        startRowIndex: 1,
+        startColumnIndex: 2,
+        endColumnIndex: 3
+      });
+      assert.deepEqual(format.cell.userEnteredFormat.numberFormat, {
+        type: 'CURRENCY',
+        pattern: '"$"#,##0.00'
+      });
+    });
+
+    it('adds a chart of the revenue', function() {
+      var chart = fakeSheets.getBatchRequests('addChart')[0].addChart.chart;
+      assert.equal(chart.spec.title, 'Revenue per Product');
+      assert.equal(chart.spec.basicChart.chartType, 'BAR');
+      assert.deepEqual(chart.spec.basicChart.series[0].series.sourceRange, {
+        sources: [{
+          sheetId: 1,
+          startRowIndex: 0,
+          startColumnIndex: 2,
+          endColumnIndex: 3
+        }]
+      });
+      assert.deepEqual(chart.position.overlayPosition.anchorCell, {
+        sheetId: 1,
+        rowIndex: 0,
+        columnIndex: 3
+      });
+    });
+  });
+
+  describe('sync', function() {
+    it('writes every row to an empty sheet', function() {
+      return helpers.createOrder({currency: 'EUR'}).then(function() {
+        return syncToNewSpreadsheet();
+      }).then(function(summary) {
+        assert.deepEqual(summary, {inserted: 1, updated: 0, removed: 0});
+        var values = fakeSheets.getValues('ss', 'Data');
+        assert.deepEqual(values[0], columns.map(function(column) {
+          return column.header;
+        }));
+        assert.equal(values.length, 2);
+        assert.equal(values[1][indexOf('customerName')], 'Alice');
+        assert.equal(values[1][indexOf('unitPrice')], 9.26);
+        assert.equal(values[1][indexOf('baseUnitPrice')], 10);
+      });
+    });
+
+    it('labels and formats the amounts in the base currency with it',
+        function() {
+      var base = currencies.BASE_CURRENCY;
+      currencies.BASE_CURRENCY = 'GBP';
+      var column;
+      try {
+        column = layouts.get().filter(function(column) {
+          return column.field == 'baseUnitPrice';
+        })[0];
+      } finally {
+        currencies.BASE_CURRENCY = base;
+      }
+      assert.equal(column.header, 'Unit Price (GBP)');
+      assert.equal(column.numberFormat, '[$£]#,##0.00');
+    });
+
+    it('validates the status and currency with the values of the model',
+        function() {
+      return helpers.createOrder().then(function() {
+        return syncToNewSpreadsheet();
+      }).then(function() {
+        var request = fakeSheets.getBatchRequests().filter(function(request) {
+          var cells = request.updateCells || request.appendCells;
+          return cells && cells.rows && cells.rows[0].values.length > 1 &&
+              !cells.rows[0].values[0].userEnteredFormat;
+        })[0];
+        var cells = (request.updateCells || request.appendCells).rows[0].values;
+        function getAllowedValues(field) {
+          var validation = cells[indexOf(field)].dataValidation;
+          return validation.condition.values.map(function(value) {
+            return value.userEnteredValue;
+          });
+        }
+        assert.deepEqual(getAllowedValues('status'), models.Order.STATUSES);
+        assert.deepEqual(getAllowedValues('currency'), ['USD', 'EUR', 'GBP']);
+        assert.strictEqual(cells[indexOf('customerName')].dataValidation,
+            undefined);
+      });
+    });
+
+    it('writes large syncs in batches, growing the sheet', function() {
+      var maxCellsPerBatch = config.sheetsApi.maxCellsPerBatch;
+      var progress = [];
+      helper.on('progress', function(event) {
+        progress.push(event);
+      });
+      fakeSheets.addSpreadsheet('ss', ['Data']);
+      var customers = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H'];
+      return customers.reduce(function(promise, customerName) {
+        return promise.then(function() {
+          return helpers.createOrder({customerName: customerName});
+        });
+      }, Promise.resolve()).then(function() {
+        var pages = [];
+        return orders.findRowsInPages(models, {
+          pageSize: 3,
+          where: {id: [1, 2, 3, 4, 5]}
+        }, function(rows, loaded) {
+          pages.push(rows.length);
+          assert.equal(loaded.total, 5);
+        }).then(function() {
+          assert.deepEqual(pages, [3, 2]);
+        });
+      }).then(function() {
+        return orders.findRows(models, {where: {id: [1, 2, 3, 4, 5]}});
+      }).then(function(rows) {
+        // Up to two rows in each batch.
+        config.sheetsApi.maxCellsPerBatch = columns.length * 2;
+        return helper.sync('ss', 0, rows, columns);
+      }).then(function(summary) {
+        assert.deepEqual(summary, {inserted: 5, updated: 0, removed: 0});
+        assert.equal(fakeSheets.getValues('ss', 'Data').length, 6);
+        var sheet = fakeSheets.spreadsheets.ss.sheets[0];
+        assert.equal(sheet.properties.gridProperties.rowCount, 6);
+        var grown = fakeSheets.getBatchRequests('appendDimension')
+          .map(function(request) {
+            return request.appendDimension.length;
+          });
+        assert.deepEqual(grown, [1, 2, 1]);
+        return orders.findRows(models);
+      }).then(function(rows) {
+        return helper.sync('ss', 0, rows, columns);
+      }).then(function(summary) {
+        config.sheetsApi.maxCellsPerBatch = maxCellsPerBatch;
+        assert.deepEqual(summary, {inserted: 3, updated: 0, removed: 0});
+        assert.deepEqual(fakeSheets.getValues('ss', 'Data').map(function(row) {
+          return row[indexOf('customerName')];
+        }), ['Customer Name'].concat(customers));
+        var appended = fakeSheets.getBatchRequests('appendCells')
+          .map(function(request) {
+            return request.appendCells.rows.length;
+          });
+        assert.deepEqual(appended, [2, 1]);
+        fakeSheets.requests.forEach(function(request) {
+          if (!/:batchUpdate$/.test(request.path)) {
+            return;
+          }
+          var cells = 0;
+          request.body.requests.forEach(function(update) {
+            var write = update.appendCells || update.updateCells || {};
+            (write.rows || []).forEach(function(row) {
+              cells += row.values.length;
+            });
+          });
+          assert.ok(cells <= columns.length * 2);
+        });
+        // The header and five rows, then the three rows appended.
+        var rows = progress.map(function(event) {
+          return event.rows;
+        });
+        assert.equal(rows.reduce(function(sum, count) {
+          return sum + count;
+        }), 9);
+        assert.equal(progress[progress.length - 1].batch,
+            progress[progress.length - 1].batchCount);
+      }, function(err) {
+        config.sheetsApi.maxCellsPerBatch = maxCellsPerBatch;
+        throw err;
+      });
+    });
+
+    it('writes the orders a page at a time as they are found', function() {
+      var startSync = util.promisify(helper.startSync.bind(helper));
+      /**
+       * Syncs Alice's orders, a page of one order at a time.
+       */
+      function syncInPages() {
+        return startSync('ss', 0, columns).then(function(sync) {
+          var pages = [];
+          return orders.findRowsInPages(models, {
+            filter: {customerName: 'Alice'},
+            pageSize: 1
+          }, function(rows, loaded) {
+            pages.push([rows[0].id, loaded.loaded, loaded.total]);
+            return util.promisify(sync.write)(rows);
+          }).then(function() {
+            return util.promisify(sync.end)();
+          }).then(function(summary) {
+            return {pages: pages, summary: summary};
+          });
+        });
+      }
+      fakeSheets.addSpreadsheet('ss', ['Data']);
+      return helpers.createOrder().then(function() {
+        return helpers.createOrder({customerName: 'Bob'});
+      }).then(function() {
+        return helpers.createOrder();
+      }).then(function() {
+        return helpers.createOrder();
+      }).then(function() {
+        return syncInPages();
+      }).then(function(result) {
+        assert.deepEqual(result.pages, [[1, 1, 3], [3, 2, 3], [4, 3, 3]]);
+        assert.deepEqual(result.summary,
+            {inserted: 3, updated: 0, removed: 0});
+        var values = fakeSheets.getValues('ss', 'Data');
+        assert.deepEqual(values.slice(1).map(function(row) {
+          return row[indexOf('id')];
+        }), [1, 3, 4]);
+        var sheet = fakeSheets.spreadsheets.ss.sheets[0];
+        assert.equal(sheet.properties.gridProperties.rowCount, 4);
+        return models.Order.destroy({where: {id: 1}});
+      }).then(function() {
+        return models.Order.update({status: 'SHIPPED'}, {where: {id: 4}});
+      }).then(function() {
+        fakeSheets.requests = [];
+        return syncInPages();
+      }).then(function(result) {
+        assert.deepEqual(result.summary,
+            {inserted: 0, updated: 1, removed: 1});
+        // The rows are only removed once every page is written.
+        var requests = fakeSheets.getBatchRequests();
+        assert.ok(requests[requests.length - 1].deleteDimension);
+        var values = fakeSheets.getValues('ss', 'Data');
+        assert.deepEqual(values.slice(1).map(function(row) {
+          return [row[indexOf('id')], row[indexOf('status')]];
+        }), [[3, 'PENDING'], [4, 'SHIPPED']]);
+      });
+    });
+
+    it('counts the requests made', function() {
+      return helpers.createOrder().then(function() {
+        return syncToNewSpreadsheet();
+      }).then(function() {
+        // One to read the sheet, and one to write the rows.
+        assert.equal(helper.requestCount, 2);
+      });
+    });
+
+    it('formats unit prices in the currency of the order', function() {
+      return helpers.createOrder({currency: 'EUR'}).then(function() {
+        return syncToNewSpreadsheet();
+      }).then(function() {
+        var rows = fakeSheets.getBatchRequests('updateCells')[1]
+            .updateCells.rows;
+        var cell = rows[0].values[indexOf('unitPrice')];
+        assert.deepEqual(cell.userEnteredFormat.numberFormat, {
+          type: 'CURRENCY',
+          pattern: '[$€]#,##0.00'
+        });
+      });
+    });
+
+    it('only updates the rows that changed', function() {
+      return helpers.createOrder().then(function() {
+        return helpers.createOrder({customerName: 'Bob'});
+      }).then(function() {
+        return syncToNewSpreadsheet();
+      }).then(function() {
+        return models.Order.update({status: 'SHIPPED'}, {where: {id: 2}});
+      }).then(function() {
+        fakeSheets.requests = [];
+        return orders.findRows(models);
+      }).then(function(rows) {
+        return helper.sync('ss', 0, rows, columns);
+      }).then(function(summary) {
+        assert.deepEqual(summary, {inserted: 0, updated: 1, removed: 0});
+        var updates = fakeSheets.getBatchRequests();
+        assert.equal(updates.length, 1);
+        assert.deepEqual(updates[0].updateCells.start,
+            {sheetId: 0, rowIndex: 2, columnIndex: 0});
+        assert.equal(updates[0].updateCells.fields,
+            'userEnteredValue,userEnteredFormat.numberFormat');
+        var values = fakeSheets.getValues('ss', 'Data');
+        assert.equal(values[2][indexOf('status')], 'SHIPPED');
+      });
+    });
+
+    it('removes deleted line items and appends new ones', function() {
+      return helpers.createOrder().then(function() {
+        return syncToNewSpreadsheet();
+      }).then(function() {
+        return models.Order.destroy({where: {id: 1}});
+      }).then(function() {
+        return helpers.createOrder({customerName: 'Bob'});
+      }).then(function() {
+        return orders.findRows(models);
+      }).then(function(rows) {
+        return helper.sync('ss', 0, rows, columns);
+      }).then(function(summary) {
+        assert.deepEqual(summary, {inserted: 1, updated: 0, removed: 1});
+        var values = fakeSheets.getValues('ss', 'Data');
+        assert.equal(values.length, 2);
+        assert.equal(values[1][indexOf('customerName')], 'Bob');
+      });
+    });
+
+    it('does nothing if the sheet is up to date', function() {
+      return helpers.createOrder().then(function() {
+        return syncToNewSpreadsheet();
+      }).then(function() {
+        fakeSheets.requests = [];
+        return orders.findRows(models);
+      }).then(function(rows) {
+        return helper.sync('ss', 0, rows, columns);
+      }).then(function(summary) {
+        assert.deepEqual(summary, {inserted: 0, updated: 0, removed: 0});
+        assert.deepEqual(fakeSheets.getBatchRequests(), []);
+      });
+    });
+  });
+
+  describe('syncPartitions', function() {
+    /**
+     * Syncs the orders to the spreadsheet, split into one tab per status.
+     */
+    function syncByStatus() {
+      return orders.findRows(models).then(function(rows) {
+        return helper.syncPartitions('status', 'ss', 0, rows, columns);
+      });
+    }
+
+    /**
+     * Gets the titles of the sheets in the spreadsheet.
+     */
+    function getTitles() {
+      return fakeSheets.spreadsheets.ss.sheets.map(function(sheet) {
+        return sheet.properties.title;
+      });
+    }
+
+    beforeEach(function() {
+      fakeSheets.addSpreadsheet('ss', ['Data', 'Pivot']);
+      return helpers.createOrder().then(function() {
+        return helpers.createOrder({customerName: 'Bob', status: 'SHIPPED'});
+      }).then(function() {
+        return helpers.createOrder({customerName: 'Carol'});
+      });
+    });
+
+    it('writes the orders to a tab per value', function() {
+      return syncByStatus().then(function(summary) {
+        assert.deepEqual(summary, {inserted: 3, updated: 0, removed: 0});
+        assert.deepEqual(getTitles(),
+            ['Data', 'Pivot', 'Status: PENDING', 'Status: SHIPPED']);
+        var pending = fakeSheets.getValues('ss', 'Status: PENDING');
+        assert.equal(pending.length, 3);
+        assert.equal(pending[2][indexOf('customerName')], 'Carol');
+        var shipped = fakeSheets.getValues('ss', 'Status: SHIPPED');
+        assert.equal(shipped.length, 2);
+        assert.equal(shipped[1][indexOf('customerName')], 'Bob');
+      });
+    });
+
+    it('combines the tabs in the data sheet', function() {
+      return syncByStatus().then(function() {
+        var values = fakeSheets.getValues('ss', 'Data');
+        assert.equal(values[0][0], columns[0].header);
+        var lastColumn = String.fromCharCode(64 + columns.length);
+        assert.equal(values[1][0], util.format('=QUERY({' +
+            "'Status: PENDING'!A2:%s; 'Status: SHIPPED'!A2:%s}, " +
+            '"select * where Col%d is not null", 0)', lastColumn, lastColumn,
+            indexOf('lineId') + 1));
+      });
+    });
+
+    it('adds the tabs as the orders of each value are found', function() {
+      var startSyncPartitions =
+          util.promisify(helper.startSyncPartitions.bind(helper));
+      return startSyncPartitions('status', 'ss', 0, columns)
+        .then(function(sync) {
+          return orders.findRowsInPages(models, {pageSize: 1}, function(rows) {
+            return util.promisify(sync.write)(rows);
+          }).then(function() {
+            return util.promisify(sync.end)();
+          });
+        }).then(function(summary) {
+          assert.deepEqual(summary, {inserted: 3, updated: 0, removed: 0});
+          assert.deepEqual(getTitles(),
+              ['Data', 'Pivot', 'Status: PENDING', 'Status: SHIPPED']);
+          assert.deepEqual(fakeSheets.getValues('ss', 'Status: PENDING')
+            .slice(1).map(function(row) {
+              return row[indexOf('customerName')];
+            }), ['Alice', 'Carol']);
+          var values = fakeSheets.getValues('ss', 'Data');
+          assert.ok(values[1][0].indexOf("'Status: SHIPPED'") != -1);
+        });
+    });
+
+    it('moves rows between tabs and removes empty tabs', function() {
+      return syncByStatus().then(function() {
+        return models.Order.update({status: 'SHIPPED'},
+            {where: {status: 'PENDING'}});
+      }).then(function() {
+        return syncByStatus();
+      }).then(function(summary) {
+        assert.deepEqual(summary, {inserted: 2, updated: 0, removed: 2});
+        assert.deepEqual(getTitles(), ['Data', 'Pivot', 'Status: SHIPPED']);
+        assert.equal(fakeSheets.getValues('ss', 'Status: SHIPPED').length, 4);
+        var values = fakeSheets.getValues('ss', 'Data');
+        assert.ok(values[1][0].indexOf('PENDING') == -1);
+      });
+    });
+
+    it('reads the rows of every tab', function() {
+      return syncByStatus().then(function() {
+        return helper.readPartitions('status', 'ss', columns);
+      }).then(function(rows) {
+        assert.deepEqual(rows.map(function(row) {
+          return [row.sheet, row.rowIndex, row.values.customerName];
+        }), [
+          ['Status: PENDING', 1, 'Alice'],
+          ['Status: PENDING', 2, 'Carol'],
+          ['Status: SHIPPED', 1, 'Bob']
+        ]);
+      });
+    });
+  });
+
+  describe('readOrders', function() {
+    it('reads the rows by their headers', function() {
+      fakeSheets.addSpreadsheet('ss', ['Data']);
+      fakeSheets.setValues('ss', 'Data', [
+        ['Status', 'Line ID', 'Customer Name'],
+        ['SHIPPED', 3, 'Alice'],
+        ['', 4, 'Bob']
+      ]);
+      return helper.readOrders('ss', 0, columns).then(function(rows) {
+        assert.equal(rows.length, 2);
+        assert.equal(rows[0].rowIndex, 1);
+        assert.equal(rows[0].values.lineId, 3);
+        assert.equal(rows[0].values.status, 'SHIPPED');
+        assert.equal(rows[0].values.customerName, 'Alice');
+        assert.strictEqual(rows[1].values.status, null);
+      });
+    });
+  });
+
+  describe('requests', function() {
+    beforeEach(function() {
+      fakeSheets.addSpreadsheet('ss', ['Data']);
+    });
+
+    /**
+     * Expects a promise to be rejected with an error of a type.
+     */
+    function assertRejected(promise, type) {
+      return promise.then(function() {
+        assert.fail('Expected a ' + type.name);
+      }, function(err) {
+        assert.ok(err instanceof type, err.stack);
+        return err;
+      });
+    }
+
+    it('retries transient errors', function() {
+      fakeSheets.fail(503);
+      fakeSheets.fail(403, {reason: 'userRateLimitExceeded'});
+      return helper.readOrders('ss', 0, columns).then(function(rows) {
+        assert.deepEqual(rows, []);
+        assert.equal(fakeSheets.requests.length, 3);
+        assert.equal(helper.requestCount, 3);
+      });
+    });
+
+    it('only retries the requests that change spreadsheets when rate limited',
+        function() {
+      var rename = util.promisify(helper.renameSpreadsheet).bind(helper);
+      fakeSheets.fail(429);
+      fakeSheets.fail(403, {reason: 'rateLimitExceeded'});
+      return rename('ss', 'Renamed').then(function() {
+        assert.equal(fakeSheets.requests.length, 3);
+        fakeSheets.requests = [];
+        // The request may have been applied despite the error.
+        fakeSheets.fail(503);
+        return assertRejected(rename('ss', 'Renamed again'), errors.ApiError);
+      }).then(function(err) {
+        assert.equal(err.responseStatus, 503);
+        assert.equal(fakeSheets.requests.length, 1);
+      });
+    });
+
+    it('waits as long as the response says before retrying', function() {
+      var start = Date.now();
+      fakeSheets.fail(429, {retryAfter: 1});
+      return helper.readOrders('ss', 0, columns).then(function() {
+        assert.ok(Date.now() - start >= 1000);
+        assert.equal(fakeSheets.requests.length, 2);
+      });
+    });
+
+    it('gives up after the maximum number of retries', function() {
+      var maxRetries = config.sheetsApi.maxRetries;
+      config.sheetsApi.maxRetries = 1;
+      fakeSheets.fail(500);
+      fakeSheets.fail(502);
+      return assertRejected(helper.readOrders('ss', 0, columns),
+          errors.ApiError).then(function(err) {
+        config.sheetsApi.maxRetries = maxRetries;
+        assert.equal(err.responseStatus, 502);
+        assert.equal(fakeSheets.requests.length, 2);
+      }, function(err) {
+        config.sheetsApi.maxRetries = maxRetries;
+        throw err;
+      });
+    });
+
+    it('doesn\'t wait longer than the maximum delay to retry', function() {
+      fakeSheets.fail(429, {retryAfter: 3600});
+      return assertRejected(helper.readOrders('ss', 0, columns),
+          errors.QuotaExceededError).then(function(err) {
+        assert.equal(err.retryAfter, 3600);
+        assert.equal(fakeSheets.requests.length, 1);
+      });
+    });
+
+    it('reports the type of errors that aren\'t retried', function() {
+      fakeSheets.fail(401);
+      return assertRejected(helper.readOrders('ss', 0, columns),
+          errors.AuthExpiredError).then(function(err) {
+        assert.equal(err.message, 'Fake failure 401.');
+        fakeSheets.fail(403);
+        return assertRejected(helper.readOrders('ss', 0, columns),
+            errors.PermissionDeniedError);
+      }).then(function() {
+        return assertRejected(helper.readOrders('other', 0, columns),
+            errors.NotFoundError);
+      }).then(function() {
+        assert.equal(fakeSheets.requests.length, 3);
+      });
+    });
+
+    it('limits the requests to the quota budget of the user', function() {
+      var quota = config.sheetsApi.quota;
+      var limited = new SheetsHelper(auth.getServiceAccountClient(), 'budget');
+      var readOrders = util.promisify(limited.readOrders).bind(limited);
+      config.sheetsApi.quota = {requests: 2, interval: 60000, maxWait: 0};
+      return readOrders('ss', 0, columns).then(function() {
+        // Requests for other users count against their own budget.
+        return helper.readOrders('ss', 0, columns);
+      }).then(function() {
+        return readOrders('ss', 0, columns);
+      }).then(function() {
+        return assertRejected(readOrders('ss', 0, columns),
+            errors.QuotaExceededError);
+      }).then(function(err) {
+        assert.equal(err.retryAfter, 60);
+        assert.equal(fakeSheets.requests.length, 3);
+        config.sheetsApi.quota = quota;
+      }, function(err) {
+        config.sheetsApi.quota = quota;
+        throw err;
+      });
+    });
+
+    it('waits for the quota budget to be replenished', function() {
+      var quota = config.sheetsApi.quota;
+      var limited = new SheetsHelper(auth.getServiceAccountClient(), 'waits');
+      var readOrders = util.promisify(limited.readOrders).bind(limited);
+      config.sheetsApi.quota = {requests: 1, interval: 100, maxWait: 1000};
+      return readOrders('ss', 0, columns).then(function() {
+        return readOrders('ss', 0, columns);
+      }).then(function() {
+        assert.equal(fakeSheets.requests.length, 2);
+        config.sheetsApi.quota = quota;
+      }, function(err) {
+        config.sheetsApi.quota = quota;
+        throw err;
+      });
+    });
+  });
+
+  describe('checkSpreadsheet', function() {
+    beforeEach(function() {
+      fakeSheets.addSpreadsheet('ss', ['Data', 'Pivot']);
+    });
+
+    it('accepts a renamed data sheet', function() {
+      fakeSheets.spreadsheets.ss.sheets[0].properties.title = 'Orders';
+      return helper.checkSpreadsheet('ss', 0).then(function(status) {
+        assert.equal(status, 'OK');
+      });
+    });
+
+    it('detects a deleted data sheet', function() {
+      return helper.checkSpreadsheet('ss', 5).then(function(status) {
+        assert.equal(status, 'DATA_SHEET_MISSING');
+      });
+    });
+
+    it('detects a deleted spreadsheet', function() {
+      return helper.checkSpreadsheet('other', 0).then(function(status) {
+        assert.equal(status, 'SPREADSHEET_MISSING');
+      });
+    });
+  });
+
+  describe('repairSpreadsheet', function() {
+    it('adds a data sheet without reusing the title of another', function() {
+      fakeSheets.addSpreadsheet('ss', ['Pivot', 'Data']);
+      var template = templates.get('revenueByProduct');
+      return helper.repairSpreadsheet('ss', columns, template)
+        .then(function(sheetId) {
+          assert.equal(sheetId, 2);
+          var added = fakeSheets.getBatchRequests('addSheet')[0].addSheet;
+          assert.equal(added.properties.title, 'Data 2');
+          assert.equal(added.properties.index, 0);
+          assert.equal(fakeSheets.getValues('ss', 'Data 2')[0][0],
+              columns[0].header);
+        });
+    });
+  });
+
+  describe('rebuildDerivedSheets', function() {
+    it('adds the derived sheets that are missing', function() {
+      fakeSheets.addSpreadsheet('ss', ['Data']);
+      var template = templates.get('revenueByProduct');
+      return helper.rebuildDerivedSheets('ss', 0, columns, template)
+        .then(function() {
+          var added = fakeSheets.getBatchRequests('addSheet');
+          assert.equal(added.length, 1);
+          assert.equal(added[0].addSheet.properties.title, 'Pivot');
+          assert.equal(fakeSheets.getBatchRequests('addChart').length, 1);
+        });
+    });
+
+    it('sets up the pivot tables of existing sheets again', function() {
+      fakeSheets.addSpreadsheet('ss', ['Data', 'Pivot']);
+      var template = templates.get('revenueByProduct');
+      return helper.rebuildDerivedSheets('ss', 0, columns, template)
+        .then(function() {
+          assert.equal(fakeSheets.getBatchRequests('addSheet').length, 0);
+          assert.equal(fakeSheets.getBatchRequests('addChart').length, 0);
+          var pivot = fakeSheets.getBatchRequests('updateCells')[0];
+          assert.equal(pivot.updateCells.start.sheetId, 1);
+        });
+    });
+  });
+
+  describe('syncReferenceSheets', function() {
+    it('lists the products and status history', function() {
+      fakeSheets.addSpreadsheet('ss', ['Data']);
+      return helpers.createOrder().then(function() {
+        return Promise.all([
+          models.Product.findAll(),
+          models.OrderStatusChange.findAll()
+        ]);
+      }).then(function(results) {
+        return helper.syncReferenceSheets('ss', {
+          products: results[0],
+          history: results[1]
+        });
+      }).then(function() {
+        assert.deepEqual(fakeSheets.getValues('ss', 'Products'), [
+          ['Code', 'Name', 'List Price (USD)', 'Active'],
+          ['FOO-100', 'Foo', 10, true]
+        ]);
+        var history = fakeSheets.getValues('ss', 'History');
+        assert.deepEqual(history[0],
+            ['Order ID', 'From', 'To', 'Changed By', 'Changed At']);
+        assert.deepEqual(history[1].slice(0, 3), [1, '', 'PENDING']);
+      });
+    });
+
+    it('only appends the changes of status after the last one written',
+        function() {
+      fakeSheets.addSpreadsheet('ss', ['Data']);
+      function syncHistory(lastId) {
+        return models.OrderStatusChange.findAll({order: [['id', 'ASC']]})
+          .then(function(history) {
+            return helper.syncReferenceSheets('ss', {
+              history: history,
+              lastIds: {history: lastId}
+            });
+          });
+      }
+      return helpers.createOrder().then(function() {
+        // The sheet is written afresh when missing, even if it was written.
+        return syncHistory(5);
+      }).then(function(lastIds) {
+        assert.deepEqual(lastIds, {history: 1});
+        return models.Order.update({status: 'SHIPPED'},
+            {where: {id: 1}, individualHooks: true});
+      }).then(function() {
+        fakeSheets.requests = [];
+        return syncHistory(1);
+      }).then(function(lastIds) {
+        assert.deepEqual(lastIds, {history: 2});
+        assert.equal(fakeSheets.getBatchRequests('updateCells').length, 0);
+        var history = fakeSheets.getValues('ss', 'History');
+        assert.deepEqual(history.slice(1).map(function(row) {
+          return row.slice(0, 3);
+        }), [[1, '', 'PENDING'], [1, 'PENDING', 'SHIPPED']]);
+        return syncHistory(2);
+      }).then(function(lastIds) {
+        assert.deepEqual(lastIds, {history: 2});
+        assert.equal(fakeSheets.getValues('ss', 'History').length, 3);
+        // Without the last ID, the sheet is written afresh.
+        return syncHistory(null);
+      }).then(function(lastIds) {
+        assert.deepEqual(lastIds, {history: 2});
+        assert.equal(fakeSheets.getValues('ss', 'History').length, 3);
+      });
+    });
+
+    it('appends the records a page at a time', function() {
+      fakeSheets.addSpreadsheet('ss', ['Data']);
+      var sync;
+      function write(records) {
+        return util.promisify(sync.write)('history', records);
+      }
+      return helpers.createOrder().then(function() {
+        return models.Order.update({status: 'SHIPPED'},
+            {where: {id: 1}, individualHooks: true});
+      }).then(function() {
+        return util.promisify(helper.startReferenceSync.bind(helper))('ss',
+            ['history'], {});
+      }).then(function(result) {
+        sync = result;
+        assert.deepEqual(sync.afterIds, {history: 0});
+        return models.OrderStatusChange.findAll({order: [['id', 'ASC']]});
+      }).then(function(history) {
+        return write(history.slice(0, 1)).then(function() {
+          // Records already written are skipped.
+          return write(history);
+        });
+      }).then(function() {
+        return util.promisify(sync.end)();
+      }).then(function(lastIds) {
+        assert.deepEqual(lastIds, {history: 2});
+        var history = fakeSheets.getValues('ss', 'History');
+        assert.deepEqual(history.slice(1).map(function(row) {
+          return row.slice(0, 3);
+        }), [[1, '', 'PENDING'], [1, 'PENDING', 'SHIPPED']]);
+      });
+    });
+  });
+});